@@ -26,4 +26,16 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['supabase/functions/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.browser, Deno: 'readonly' },
+    },
+  },
 ])
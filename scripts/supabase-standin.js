@@ -0,0 +1,184 @@
+// Local stand-in for the slice of the Supabase/PostgREST API that
+// src/lib/storage/supabaseAdapter.js uses, including the "accounts" Edge
+// Function and the users-table guard from supabase/schema.sql. No
+// dependencies; data lives in memory, or in STANDIN_FILE when set. Emails
+// are printed here.
+//
+//   npm run standin
+//   VITE_STORAGE=supabase VITE_SUPABASE_URL=http://localhost:54321 \
+//     VITE_SUPABASE_ANON_KEY=dev npm run dev
+
+import http from "node:http";
+import fs from "node:fs";
+import {
+  ACCOUNT_ACTIONS,
+  createAccounts,
+  parseDomains,
+  splitSecrets,
+  userWriteError,
+} from "../src/lib/accounts.js";
+import { COLLECTIONS as TABLES } from "../src/lib/storage/repository.js";
+
+const PORT = Number(process.env.PORT || 54321);
+const FILE = process.env.STANDIN_FILE || null;
+
+const ALLOWED_DOMAINS = parseDomains(
+  process.env.ALLOWED_EMAIL_DOMAINS || "pccoepune.org"
+);
+
+const db = Object.fromEntries(TABLES.map((t) => [t, new Map()]));
+// Like the credentials table: only the accounts function reaches it.
+const credentials = new Map();
+
+const toRow = (record) => ({
+  id: record.id,
+  data: record,
+  updated_at: new Date().toISOString(),
+});
+
+if (FILE && fs.existsSync(FILE)) {
+  const saved = JSON.parse(fs.readFileSync(FILE, "utf8"));
+  for (const t of TABLES) {
+    for (const row of saved[t] || []) db[t].set(row.id, row);
+  }
+  for (const c of saved.credentials || []) credentials.set(c.id, c);
+  // Files from before the credentials table kept secrets on the users.
+  for (const row of db.users.values()) {
+    const { user, credentials: secrets } = splitSecrets(row.data);
+    if (Object.keys(secrets).length === 1) continue;
+    credentials.set(row.id, { ...secrets, ...credentials.get(row.id) });
+    db.users.set(row.id, toRow(user));
+  }
+}
+
+const flush = () => {
+  if (!FILE) return;
+  const out = Object.fromEntries(TABLES.map((t) => [t, [...db[t].values()]]));
+  out.credentials = [...credentials.values()];
+  fs.writeFileSync(FILE, JSON.stringify(out, null, 2));
+};
+
+const accounts = createAccounts({
+  allowedDomains: ALLOWED_DOMAINS,
+  async sendMail({ to, subject, text }) {
+    console.info(`[mail] To: ${to}\nSubject: ${subject}\n\n${text}`);
+  },
+  store: {
+    async listUsers() {
+      return [...db.users.values()].map((r) => ({ ...r.data, id: r.id }));
+    },
+    async saveUser(user) {
+      db.users.set(user.id, toRow(user));
+      flush();
+    },
+    async getCredentials(userId) {
+      return credentials.get(userId) || null;
+    },
+    async saveCredentials(record) {
+      credentials.set(record.id, record);
+      flush();
+    },
+  },
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "apikey, authorization, content-type, prefer",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+
+// Parses id=in.("a","b") into ["a", "b"].
+const parseIdFilter = (value) => {
+  const match = /^in\.\((.*)\)$/.exec(value || "");
+  if (!match) return null;
+  const values = match[1].match(/"(?:[^"\\]|\\.)*"|[^,]+/g) || [];
+  return values.map((v) =>
+    v.startsWith('"') ? v.slice(1, -1).replace(/\\"/g, '"') : v
+  );
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (url.pathname === "/functions/v1/accounts" && req.method === "POST") {
+    if (!req.headers.apikey) {
+      return send(res, 401, { message: "No API key found in request" });
+    }
+    try {
+      const { action, ...params } = JSON.parse(await readBody(req));
+      if (!ACCOUNT_ACTIONS.includes(action)) {
+        return send(res, 400, { message: `Unknown action "${action}"` });
+      }
+      return send(res, 200, await accounts[action](params));
+    } catch (err) {
+      return send(res, 500, { message: err.message });
+    }
+  }
+
+  const match = /^\/rest\/v1\/([A-Za-z_]+)$/.exec(url.pathname);
+  if (!match || !TABLES.includes(match[1])) {
+    return send(res, 404, { message: `Unknown table for ${url.pathname}` });
+  }
+  if (!req.headers.apikey) {
+    return send(res, 401, { message: "No API key found in request" });
+  }
+  const table = db[match[1]];
+
+  try {
+    if (req.method === "GET") {
+      const rows = [...table.values()].sort((a, b) => a.id.localeCompare(b.id));
+      return send(res, 200, rows);
+    }
+
+    if (req.method === "POST") {
+      const rows = JSON.parse(await readBody(req));
+      const list = Array.isArray(rows) ? rows : [rows];
+      const merge = (req.headers.prefer || "").includes(
+        "resolution=merge-duplicates"
+      );
+      for (const row of list) {
+        if (!row.id) return send(res, 400, { message: "Row is missing id" });
+        if (table.has(row.id) && !merge) {
+          return send(res, 409, { message: `Duplicate key ${row.id}` });
+        }
+        // Mirrors the guard_user_write trigger in supabase/schema.sql.
+        const denied =
+          match[1] === "users" &&
+          userWriteError(table.get(row.id)?.data || null, row.data || {});
+        if (denied) return send(res, 403, { message: denied });
+      }
+      list.forEach((row) => table.set(row.id, row));
+      flush();
+      return send(res, 201);
+    }
+
+    if (req.method === "DELETE") {
+      const ids = parseIdFilter(url.searchParams.get("id"));
+      if (!ids) return send(res, 400, { message: "DELETE requires an id filter" });
+      ids.forEach((i) => table.delete(i));
+      flush();
+      return send(res, 204);
+    }
+
+    return send(res, 405, { message: `${req.method} not supported` });
+  } catch (err) {
+    return send(res, 400, { message: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Supabase stand-in listening on http://localhost:${PORT}`);
+});
@@ -1,190 +1,567 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { id } from "./lib/id.js";
+import {
+  MIN_PASSWORD_LENGTH,
+  clearLoginSession,
+  isEmailVerified,
+  isSessionValid,
+  loadLoginSession,
+  saveLoginSession,
+} from "./lib/auth.js";
+import { ALLOWED_EMAIL_DOMAINS } from "./lib/config.js";
+import { hasCalendarTime, sessionIcs, userCalendar } from "./lib/ical.js";
+import {
+  HOME_PATH,
+  guardRoute,
+  pathFor,
+  safeNext,
+  useRouter,
+} from "./lib/router.js";
+import { getMailTransport } from "./lib/mail.js";
+import {
+  REFRESH_INTERVAL_MS,
+  createRepository,
+  emptyState,
+  mergeState,
+  normalizeState,
+} from "./lib/storage/index.js";
+import {
+  NOTIFICATION_ICONS,
+  createNotification,
+  hasUnread,
+  notificationsFor,
+} from "./lib/notifications.js";
+import {
+  SESSION_STATUS,
+  awaitingResponseFrom,
+  canTransition,
+  createProposal,
+  isActiveSession,
+  pendingProposal,
+  resolvePending,
+  sessionParticipants,
+} from "./lib/scheduling.js";
+import {
+  DAY_NAMES,
+  TIME_PREFERENCES,
+  availabilityOf,
+  conflictingSession,
+  createException,
+  createWindow,
+  dateKey,
+  hasAvailability,
+  isOpenSlot,
+  matchesTimePreference,
+  openSlots,
+  upcomingExceptions,
+  validateException,
+  validateWindow,
+} from "./lib/availability.js";
+import {
+  CLOSE_OUT_GRACE_HOURS,
+  SCHEDULER_INTERVAL_MS,
+  closeOutDeadline,
+  needsFollowUp,
+  runSessionScheduler,
+  sessionEnd,
+} from "./lib/reminders.js";
+import {
+  ATTESTATION_TIMEOUT_HOURS,
+  MAX_STATEMENT_LENGTH,
+  OUTCOMES,
+  attestationDeadline,
+  attestationOf,
+  attestedVerdict,
+  createAttestation,
+} from "./lib/attestations.js";
+import {
+  MAX_GROUP_SIZE,
+  attendees,
+  hasJoined,
+  isGroupSession,
+  joinError,
+  menteesOf,
+  seatJoiners,
+  seatsLeft,
+  unseat,
+} from "./lib/groups.js";
+import {
+  CLOSE_REASONS,
+  MAX_DESCRIPTION_LENGTH,
+  QUERY_STATUS,
+  QUERY_STATUS_STYLES,
+  isEditable,
+  transitionQuery,
+} from "./lib/queries.js";
+import {
+  MAX_COMMENT_LENGTH,
+  answersFor,
+  buildThread,
+  createComment,
+} from "./lib/comments.js";
+import {
+  MAX_MESSAGE_LENGTH,
+  chatNotificationKey,
+  createMessage,
+  isChatLocked,
+  markMessagesRead,
+  unreadMessages,
+} from "./lib/chat.js";
+import {
+  MAX_REVIEW_LENGTH,
+  menteeReputationScore,
+  withRatings,
+} from "./lib/reputation.js";
+import {
+  XP_EVENT_LABELS,
+  XP_RULES,
+  formatXpRule,
+  isLedgerOutdated,
+  recomputeXp,
+  syncXpLedger,
+  xpHistory,
+} from "./lib/xp.js";
+import { badgeShowcase, unlockBadges } from "./lib/badges.js";
+import { LEADERBOARD_WINDOWS, buildLeaderboard } from "./lib/leaderboard.js";
+import { isInvited, recommendMentors } from "./lib/recommend.js";
+import { markdownToText, parseMarkdown } from "./lib/markdown.js";
+import {
+  DATE_RANGES,
+  applyFacets,
+  buildSearchIndex,
+  highlightText,
+  searchQueries,
+  snippet,
+} from "./lib/search.js";
+import { highlight, languageOf } from "./lib/highlight.js";
+import {
+  ANALYTICS_RANGES,
+  buildAnalytics,
+  dayKey,
+  queryRows,
+  sessionRows,
+  toCsv,
+} from "./lib/analytics.js";
+import {
+  AUDIT_ACTION_LABELS,
+  MAX_REPORT_DETAILS,
+  REPORT_REASONS,
+  REPORT_STATUS,
+  REPORT_TARGET_LABELS,
+  actionsFor,
+  createAuditEntry,
+  createReport,
+  findTarget,
+  hasOpenReport,
+  moderationQueue,
+  responsibleUserId,
+  warningCount,
+} from "./lib/moderation.js";
+import {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  MAX_COMMENT_ATTACHMENTS,
+  MAX_QUERY_ATTACHMENTS,
+  formatBytes,
+  checkAttachmentBudget,
+  isImageAttachment,
+  isValidAttachment,
+  readAttachment,
+  validateAttachment,
+} from "./lib/attachments.js";
+import {
+  MENTOR_TYPES,
+  MODE_PREFERENCES,
+  checkEligibility,
+} from "./lib/eligibility.js";
+import {
+  BRANCH_OPTIONS,
+  SUBJECT_OPTIONS,
+  YEAR_OPTIONS,
+} from "./lib/options.js";
+import {
+  privacyOf,
+  reviewsReceived,
+  visibleSessionHistory,
+} from "./lib/profile.js";
 
 /** ---------- Types (conceptual) ----------
-User {
-  id, email, name, year, branch, strongSubjects[], bio, avatar,
-  role: "student" | "admin",
-  xp, level, ratingAvg, ratingCount, isBlocked
+User {   (passwords and codes live apart, see lib/accounts.js)
+  id, email, emailVerified, passwordChangedAt,
+  name, year, branch, strongSubjects[], bio, avatar, privacy,
+  role: "student" | "admin", badges{}, availability,
+  xp, level, ratingAvg, ratingCount, menteeRatingAvg, menteeRatingCount,
+  isBlocked
 }
 Query {
-  id, title, description, subjectTags[], preferredMentorType,
+  id, title, description (Markdown), attachments[], subjectTags[],
+  preferredMentorType,
   preferredMode, timePreference, status, createdAt,
-  askerId, menteeYear, sessions[]
+  askerId, menteeYear, sessions[], history[], closeReason,
+  acceptedAnswerId, invites[], joinerIds[]
 }
 Session {
-  id, queryId, mentorId, menteeId,
-  dateTime, mode, locationOrLink,
-  status, ratingForMentor, ratingForMentee
+  id, queryId, mentorId, menteeId, capacity, groupMenteeIds[],
+  dateTime, mode, locationOrLink, proposals[], messages[],
+  status, noShowUserId, attestations, reminders,
+  flaggedAt, followedUpAt, followedUpBy, attendance, memberRatings,
+  ratingForMentor, reviewForMentor, ratingForMentee, reviewForMentee
 }
 ----------------------------------------*/
 
-const SUBJECT_OPTIONS = [
-  "DSA",
-  "DBMS",
-  "OS",
-  "CN",
-  "OOP",
-  "Maths",
-  "AI",
-  "ML",
-  "Cyber Security",
-];
 
-const YEAR_OPTIONS = ["1st Year", "2nd Year", "3rd Year", "4th Year"];
-const BRANCH_OPTIONS = ["IT", "CS", "ENTC", "Mechanical", "Civil", "Other"];
+// ----- Persistence -----
+// localStorage by default; see lib/storage for the Supabase adapter.
+const repository = createRepository();
 
-const XP_LEVELS = [
-  { level: 1, min: 0, max: 99 },
-  { level: 2, min: 100, max: 299 },
-  { level: 3, min: 300, max: 699 },
-  { level: 4, min: 700, max: 1499 },
-  { level: 5, min: 1500, max: Infinity },
-];
+// Only when the browser itself sends account emails (see lib/mail.js).
+const mailInConsole = () =>
+  !repository.accounts.remote && getMailTransport().name === "console";
 
-function computeLevel(xp) {
-  const level = XP_LEVELS.find((l) => xp >= l.min && xp <= l.max);
-  return level ? level.level : 1;
+// Current time that re-renders the caller every interval (for "is it over yet?" checks)
+function useNow(intervalMs = 60000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+  return now;
 }
 
-// ----- localStorage helpers -----
-const STORAGE_KEY = "queryup_state_v1";
-
-function loadState() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
+function withUserStats(state, now) {
+  const next = syncXpLedger(state, now);
+  const { users, unlocked } = unlockBadges(
+    {
+      ...next,
+      users: next.users.map((u) => withRatings(u, next.sessions)),
+    },
+    now
+  );
+  return {
+    ...next,
+    users,
+    notifications: [
+      ...next.notifications,
+      ...unlocked.map(({ userId, badge }) =>
+        createNotification(
+          userId,
+          `${badge.icon} You unlocked the "${badge.name}" badge!`,
+          {
+            type: "badge",
+            link: pathFor("user", { id: userId }),
+            factId: `badge:${badge.id}`,
+          }
+        )
+      ),
+    ],
+  };
 }
 
-function saveState(state) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+// A completed session resolves its query; a no-show puts it back in the
+// feed for another mentor.
+function settleQuery(queries, session, by) {
+  const completed = session.status === SESSION_STATUS.COMPLETED;
+  return queries.map((q) =>
+    q.id === session.queryId
+      ? transitionQuery(
+          q,
+          completed ? QUERY_STATUS.RESOLVED : QUERY_STATUS.OPEN,
+          { by, reason: completed ? "Session completed" : "No-show" }
+        )
+      : q
+  );
 }
 
-// Generate simple IDs
-const id = () => Math.random().toString(36).slice(2);
+const OUTCOME_LABELS = {
+  [OUTCOMES.HAPPENED]: "took place",
+  [OUTCOMES.NOT_HAPPENED]: "did not happen",
+};
+
+// Reminders, close-out prompts and flags from the session scheduler, plus
+// the notifications and reopened queries that go with them.
+function scheduleSessions(state, now) {
+  const { sessions, events } = runSessionScheduler(state.sessions, now);
+  if (events.length === 0) return state;
+  const titleOf = (session) =>
+    state.queries.find((q) => q.id === session.queryId)?.title || "a query";
+  const admins = state.users.filter((u) => u.role === "admin");
+  const notices = [];
+  const reopened = new Set();
+  const settled = [];
+
+  for (const { kind, session, reminder } of events) {
+    const title = titleOf(session);
+    const when = new Date(session.dateTime).toLocaleString();
+    const factId = `${kind}:${reminder?.key || ""}:${session.id}:${session.dateTime}`;
+    if (kind === "timedOut") settled.push(session);
+    const message = {
+      reminder: `Reminder: your session for "${title}" ${reminder?.label} (${when}).`,
+      closeOut: `Your session for "${title}" has ended. Mark it completed or not happened within ${CLOSE_OUT_GRACE_HOURS}h.`,
+      flagged: `Your session for "${title}" was never closed out, so it was recorded as not having happened. An admin will follow up.`,
+      timedOut: `Only one of you answered in time, so the session for "${title}" was recorded as ${session.status === SESSION_STATUS.COMPLETED ? "completed" : "not having happened"}.`,
+    }[kind];
+    for (const userId of sessionParticipants(session)) {
+      notices.push(
+        createNotification(userId, message, {
+          type: "session",
+          link: pathFor("sessions"),
+          factId,
+        })
+      );
+    }
+    if (kind === "flagged") {
+      reopened.add(session.queryId);
+      for (const admin of admins) {
+        notices.push(
+          createNotification(
+            admin.id,
+            `The session for "${title}" on ${when} was not closed out and needs follow-up.`,
+            { type: "admin", link: pathFor("admin"), factId }
+          )
+        );
+      }
+    }
+  }
+
+  // Like any no-show, the query goes back in the feed.
+  let queries = state.queries.map((q) =>
+    reopened.has(q.id)
+      ? transitionQuery(q, QUERY_STATUS.OPEN, {
+          reason: "Session not closed out",
+        })
+      : q
+  );
+  for (const session of settled) queries = settleQuery(queries, session, null);
+  const next = {
+    ...state,
+    sessions,
+    queries,
+    notifications: [...state.notifications, ...notices],
+  };
+  return settled.length > 0 ? withUserStats(next, now) : next;
+}
 
 // ----- App Root -----
 export default function App() {
-  const [state, setState] = useState(() => {
-    const initial = loadState();
-    return (
-      initial || {
-        users: [],
-        queries: [],
-        sessions: [],
-        notifications: [],
+  const [state, setState] = useState(emptyState);
+  const [loaded, setLoaded] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+  // The last stored copy this client has seen: the base for merging its own
+  // changes with other clients' (see lib/storage/repository.js).
+  const persistedRef = useRef(null);
+  const syncingRef = useRef(false);
+  const syncCountRef = useRef(0);
+
+  const [loginSession, setLoginSession] = useState(loadLoginSession);
+  const { location, route, navigate } = useRouter();
+
+  // load once, then persist every change through the repository
+  useEffect(() => {
+    let cancelled = false;
+    repository
+      .load()
+      .then((initial) => {
+        if (cancelled) return;
+        const next = normalizeState(initial);
+        persistedRef.current = next;
+        setState(next);
+        setLoaded(true);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error(err);
+        setStorageError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // One write at a time; changes made meanwhile go out once it's done.
+  useEffect(() => {
+    if (!loaded || syncingRef.current || persistedRef.current === state) return;
+    syncingRef.current = true;
+    repository.sync(persistedRef.current, state).then(
+      (stored) => {
+        persistedRef.current = stored;
+        syncingRef.current = false;
+        syncCountRef.current += 1;
+        setStorageError(null);
+        setState((current) =>
+          current === state ? stored : mergeState(state, current, stored)
+        );
+      },
+      (err) => {
+        syncingRef.current = false;
+        console.error(err);
+        setStorageError(err.message);
       }
     );
-  });
+  }, [state, loaded]);
 
-  const [currentUserId, setCurrentUserId] = useState(null);
-  const [route, setRoute] = useState("landing"); // landing | auth | home | post | leader | profile | sessions | admin
-  const [authMode, setAuthMode] = useState("signup");
+  // Pick up other clients' changes: on a timer, when the window regains
+  // focus, and right away when another tab saves to localStorage.
+  useEffect(() => {
+    if (!loaded) return;
+    const refresh = () => {
+      if (syncingRef.current || document.visibilityState === "hidden") return;
+      const syncCount = syncCountRef.current;
+      repository
+        .load()
+        .then((remote) => {
+          // A write finished meanwhile and already merged something newer.
+          if (!remote || syncingRef.current) return;
+          if (syncCountRef.current !== syncCount) return;
+          const base = persistedRef.current;
+          const fresh = normalizeState(remote);
+          persistedRef.current = fresh;
+          setState((current) => mergeState(base, current, fresh));
+        })
+        .catch((err) => {
+          console.error(err);
+          setStorageError(err.message);
+        });
+    };
+    const timer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    window.addEventListener("focus", refresh);
+    window.addEventListener("storage", refresh);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("focus", refresh);
+      window.removeEventListener("storage", refresh);
+    };
+  }, [loaded]);
 
-  // persist
   useEffect(() => {
-    saveState(state);
-  }, [state]);
+    if (!loaded) return;
+    const run = () => setState((prev) => scheduleSessions(prev, Date.now()));
+    const first = setTimeout(run, 0);
+    const timer = setInterval(run, SCHEDULER_INTERVAL_MS);
+    return () => {
+      clearTimeout(first);
+      clearInterval(timer);
+    };
+  }, [loaded]);
 
-  const currentUser = useMemo(
-    () => state.users.find((u) => u.id === currentUserId) || null,
-    [state.users, currentUserId]
-  );
+  // A stored login only counts while the user exists, isn't blocked and
+  // hasn't changed password since it was issued.
+  const currentUser = useMemo(() => {
+    const user = state.users.find((u) => u.id === loginSession?.userId);
+    return isSessionValid(loginSession, user) ? user : null;
+  }, [state.users, loginSession]);
 
-  // XP & rating recompute if needed
-  const updateUserStats = (userId) => {
-    setState((prev) => {
-      const sessionsAsMentor = prev.sessions.filter(
-        (s) =>
-          s.mentorId === userId &&
-          s.status === "Completed" &&
-          typeof s.ratingForMentor === "number"
-      );
+  // XP ledger, ratings and badges recompute after anything that can earn
+  // or cost XP
+  const refreshUserStats = () => {
+    setState((prev) => withUserStats(prev, Date.now()));
+  };
 
-      const xp = sessionsAsMentor.reduce(
-        (acc, s) => acc + s.ratingForMentor * 10,
-        0
-      );
-      const ratingSum = sessionsAsMentor.reduce(
-        (acc, s) => acc + s.ratingForMentor,
-        0
-      );
-      const ratingCount = sessionsAsMentor.length;
-      const ratingAvg = ratingCount ? ratingSum / ratingCount : 0;
-      const level = computeLevel(xp);
+  // Auth handlers
+  const startSession = (user, remember) => {
+    setLoginSession(saveLoginSession(user.id, remember));
+  };
 
-      return {
+  // Account actions run in lib/accounts.js, which owns the passwords and
+  // codes; the user record it hands back replaces ours.
+  const runAccountAction = async (action, params) => {
+    let result;
+    try {
+      result = await repository.accounts[action](params);
+    } catch (err) {
+      console.error(err);
+      alert(err.message);
+      return { error: err.message };
+    }
+    const { user } = result;
+    if (user) {
+      setState((prev) => ({
         ...prev,
-        users: prev.users.map((u) =>
-          u.id === userId ? { ...u, xp, ratingAvg, ratingCount, level } : u
-        ),
-      };
-    });
+        users: prev.users.some((u) => u.id === user.id)
+          ? prev.users.map((u) => (u.id === user.id ? user : u))
+          : [...prev.users, user],
+      }));
+    }
+    if (result.error) alert(result.error);
+    return result;
   };
 
-  // Auth handlers
-  const handleSignup = (email, password) => {
-    if (!email.endsWith("@pccoepune.org")) {
-      alert("Only @pccoepune.org emails are allowed.");
-      return;
-    }
+  const handleSignup = async (rawEmail, password, remember) => {
+    const email = rawEmail.toLowerCase();
     const exists = state.users.some((u) => u.email === email);
     if (exists) {
       alert("User already exists. Please login.");
-      setAuthMode("login");
+      navigate(pathFor("login") + location.search);
       return;
     }
+    const { user } = await runAccountAction("signUp", { email, password });
+    if (!user) return;
+    startSession(user, remember);
+    navigate(pathFor("verify"));
+  };
 
-    const nameDefault = email.split("@")[0].replace(/\./g, " ");
-    const newUser = {
-      id: id(),
-      email,
-      password,
-      name: nameDefault,
-      year: null,
-      branch: null,
-      strongSubjects: [],
-      bio: "",
-      avatar: null,
-      role: state.users.length === 0 ? "admin" : "student", // first user = admin
-      xp: 0,
-      level: 1,
-      ratingAvg: 0,
-      ratingCount: 0,
-      isBlocked: false,
-    };
+  const resendVerification = async () => {
+    if (!currentUser || isEmailVerified(currentUser)) return;
+    await runAccountAction("resendVerification", { userId: currentUser.id });
+  };
 
-    setState((prev) => ({ ...prev, users: [...prev.users, newUser] }));
-    setCurrentUserId(newUser.id);
-    setRoute("profile");
+  const verifyEmail = async (code) => {
+    if (!currentUser) return false;
+    const { user } = await runAccountAction("verifyEmail", {
+      userId: currentUser.id,
+      code,
+    });
+    return Boolean(user);
   };
 
-  const handleLogin = (email, password) => {
-    const user = state.users.find(
-      (u) => u.email === email && u.password === password
-    );
-    if (!user) {
-      alert("Invalid credentials.");
-      return;
-    }
-    if (user.isBlocked) {
-      alert("Your account is blocked. Contact admin.");
-      return;
-    }
-    setCurrentUserId(user.id);
-    if (!user.year || !user.strongSubjects?.length) {
-      setRoute("profile");
+  const handleLogin = async (rawEmail, password, remember) => {
+    const email = rawEmail.toLowerCase();
+    const { user } = await runAccountAction("signIn", { email, password });
+    if (!user) return;
+    startSession(user, remember);
+    if (!isEmailVerified(user)) {
+      navigate(pathFor("verify"));
+    } else if (!user.year || !user.strongSubjects?.length) {
+      navigate(pathFor("settings"));
     } else {
-      setRoute("home");
+      navigate(safeNext(location.query.get("next")) || HOME_PATH);
     }
   };
 
   const handleLogout = () => {
-    setCurrentUserId(null);
-    setRoute("landing");
+    clearLoginSession();
+    setLoginSession(null);
+    navigate(pathFor("landing"));
+  };
+
+  const requestPasswordReset = async (rawEmail) => {
+    await runAccountAction("requestPasswordReset", {
+      email: rawEmail.toLowerCase(),
+    });
+  };
+
+  const resetPassword = async (rawEmail, code, newPassword) => {
+    const { user } = await runAccountAction("resetPassword", {
+      email: rawEmail.toLowerCase(),
+      code,
+      password: newPassword,
+    });
+    if (!user) return false;
+    alert("Password updated. You can log in with your new password.");
+    return true;
+  };
+
+  const changePassword = async (currentPassword, newPassword) => {
+    if (!currentUser) return false;
+    const { user } = await runAccountAction("changePassword", {
+      userId: currentUser.id,
+      currentPassword,
+      password: newPassword,
+    });
+    if (!user) return false;
+    // Other devices are signed out by passwordChangedAt; keep this one.
+    startSession(user, !!loginSession?.remember);
+    alert("Password changed.");
+    return true;
   };
 
   const updateProfile = (updates) => {
@@ -197,220 +574,1453 @@ export default function App() {
     }));
   };
 
+  // Unverified accounts can look around but not post or accept.
+  const requireVerified = (action) => {
+    if (isEmailVerified(currentUser)) return true;
+    alert(`Verify your email before you ${action}.`);
+    navigate(pathFor("verify"));
+    return false;
+  };
+
   // Query operations
+  // Returns the new query's id, or null if it could not be posted.
   const createQuery = (data) => {
-    if (!currentUser) return;
+    if (!currentUser || !requireVerified("post a query")) return null;
+    const budgetError = checkAttachmentBudget(state, data.attachments);
+    if (budgetError) {
+      alert(budgetError);
+      return null;
+    }
     const newQuery = {
       id: id(),
       title: data.title,
       description: data.description,
+      attachments: data.attachments || [],
       subjectTags: data.subjectTags,
       preferredMentorType: data.preferredMentorType,
       preferredMode: data.preferredMode,
       timePreference: data.timePreference,
-      status: "Open",
+      status: QUERY_STATUS.OPEN,
       createdAt: Date.now(),
       askerId: currentUser.id,
+      history: [
+        { status: QUERY_STATUS.OPEN, at: Date.now(), by: currentUser.id },
+      ],
     };
     setState((prev) => ({
       ...prev,
       queries: [newQuery, ...prev.queries],
     }));
+    return newQuery.id;
+  };
+
+  // Asker asks a specific mentor to pick up their open query.
+  const inviteMentor = (queryId, mentorId) => {
+    if (!currentUser) return;
+    setState((prev) => {
+      const q = prev.queries.find((q) => q.id === queryId);
+      if (!q || q.askerId !== currentUser.id) return prev;
+      if (q.status !== QUERY_STATUS.OPEN || isInvited(q, mentorId)) return prev;
+
+      return {
+        ...prev,
+        queries: prev.queries.map((qq) =>
+          qq.id === queryId
+            ? {
+                ...qq,
+                invites: [...(qq.invites || []), { mentorId, at: Date.now() }],
+              }
+            : qq
+        ),
+        notifications: [
+          ...prev.notifications,
+          createNotification(
+            mentorId,
+            `${currentUser.name} invited you to help with "${q.title}".`,
+            { type: "query", link: pathFor("query", { id: queryId }) }
+          ),
+        ],
+      };
+    });
+  };
+
+  const updateQuery = (queryId, updates) => {
+    if (!currentUser) return false;
+    const budgetError =
+      updates.attachments &&
+      checkAttachmentBudget(
+        state,
+        updates.attachments,
+        state.queries.find((q) => q.id === queryId)
+      );
+    if (budgetError) {
+      alert(budgetError);
+      return false;
+    }
+    setState((prev) => ({
+      ...prev,
+      queries: prev.queries.map((q) =>
+        q.id === queryId && q.askerId === currentUser.id && isEditable(q)
+          ? { ...q, ...updates, editedAt: Date.now() }
+          : q
+      ),
+    }));
+    return true;
+  };
+
+  // Asker-driven lifecycle moves: close (with reason), withdraw, reopen
+  const setQueryStatus = (queryId, status, reason = "") => {
+    if (!currentUser) return;
+    setState((prev) => ({
+      ...prev,
+      queries: prev.queries.map((q) =>
+        q.id === queryId && q.askerId === currentUser.id
+          ? transitionQuery(q, status, { by: currentUser.id, reason })
+          : q
+      ),
+    }));
+  };
+
+  // Discussion & quick answers on a query
+  const addComment = (
+    queryId,
+    { body, kind = "comment", parentId = null, attachments = [] }
+  ) => {
+    if (!currentUser || !requireVerified("join the discussion")) return false;
+    const q = state.queries.find((q) => q.id === queryId);
+    const text = body.trim();
+    if (!q || !text) return false;
+    if (kind === "answer" && q.askerId === currentUser.id) {
+      alert("You can’t answer your own query.");
+      return false;
+    }
+    const budgetError = checkAttachmentBudget(state, attachments);
+    if (budgetError) {
+      alert(budgetError);
+      return false;
+    }
+    const comment = createComment({
+      queryId,
+      authorId: currentUser.id,
+      parentId,
+      kind,
+      body: text.slice(0, MAX_COMMENT_LENGTH),
+      attachments,
+    });
+
+    setState((prev) => {
+      const parent = parentId && prev.comments.find((c) => c.id === parentId);
+      const link = pathFor("query", { id: queryId });
+      const recipients = new Map();
+      if (q.askerId !== currentUser.id) {
+        recipients.set(
+          q.askerId,
+          kind === "answer"
+            ? `${currentUser.name} answered your query "${q.title}".`
+            : `${currentUser.name} commented on your query "${q.title}".`
+        );
+      }
+      if (parent && parent.authorId !== currentUser.id) {
+        recipients.set(
+          parent.authorId,
+          `${currentUser.name} replied to your comment on "${q.title}".`
+        );
+      }
+
+      return {
+        ...prev,
+        comments: [...prev.comments, comment],
+        notifications: [
+          ...prev.notifications,
+          ...[...recipients].map(([userId, message]) =>
+            createNotification(userId, message, { type: "query", link })
+          ),
+        ],
+      };
+    });
+    return true;
+  };
+
+  const deleteComment = (commentId) => {
+    if (!currentUser) return;
+    setState((prev) => ({
+      ...prev,
+      comments: prev.comments.map((c) =>
+        c.id === commentId && c.authorId === currentUser.id
+          ? { ...c, body: "", attachments: [], deleted: true }
+          : c
+      ),
+    }));
+  };
+
+  // Accepting an answer resolves an open query without a session.
+  const acceptAnswer = (queryId, answerId) => {
+    if (!currentUser) return;
+    setState((prev) => {
+      const q = prev.queries.find((q) => q.id === queryId);
+      const answer = prev.comments.find((c) => c.id === answerId);
+      if (!q || !answer || q.askerId !== currentUser.id) return prev;
+      if (answer.deleted || answer.kind !== "answer") return prev;
+      // The award is keyed by answer in the append-only XP ledger, so the
+      // choice is final.
+      if (q.acceptedAnswerId) return prev;
+      const accepted = { ...q, acceptedAnswerId: answerId };
+
+      return {
+        ...prev,
+        queries: prev.queries.map((qq) =>
+          qq.id === queryId
+            ? q.status === QUERY_STATUS.OPEN
+              ? transitionQuery(accepted, QUERY_STATUS.RESOLVED, {
+                  by: currentUser.id,
+                  reason: "Answer accepted",
+                })
+              : accepted
+            : qq
+        ),
+        notifications: [
+          ...prev.notifications,
+          createNotification(
+            answer.authorId,
+            `${currentUser.name} accepted your answer on "${q.title}".`,
+            { type: "query", link: pathFor("query", { id: queryId }) }
+          ),
+        ],
+      };
+    });
+    refreshUserStats();
+  };
+
+  // Accepting a query opens a session in "Proposed" with the mentor's slots.
+  // "+1 / join": the current user has the same doubt. Joining seats them in
+  // the query's group session if it has room; leaving frees the seat for
+  // the next joiner in line.
+  const toggleJoinQuery = (queryId) => {
+    if (!currentUser) return;
+    const q = state.queries.find((q) => q.id === queryId);
+    if (!q) return;
+    const leaving = hasJoined(q, currentUser.id);
+    const error = !leaving && joinError(q, currentUser);
+    if (error) {
+      alert(error);
+      return;
+    }
+    const active = state.sessions.find(
+      (s) => s.queryId === queryId && isActiveSession(s)
+    );
+    if (active?.mentorId === currentUser.id) {
+      alert("You're mentoring this query.");
+      return;
+    }
+    if (
+      active?.status === SESSION_STATUS.CONFIRMED &&
+      new Date(active.dateTime).getTime() <= Date.now()
+    ) {
+      alert("The session for this query has already started.");
+      return;
+    }
+    setState((prev) => {
+      const query = prev.queries.find((qq) => qq.id === queryId);
+      if (!query) return prev;
+      const joinerIds = leaving
+        ? (query.joinerIds || []).filter((uid) => uid !== currentUser.id)
+        : [...(query.joinerIds || []), currentUser.id];
+      const notices = [];
+      const sessions = prev.sessions.map((s) => {
+        if (s.queryId !== queryId || !isActiveSession(s)) return s;
+        const before = new Set(s.groupMenteeIds || []);
+        const next = seatJoiners(
+          leaving ? unseat(s, currentUser.id) : s,
+          joinerIds
+        );
+        for (const uid of next.groupMenteeIds || []) {
+          if (before.has(uid)) continue;
+          notices.push(
+            createNotification(
+              uid,
+              uid === currentUser.id
+                ? `You have a seat in the group session for "${query.title}".`
+                : `A seat opened up: you're now in the group session for "${query.title}".`,
+              { type: "session", link: pathFor("sessions") }
+            )
+          );
+        }
+        if (!leaving && next !== s) {
+          notices.push(
+            createNotification(
+              s.mentorId,
+              `${currentUser.name} joined your group session for "${query.title}".`,
+              { type: "session", link: pathFor("sessions") }
+            )
+          );
+        }
+        return next;
+      });
+      if (!leaving) {
+        notices.push(
+          createNotification(
+            query.askerId,
+            `${currentUser.name} has the same doubt as "${query.title}" (+1).`,
+            { type: "query", link: pathFor("query", { id: queryId }) }
+          )
+        );
+      }
+      return {
+        ...prev,
+        queries: prev.queries.map((qq) =>
+          qq.id === queryId ? { ...qq, joinerIds } : qq
+        ),
+        sessions,
+        notifications: [...prev.notifications, ...notices],
+      };
+    });
   };
 
-  const acceptQuery = (queryId) => {
+  const acceptQuery = (queryId, proposalData) => {
     if (!currentUser) return;
     const q = state.queries.find((q) => q.id === queryId);
     if (!q) return;
-    if (q.askerId === currentUser.id) {
-      alert("You cannot accept your own query.");
+    const asker = state.users.find((u) => u.id === q.askerId);
+    const { eligible, issues } = checkEligibility(q, currentUser, asker, {
+      mode: proposalData.mode,
+    });
+    if (!eligible) {
+      alert(
+        issues
+          .filter((i) => i.blocking)
+          .map((i) => i.message)
+          .join("\n")
+      );
       return;
     }
-    // Check if already has a session
-    const existing = state.sessions.find((s) => s.queryId === queryId);
+    if (q.status !== QUERY_STATUS.OPEN) {
+      alert("This query is no longer open.");
+      return;
+    }
+    if (!requireVerified("accept a query")) return;
+    // Check if already has a live session
+    const existing = state.sessions.find(
+      (s) => s.queryId === queryId && isActiveSession(s)
+    );
     if (existing) {
       alert("This query already has a mentor.");
       return;
     }
+    const now = Date.now();
+    const taken = proposalData.slots.filter(
+      (slot) =>
+        !isOpenSlot(currentUser, slot, state.sessions, { now }) ||
+        !matchesTimePreference(slot, q.timePreference) ||
+        conflictingSession(q.askerId, slot, state.sessions)
+    );
+    if (taken.length > 0) {
+      alert(
+        "Some of those times are no longer open in your schedule. Pick again from your open slots."
+      );
+      return;
+    }
+    const warnings = issues.filter((i) => !i.blocking);
+    if (
+      warnings.length > 0 &&
+      !confirm(
+        `${warnings.map((i) => i.message).join("\n")}\n\nSend your proposal anyway?`
+      )
+    )
+      return;
 
-    const dateTime = new Date();
-    dateTime.setHours(dateTime.getHours() + 1);
-
-    const newSession = {
-      id: id(),
-      queryId,
-      mentorId: currentUser.id,
-      menteeId: q.askerId,
-      dateTime: dateTime.toISOString(),
-      mode: q.preferredMode === "Offline" ? "Offline" : "Online",
-      locationOrLink:
-        q.preferredMode === "Offline"
-          ? "PCCOE Library"
-          : "https://meet.google.com/example",
-      status: "Confirmed", // MVP auto-confirm
-      ratingForMentor: null,
-      ratingForMentee: null,
-    };
+    const proposal = createProposal(currentUser.id, proposalData);
+    const capacity = Math.min(
+      Math.max(1, proposalData.capacity || 1),
+      MAX_GROUP_SIZE
+    );
+    const newSession = seatJoiners(
+      {
+        id: id(),
+        queryId,
+        mentorId: currentUser.id,
+        menteeId: q.askerId,
+        capacity,
+        groupMenteeIds: [],
+        dateTime: null,
+        mode: proposal.mode,
+        locationOrLink: proposal.locationOrLink,
+        proposals: [proposal],
+        status: SESSION_STATUS.PROPOSED,
+        ratingForMentor: null,
+        ratingForMentee: null,
+      },
+      q.joinerIds || []
+    );
 
     setState((prev) => ({
       ...prev,
       sessions: [...prev.sessions, newSession],
       queries: prev.queries.map((qq) =>
-        qq.id === queryId ? { ...qq, status: "In Progress" } : qq
+        qq.id === queryId
+          ? transitionQuery(qq, QUERY_STATUS.IN_PROGRESS, {
+              by: currentUser.id,
+            })
+          : qq
       ),
       notifications: [
         ...prev.notifications,
-        {
-          id: id(),
-          userId: q.askerId,
-          message: `Your query "${q.title}" has been accepted by ${currentUser.name}.`,
-          read: false,
-          createdAt: Date.now(),
-        },
+        createNotification(
+          q.askerId,
+          `${currentUser.name} offered to help with "${q.title}" and proposed ${proposal.slots.length} time slot(s). Pick one in My Sessions.`,
+          { type: "query", link: pathFor("sessions") }
+        ),
+        ...newSession.groupMenteeIds.map((uid) =>
+          createNotification(
+            uid,
+            `${currentUser.name} is running a group session for "${q.title}" and you have a seat. ${asker?.name || "The asker"} is agreeing the time.`,
+            { type: "session", link: pathFor("sessions") }
+          )
+        ),
       ],
     }));
 
-    alert("You are now the mentor for this query! Session auto-scheduled.");
+    alert("Proposal sent! The asker will pick a slot or suggest another.");
+  };
+
+  // Session scheduling: responses to the pending proposal
+  const acceptProposal = (sessionId, slot) => {
+    const session = state.sessions.find((s) => s.id === sessionId);
+    if (!session) return;
+    if (new Date(slot).getTime() <= Date.now()) {
+      alert("That time has already passed. Suggest other times instead.");
+      return;
+    }
+    // Offered slots are held, but confirmed sessions elsewhere still win.
+    // Group joiners don't block a time; they can leave if it doesn't suit.
+    const clash = [session.mentorId, session.menteeId].some((uid) =>
+      conflictingSession(uid, slot, state.sessions, {
+        exceptSessionId: sessionId,
+        confirmedOnly: true,
+      })
+    );
+    if (clash) {
+      alert(
+        "That time now clashes with another confirmed session. Suggest other times instead."
+      );
+      return;
+    }
+    setState((prev) => {
+      const session = prev.sessions.find((s) => s.id === sessionId);
+      const pending = session && pendingProposal(session);
+      const rescheduling = session?.status === SESSION_STATUS.CONFIRMED;
+      if (
+        !pending ||
+        awaitingResponseFrom(session) !== currentUser.id ||
+        !pending.slots.includes(slot) ||
+        new Date(slot).getTime() <= Date.now() ||
+        !(
+          rescheduling ||
+          canTransition(session.status, SESSION_STATUS.CONFIRMED)
+        )
+      )
+        return prev;
+      const q = prev.queries.find((q) => q.id === session.queryId);
+      const when = new Date(slot).toLocaleString();
+
+      return {
+        ...prev,
+        sessions: prev.sessions.map((s) =>
+          s.id === sessionId
+            ? {
+                ...s,
+                status: SESSION_STATUS.CONFIRMED,
+                dateTime: slot,
+                // Reminders were stamped for the old time.
+                reminders: s.dateTime === slot ? s.reminders : {},
+                mode: pending.mode,
+                locationOrLink: pending.locationOrLink,
+                proposals: resolvePending(s.proposals, "Accepted"),
+              }
+            : s
+        ),
+        notifications: [
+          ...prev.notifications,
+          createNotification(
+            pending.by,
+            rescheduling
+              ? `${currentUser.name} moved the session for "${q?.title || "a query"}" to ${when}.`
+              : `${currentUser.name} confirmed the session for "${q?.title || "a query"}" on ${when}.`,
+            { type: "session", link: pathFor("sessions") }
+          ),
+          ...(session.groupMenteeIds || []).map((uid) =>
+            createNotification(
+              uid,
+              `The group session for "${q?.title || "a query"}" is ${rescheduling ? "now" : "set for"} ${when}.`,
+              { type: "session", link: pathFor("sessions") }
+            )
+          ),
+        ],
+      };
+    });
+  };
+
+  const counterProposal = (sessionId, proposalData) => {
+    const session = state.sessions.find((s) => s.id === sessionId);
+    if (!session) return;
+    const mentor = state.users.find((u) => u.id === session.mentorId);
+    const now = Date.now();
+    const taken = proposalData.slots.filter(
+      (slot) =>
+        !mentor ||
+        !isOpenSlot(mentor, slot, state.sessions, {
+          now,
+          exceptSessionId: sessionId,
+        }) ||
+        conflictingSession(session.menteeId, slot, state.sessions, {
+          exceptSessionId: sessionId,
+        })
+    );
+    if (taken.length > 0) {
+      alert(
+        "Some of those times are no longer open. Pick again from the open slots."
+      );
+      return;
+    }
+    setState((prev) => {
+      const session = prev.sessions.find((s) => s.id === sessionId);
+      const rescheduling = session?.status === SESSION_STATUS.CONFIRMED;
+      if (
+        !session ||
+        ![session.mentorId, session.menteeId].includes(currentUser.id) ||
+        !(
+          rescheduling ||
+          (session.status === SESSION_STATUS.PROPOSED &&
+            awaitingResponseFrom(session) === currentUser.id)
+        )
+      )
+        return prev;
+      const q = prev.queries.find((q) => q.id === session.queryId);
+      const otherId =
+        session.mentorId === currentUser.id
+          ? session.menteeId
+          : session.mentorId;
+      const proposal = createProposal(currentUser.id, proposalData);
+
+      return {
+        ...prev,
+        sessions: prev.sessions.map((s) =>
+          s.id === sessionId
+            ? {
+                ...s,
+                proposals: [
+                  ...resolvePending(s.proposals, "Countered"),
+                  proposal,
+                ],
+              }
+            : s
+        ),
+        notifications: [
+          ...prev.notifications,
+          createNotification(
+            otherId,
+            rescheduling
+              ? `${currentUser.name} asked to move your session for "${q?.title || "a query"}" to another time.`
+              : `${currentUser.name} suggested different times for "${q?.title || "a query"}".`,
+            { type: "session", link: pathFor("sessions") }
+          ),
+        ],
+      };
+    });
+  };
+
+  // Turning down (or withdrawing) a request to move a confirmed session.
+  const declineReschedule = (sessionId) => {
+    setState((prev) => {
+      const session = prev.sessions.find((s) => s.id === sessionId);
+      const pending = session && pendingProposal(session);
+      if (
+        !pending ||
+        session.status !== SESSION_STATUS.CONFIRMED ||
+        ![session.mentorId, session.menteeId].includes(currentUser.id)
+      )
+        return prev;
+      const q = prev.queries.find((q) => q.id === session.queryId);
+      const withdrawn = pending.by === currentUser.id;
+      const otherId =
+        session.mentorId === currentUser.id
+          ? session.menteeId
+          : session.mentorId;
+
+      return {
+        ...prev,
+        sessions: prev.sessions.map((s) =>
+          s.id === sessionId
+            ? { ...s, proposals: resolvePending(s.proposals, "Declined") }
+            : s
+        ),
+        notifications: [
+          ...prev.notifications,
+          createNotification(
+            otherId,
+            withdrawn
+              ? `${currentUser.name} withdrew their request to move the session for "${q?.title || "a query"}".`
+              : `${currentUser.name} kept the original time for "${q?.title || "a query"}".`,
+            { type: "session", link: pathFor("sessions") }
+          ),
+        ],
+      };
+    });
+  };
+
+  // Declining a proposal or cancelling a confirmed session frees the query.
+  const cancelSession = (sessionId) => {
+    setState((prev) => {
+      const session = prev.sessions.find((s) => s.id === sessionId);
+      if (
+        !session ||
+        ![session.mentorId, session.menteeId].includes(currentUser.id) ||
+        !canTransition(session.status, SESSION_STATUS.CANCELLED)
+      )
+        return prev;
+      const q = prev.queries.find((q) => q.id === session.queryId);
+      const otherId =
+        session.mentorId === currentUser.id
+          ? session.menteeId
+          : session.mentorId;
+      const wasProposed = session.status === SESSION_STATUS.PROPOSED;
+
+      return {
+        ...prev,
+        sessions: prev.sessions.map((s) =>
+          s.id === sessionId
+            ? {
+                ...s,
+                status: SESSION_STATUS.CANCELLED,
+                proposals: resolvePending(s.proposals || [], "Declined"),
+              }
+            : s
+        ),
+        queries: prev.queries.map((qq) =>
+          qq.id === session.queryId
+            ? transitionQuery(qq, QUERY_STATUS.OPEN, {
+                by: currentUser.id,
+                reason: wasProposed ? "Proposal declined" : "Session cancelled",
+              })
+            : qq
+        ),
+        notifications: [
+          ...prev.notifications,
+          createNotification(
+            otherId,
+            wasProposed
+              ? `${currentUser.name} declined the session proposal for "${q?.title || "a query"}".`
+              : `${currentUser.name} cancelled the session for "${q?.title || "a query"}".`,
+            { type: "session", link: pathFor("sessions") }
+          ),
+          ...(session.groupMenteeIds || []).map((uid) =>
+            createNotification(
+              uid,
+              `The group session for "${q?.title || "a query"}" was cancelled. You're still on the query if someone else picks it up.`,
+              { type: "session", link: pathFor("sessions") }
+            )
+          ),
+        ],
+      };
+    });
+  };
+
+  // Records what the current user says happened; the session only
+  // finalizes once both answers agree (see lib/attestations.js).
+  // Mentors of group sessions also say who attended.
+  const attestSession = (
+    sessionId,
+    didHappen,
+    statement = "",
+    attendance = null
+  ) => {
+    setState((prev) => {
+      const session = prev.sessions.find((s) => s.id === sessionId);
+      if (
+        !session ||
+        session.status !== SESSION_STATUS.CONFIRMED ||
+        ![session.mentorId, session.menteeId].includes(currentUser.id) ||
+        attestationOf(session, currentUser.id)
+      )
+        return prev;
+      const q = prev.queries.find((q) => q.id === session.queryId);
+      const title = q?.title || "a query";
+      const otherId =
+        session.mentorId === currentUser.id
+          ? session.menteeId
+          : session.mentorId;
+      const attested = {
+        ...session,
+        attestations: {
+          ...session.attestations,
+          [currentUser.id]: createAttestation(didHappen, statement),
+        },
+        ...(attendance && session.mentorId === currentUser.id
+          ? { attendance }
+          : {}),
+      };
+      const verdict = attestedVerdict(attested);
+      const next = verdict ? { ...attested, ...verdict } : attested;
+      const said = didHappen ? "took place" : "did not happen";
+
+      const notices = [];
+      if (!verdict) {
+        notices.push(
+          createNotification(
+            otherId,
+            `${currentUser.name} says your session for "${title}" ${said}. Confirm or disagree within ${ATTESTATION_TIMEOUT_HOURS}h, otherwise their answer stands.`,
+            { type: "session", link: pathFor("sessions") }
+          )
+        );
+      } else if (verdict.status === SESSION_STATUS.DISPUTED) {
+        notices.push(
+          createNotification(
+            otherId,
+            `${currentUser.name} disagrees about whether your session for "${title}" took place. An admin will review it.`,
+            { type: "session", link: pathFor("sessions") }
+          ),
+          ...prev.users
+            .filter((u) => u.role === "admin")
+            .map((admin) =>
+              createNotification(
+                admin.id,
+                `The session for "${title}" is disputed and needs review.`,
+                { type: "admin", link: pathFor("admin") }
+              )
+            )
+        );
+      } else {
+        notices.push(
+          createNotification(
+            otherId,
+            verdict.status === SESSION_STATUS.COMPLETED
+              ? `${currentUser.name} also confirmed your session for "${title}" took place. Don't forget to rate it!`
+              : `${currentUser.name} also says your session for "${title}" did not happen.`,
+            { type: "session", link: pathFor("sessions") }
+          )
+        );
+      }
+
+      const final =
+        verdict && verdict.status !== SESSION_STATUS.DISPUTED;
+      return {
+        ...prev,
+        sessions: prev.sessions.map((s) => (s.id === sessionId ? next : s)),
+        queries: final
+          ? settleQuery(prev.queries, next, currentUser.id)
+          : prev.queries,
+        notifications: [...prev.notifications, ...notices],
+      };
+    });
+    refreshUserStats();
   };
 
-  const markSessionComplete = (sessionId, asUser, didHappen) => {
+  // Participants can add to their side while a dispute is open.
+  const updateStatement = (sessionId, statement) => {
     setState((prev) => ({
       ...prev,
-      sessions: prev.sessions.map((s) =>
-        s.id === sessionId
-          ? { ...s, status: didHappen ? "Completed" : "No-show" }
-          : s
-      ),
+      sessions: prev.sessions.map((s) => {
+        const mine = attestationOf(s, currentUser.id);
+        if (s.id !== sessionId || !mine) return s;
+        if (s.status !== SESSION_STATUS.DISPUTED) return s;
+        return {
+          ...s,
+          attestations: {
+            ...s.attestations,
+            [currentUser.id]: {
+              ...mine,
+              statement: statement.trim().slice(0, MAX_STATEMENT_LENGTH),
+            },
+          },
+        };
+      }),
     }));
   };
 
-  const rateSession = (sessionId, ratingValue, forMentor) => {
+  // Ratings are write-once: the XP ledger keeps the award for the first one.
+  const rateSession = (sessionId, ratingValue, forMentor, review = "") => {
+    const text = review.trim().slice(0, MAX_REVIEW_LENGTH) || null;
     setState((prev) => {
+      const session = prev.sessions.find((s) => s.id === sessionId);
+      if (!session || session.status !== SESSION_STATUS.COMPLETED) return prev;
+      const asJoiner = forMentor && currentUser.id !== session.menteeId;
+      const allowed = asJoiner
+        ? currentUser.id !== session.mentorId &&
+          attendees(session).includes(currentUser.id) &&
+          !session.memberRatings?.[currentUser.id]
+        : forMentor
+          ? session.ratingForMentor == null
+          : currentUser.id === session.mentorId &&
+            session.ratingForMentee == null;
+      if (!allowed) return prev;
       const nextSessions = prev.sessions.map((s) => {
         if (s.id !== sessionId) return s;
+        if (asJoiner) {
+          return {
+            ...s,
+            memberRatings: {
+              ...s.memberRatings,
+              [currentUser.id]: {
+                rating: ratingValue,
+                review: text,
+                at: Date.now(),
+              },
+            },
+          };
+        }
         if (forMentor) {
-          return { ...s, ratingForMentor: ratingValue };
+          return { ...s, ratingForMentor: ratingValue, reviewForMentor: text };
         } else {
-          return { ...s, ratingForMentee: ratingValue };
+          return { ...s, ratingForMentee: ratingValue, reviewForMentee: text };
         }
       });
+      const q = prev.queries.find((q) => q.id === session.queryId);
+      const ratedId = forMentor ? session.mentorId : session.menteeId;
 
       return {
         ...prev,
         sessions: nextSessions,
+        notifications: [
+          ...prev.notifications,
+          createNotification(
+            ratedId,
+            `${currentUser.name} rated you ★ ${ratingValue}${text ? " and left a review" : ""} for "${q?.title || "a session"}".`,
+            { type: "rating", link: pathFor("user", { id: ratedId }) }
+          ),
+        ],
       };
     });
 
-    const s = state.sessions.find((s) => s.id === sessionId);
-    if (s && forMentor) {
-      // update mentor XP and rating
-      updateUserStats(s.mentorId);
-    }
+    refreshUserStats();
   };
 
-  // Leaderboard compute
-  const leaderboard = useMemo(() => {
-    const sorted = [...state.users].sort((a, b) => {
-      if (b.xp !== a.xp) return b.xp - a.xp;
-      if (b.ratingAvg !== a.ratingAvg) return b.ratingAvg - a.ratingAvg;
-      const aSessions = state.sessions.filter(
-        (s) => s.mentorId === a.id && s.status === "Completed"
-      ).length;
-      const bSessions = state.sessions.filter(
-        (s) => s.mentorId === b.id && s.status === "Completed"
-      ).length;
-      if (bSessions !== aSessions) return bSessions - aSessions;
-      return a.id.localeCompare(b.id);
-    });
-    return sorted;
-  }, [state.users, state.sessions]);
-
-  // Admin actions
-  const toggleBlockUser = (userId) => {
-    setState((prev) => ({
-      ...prev,
-      users: prev.users.map((u) =>
-        u.id === userId ? { ...u, isBlocked: !u.isBlocked } : u
-      ),
-    }));
-  };
+  // Session chat
+  const sendMessage = (sessionId, body) => {
+    if (!currentUser) return false;
+    const text = body.trim();
+    if (!text) return false;
+    const message = createMessage(
+      currentUser.id,
+      text.slice(0, MAX_MESSAGE_LENGTH)
+    );
 
-  const isAuthed = !!currentUser;
+    setState((prev) => {
+      const session = prev.sessions.find((s) => s.id === sessionId);
+      if (
+        !session ||
+        isChatLocked(session) ||
+        !sessionParticipants(session).includes(currentUser.id)
+      ) {
+        return prev;
+      }
+      const q = prev.queries.find((q) => q.id === session.queryId);
+      const key = chatNotificationKey(sessionId);
+      // One unread "new messages" notification per recipient is enough.
+      const notify = sessionParticipants(session)
+        .filter((uid) => uid !== currentUser.id)
+        .filter((uid) => !hasUnread(prev.notifications, uid, key))
+        .map((uid) =>
+          createNotification(
+            uid,
+            `New message from ${currentUser.name} about "${q?.title || "your session"}".`,
+            { type: "chat", link: pathFor("sessions"), key }
+          )
+        );
 
-  return (
-    <div className="min-h-screen text-slate-100">
-      <div className="scanlines">
+      return {
+        ...prev,
+        sessions: prev.sessions.map((s) =>
+          s.id === sessionId
+            ? { ...s, messages: [...(s.messages || []), message] }
+            : s
+        ),
+        notifications: [...prev.notifications, ...notify],
+      };
+    });
+    return true;
+  };
+
+  // Opening a chat marks its messages and their notification as read.
+  const markChatRead = (sessionId) => {
+    if (!currentUser) return;
+    setState((prev) => {
+      const session = prev.sessions.find((s) => s.id === sessionId);
+      if (!session || unreadMessages(session, currentUser.id).length === 0) {
+        return prev;
+      }
+      const key = chatNotificationKey(sessionId);
+      return {
+        ...prev,
+        sessions: prev.sessions.map((s) =>
+          s.id === sessionId
+            ? { ...s, messages: markMessagesRead(s.messages, currentUser.id) }
+            : s
+        ),
+        notifications: prev.notifications.map((n) =>
+          n.userId === currentUser.id && n.key === key ? { ...n, read: true } : n
+        ),
+      };
+    });
+  };
+
+  // Notifications
+  const myNotifications = useMemo(
+    () =>
+      currentUser ? notificationsFor(state.notifications, currentUser.id) : [],
+    [state.notifications, currentUser]
+  );
+
+  const markNotificationRead = (notificationId) => {
+    setState((prev) => ({
+      ...prev,
+      notifications: prev.notifications.map((n) =>
+        n.id === notificationId ? { ...n, read: true } : n
+      ),
+    }));
+  };
+
+  const markAllNotificationsRead = () => {
+    if (!currentUser) return;
+    setState((prev) => ({
+      ...prev,
+      notifications: prev.notifications.map((n) =>
+        n.userId === currentUser.id ? { ...n, read: true } : n
+      ),
+    }));
+  };
+
+  const openNotification = (notification) => {
+    markNotificationRead(notification.id);
+    if (notification.link) navigate(notification.link);
+  };
+
+  // Reports
+  const reportContent = (targetType, targetId, { reason, details }) => {
+    if (!currentUser) return false;
+    const target = findTarget(state, targetType, targetId);
+    if (!target) return false;
+    const subjectUserId = responsibleUserId(targetType, target, currentUser.id);
+    if (subjectUserId === currentUser.id) {
+      alert("You can’t report your own content.");
+      return false;
+    }
+    if (!reason) {
+      alert("Pick a reason for the report.");
+      return false;
+    }
+    if (details.length > MAX_REPORT_DETAILS) {
+      alert(`Details can be at most ${MAX_REPORT_DETAILS} characters.`);
+      return false;
+    }
+    const reporter = { targetType, targetId, reporterId: currentUser.id };
+    if (hasOpenReport(state.reports, reporter)) {
+      alert("You’ve already reported this. An admin will review it soon.");
+      return false;
+    }
+
+    setState((prev) => {
+      // Admins hear about a target once, not once per report.
+      const alreadyQueued = hasOpenReport(prev.reports, {
+        targetType,
+        targetId,
+      });
+      const admins = prev.users.filter(
+        (u) => u.role === "admin" && u.id !== currentUser.id
+      );
+      return {
+        ...prev,
+        reports: [
+          ...prev.reports,
+          createReport({
+            ...reporter,
+            subjectUserId,
+            reason,
+            details: details.trim(),
+          }),
+        ],
+        notifications: alreadyQueued
+          ? prev.notifications
+          : [
+              ...prev.notifications,
+              ...admins.map((a) =>
+                createNotification(
+                  a.id,
+                  `New report on a ${REPORT_TARGET_LABELS[targetType]}: ${reason}.`,
+                  { type: "admin", link: pathFor("admin") }
+                )
+              ),
+            ],
+      };
+    });
+    alert("Thanks for the report. An admin will review it.");
+    return true;
+  };
+
+  // Admin actions
+  const setBlocked = (prev, userId, blocked, auditEntry) => ({
+    ...prev,
+    users: prev.users.map((u) =>
+      u.id === userId ? { ...u, isBlocked: blocked } : u
+    ),
+    notifications: [
+      ...prev.notifications,
+      createNotification(
+        userId,
+        blocked
+          ? "Your account has been blocked by an admin."
+          : "Your account has been unblocked by an admin.",
+        { type: "admin" }
+      ),
+    ],
+    auditLog: [...prev.auditLog, auditEntry],
+  });
+
+  const toggleBlockUser = (userId) => {
+    if (currentUser?.role !== "admin") return;
+    setState((prev) => {
+      const target = prev.users.find((u) => u.id === userId);
+      if (!target) return prev;
+      return setBlocked(
+        prev,
+        userId,
+        !target.isBlocked,
+        createAuditEntry({
+          actorId: currentUser.id,
+          action: target.isBlocked ? "unblock" : "block",
+          targetType: "user",
+          targetId: userId,
+          subjectUserId: userId,
+        })
+      );
+    });
+  };
+
+  const setHidden = (prev, targetType, targetId, hidden) => {
+    const key = targetType === "query" ? "queries" : "comments";
+    return {
+      ...prev,
+      [key]: prev[key].map((item) =>
+        item.id === targetId ? { ...item, hidden } : item
+      ),
+    };
+  };
+
+  // Decides every open report on one target.
+  const moderate = (targetType, targetId, action, note = "") => {
+    if (currentUser?.role !== "admin") return;
+    const pending = state.reports.filter(
+      (r) =>
+        r.status === REPORT_STATUS.OPEN &&
+        r.targetType === targetType &&
+        r.targetId === targetId
+    );
+    if (pending.length === 0) return;
+    const subjectUserId = pending[0].subjectUserId;
+    const subject = state.users.find((u) => u.id === subjectUserId);
+    if (
+      action === "block" &&
+      !confirm(
+        `Block ${subject?.name || "this user"}? They won’t be able to log in.`
+      )
+    )
+      return;
+
+    setState((prev) => {
+      const now = Date.now();
+      const label = REPORT_TARGET_LABELS[targetType];
+      const ids = new Set(pending.map((r) => r.id));
+      const entry = createAuditEntry({
+        actorId: currentUser.id,
+        action,
+        targetType,
+        targetId,
+        subjectUserId,
+        reportIds: [...ids],
+        note: note.trim(),
+      });
+      let next = {
+        ...prev,
+        reports: prev.reports.map((r) =>
+          ids.has(r.id)
+            ? {
+                ...r,
+                status:
+                  action === "dismiss"
+                    ? REPORT_STATUS.DISMISSED
+                    : REPORT_STATUS.ACTIONED,
+                resolvedAt: now,
+                resolvedBy: currentUser.id,
+                action,
+              }
+            : r
+        ),
+      };
+      const reasons = [...new Set(pending.map((r) => r.reason))].join(", ");
+      const noteText = entry.note ? ` Note: ${entry.note}` : "";
+      const outcome = {
+        dismiss: "no action was needed",
+        warn: "the user was warned",
+        hide: `the ${label} was hidden`,
+        block: "the user was blocked",
+      }[action];
+      const notices = [...new Set(pending.map((r) => r.reporterId))].map(
+        (uid) =>
+          createNotification(
+            uid,
+            `An admin reviewed your report on a ${label}: ${outcome}.`,
+            { type: "admin" }
+          )
+      );
+
+      if (action === "block") {
+        next = setBlocked(next, subjectUserId, true, entry);
+      } else {
+        if (action === "hide") {
+          next = setHidden(next, targetType, targetId, true);
+          notices.push(
+            createNotification(
+              subjectUserId,
+              `An admin hid your ${label} after reports (${reasons}).${noteText}`,
+              { type: "admin" }
+            )
+          );
+        } else if (action === "warn") {
+          notices.push(
+            createNotification(
+              subjectUserId,
+              `An admin warned you about your ${label} (${reasons}).${noteText}`,
+              { type: "admin" }
+            )
+          );
+        }
+        next = { ...next, auditLog: [...next.auditLog, entry] };
+      }
+      return { ...next, notifications: [...next.notifications, ...notices] };
+    });
+  };
+
+  // Admin verdict on a disputed session, or on one the scheduler flagged
+  // because nobody closed it: whether it happened and who missed it, if
+  // anyone. A named user gets the usual no-show penalty.
+  const reviewSession = (sessionId, { happened, noShowUserId }, note = "") => {
+    if (currentUser?.role !== "admin") return;
+    setState((prev) => {
+      const session = prev.sessions.find((s) => s.id === sessionId);
+      const disputed = session?.status === SESSION_STATUS.DISPUTED;
+      if (!session || !(disputed || needsFollowUp(session))) return prev;
+      const q = prev.queries.find((q) => q.id === session.queryId);
+      const title = q?.title || "a query";
+      const reviewed = {
+        ...session,
+        status: happened ? SESSION_STATUS.COMPLETED : SESSION_STATUS.NO_SHOW,
+        noShowUserId: happened ? null : noShowUserId,
+        followedUpAt: Date.now(),
+        followedUpBy: currentUser.id,
+      };
+      const missedBy = prev.users.find(
+        (u) => u.id === reviewed.noShowUserId
+      );
+
+      const notices = [];
+      if (disputed || happened) {
+        const outcome =
+          reviewed.status === SESSION_STATUS.COMPLETED
+            ? "completed"
+            : `not having happened${missedBy ? ` (missed by ${missedBy.name})` : ""}`;
+        for (const userId of sessionParticipants(session)) {
+          notices.push(
+            createNotification(
+              userId,
+              `An admin reviewed the ${disputed ? "disputed" : "unclosed"} session for "${title}" and recorded it as ${outcome}.`,
+              { type: "admin", link: pathFor("sessions") }
+            )
+          );
+        }
+      } else if (missedBy) {
+        notices.push(
+          createNotification(
+            missedBy.id,
+            `An admin recorded that you missed the session for "${title}".`,
+            { type: "admin", link: pathFor("sessions") }
+          )
+        );
+      }
+
+      return {
+        ...prev,
+        sessions: prev.sessions.map((s) => (s.id === sessionId ? reviewed : s)),
+        // A flagged session's query was already reopened; it only resolves
+        // if no other mentor has picked it up since.
+        queries:
+          disputed || q?.status === QUERY_STATUS.OPEN
+            ? settleQuery(prev.queries, reviewed, currentUser.id)
+            : prev.queries,
+        auditLog: [
+          ...prev.auditLog,
+          createAuditEntry({
+            actorId: currentUser.id,
+            action: disputed ? "resolveDispute" : "followUp",
+            targetType: "session",
+            targetId: sessionId,
+            subjectUserId: reviewed.noShowUserId,
+            note: note.trim(),
+          }),
+        ],
+        notifications: [...prev.notifications, ...notices],
+      };
+    });
+    refreshUserStats();
+  };
+
+  const unhideContent = (targetType, targetId) => {
+    if (currentUser?.role !== "admin") return;
+    setState((prev) => {
+      const target = findTarget(prev, targetType, targetId);
+      if (!target?.hidden) return prev;
+      const next = setHidden(prev, targetType, targetId, false);
+      return {
+        ...next,
+        auditLog: [
+          ...next.auditLog,
+          createAuditEntry({
+            actorId: currentUser.id,
+            action: "unhide",
+            targetType,
+            targetId,
+            subjectUserId: responsibleUserId(targetType, target, null),
+          }),
+        ],
+      };
+    });
+  };
+
+  // Re-awards everyone's XP under the current rules (after a rules change).
+  const recomputeAllXp = () => {
+    if (currentUser?.role !== "admin") return;
+    if (
+      !confirm(
+        `Recompute XP for every user with rules v${XP_RULES.version}? Existing awards are replaced.`
+      )
+    )
+      return;
+    setState((prev) => recomputeXp(prev, Date.now()));
+    alert("XP recomputed.");
+  };
+
+  const isAuthed = !!currentUser;
+
+  // Route guards only make sense once users are loaded.
+  const redirect = loaded ? guardRoute(route, currentUser, location) : null;
+  useEffect(() => {
+    if (redirect) navigate(redirect, { replace: true });
+  }, [redirect, navigate]);
+
+  const renderRoute = () => {
+    const { name, params } = route;
+    const byName = {
+      landing: () => <Landing navigate={navigate} />,
+      login: () => renderAuth("login"),
+      signup: () => renderAuth("signup"),
+      resetPassword: () => renderAuth("reset"),
+      verify: () => (
+        <VerifyEmailPage
+          user={currentUser}
+          verifyEmail={verifyEmail}
+          resendVerification={resendVerification}
+          onDone={() => navigate(pathFor("settings"))}
+        />
+      ),
+      settings: () => (
+        <div className="space-y-6">
+          <ProfileSetup
+            user={currentUser}
+            updateProfile={updateProfile}
+            onDone={() => navigate(HOME_PATH)}
+          />
+          <AvailabilityCard
+            user={currentUser}
+            updateProfile={updateProfile}
+          />
+          <ChangePasswordCard changePassword={changePassword} />
+        </div>
+      ),
+      home: () => (
+        <HomeFeed
+          currentUser={currentUser}
+          state={state}
+          acceptQuery={acceptQuery}
+          navigate={navigate}
+        />
+      ),
+      post: () => (
+        <PostQueryPage createQuery={createQuery} navigate={navigate} />
+      ),
+      query: () => {
+        const query = state.queries.find((q) => q.id === params.id);
+        const canSee =
+          query &&
+          (!query.hidden ||
+            query.askerId === currentUser.id ||
+            currentUser.role === "admin");
+        if (!canSee) return <NotFound navigate={navigate} isAuthed={isAuthed} />;
+        return (
+          <QueryDetailPage
+            query={query}
+            currentUser={currentUser}
+            state={state}
+            acceptQuery={acceptQuery}
+            toggleJoinQuery={toggleJoinQuery}
+            addComment={addComment}
+            deleteComment={deleteComment}
+            acceptAnswer={acceptAnswer}
+            inviteMentor={inviteMentor}
+            reportContent={reportContent}
+            unhideContent={unhideContent}
+            navigate={navigate}
+          />
+        );
+      },
+      search: () => (
+        <SearchPage state={state} location={location} navigate={navigate} />
+      ),
+      myQueries: () => (
+        <MyQueriesPage
+          currentUser={currentUser}
+          state={state}
+          updateQuery={updateQuery}
+          setQueryStatus={setQueryStatus}
+          navigate={navigate}
+        />
+      ),
+      leader: () => (
+        <LeaderboardPage
+          state={state}
+          currentUser={currentUser}
+          navigate={navigate}
+        />
+      ),
+      user: () => {
+        const user = state.users.find((u) => u.id === params.id);
+        if (!user) return <NotFound navigate={navigate} isAuthed={isAuthed} />;
+        return (
+          <ProfileViewPage
+            user={user}
+            state={state}
+            currentUser={currentUser}
+            reportContent={reportContent}
+            navigate={navigate}
+          />
+        );
+      },
+      sessions: () => (
+        <SessionsPage
+          currentUser={currentUser}
+          state={state}
+          attestSession={attestSession}
+          updateStatement={updateStatement}
+          rateSession={rateSession}
+          acceptProposal={acceptProposal}
+          counterProposal={counterProposal}
+          declineReschedule={declineReschedule}
+          cancelSession={cancelSession}
+          toggleJoinQuery={toggleJoinQuery}
+          sendMessage={sendMessage}
+          markChatRead={markChatRead}
+          reportContent={reportContent}
+          navigate={navigate}
+        />
+      ),
+      notifications: () => (
+        <NotificationsPage
+          notifications={myNotifications}
+          onOpen={openNotification}
+          onMarkRead={markNotificationRead}
+          onMarkAllRead={markAllNotificationsRead}
+        />
+      ),
+      admin: () =>
+        currentUser.role === "admin" ? (
+          <AdminDashboard
+            state={state}
+            toggleBlockUser={toggleBlockUser}
+            moderate={moderate}
+            reviewSession={reviewSession}
+            recomputeAllXp={recomputeAllXp}
+            navigate={navigate}
+          />
+        ) : (
+          <NotFound navigate={navigate} isAuthed={isAuthed} />
+        ),
+      analytics: () =>
+        currentUser.role === "admin" ? (
+          <AnalyticsPage state={state} navigate={navigate} />
+        ) : (
+          <NotFound navigate={navigate} isAuthed={isAuthed} />
+        ),
+    };
+    const render = byName[name];
+    return render ? render() : <NotFound navigate={navigate} isAuthed={isAuthed} />;
+  };
+
+  // Switching between login/signup/reset keeps ?next= so we can return after.
+  const renderAuth = (mode) => (
+    <AuthScreen
+      mode={mode}
+      setMode={(next) =>
+        navigate(
+          pathFor(next === "reset" ? "resetPassword" : next) + location.search
+        )
+      }
+      onSignup={handleSignup}
+      onLogin={handleLogin}
+      onRequestReset={requestPasswordReset}
+      onResetPassword={resetPassword}
+    />
+  );
+
+  return (
+    <div className="min-h-screen text-slate-100">
+      <div className="scanlines">
         <Navbar
           currentUser={currentUser}
           onLogout={handleLogout}
-          setRoute={setRoute}
+          navigate={navigate}
           isAuthed={isAuthed}
+          notifications={myNotifications}
+          onOpenNotification={openNotification}
+          onMarkAllRead={markAllNotificationsRead}
         />
 
         <main className="max-w-6xl mx-auto px-4 pb-12 pt-24">
-          {!isAuthed && route === "landing" && (
-            <Landing setRoute={setRoute} setAuthMode={setAuthMode} />
-          )}
-
-          {!isAuthed && route === "auth" && (
-            <AuthScreen
-              mode={authMode}
-              setMode={setAuthMode}
-              onSignup={handleSignup}
-              onLogin={handleLogin}
-            />
-          )}
-
-          {isAuthed && route === "profile" && (
-            <ProfileSetup
-              user={currentUser}
-              updateProfile={updateProfile}
-              onDone={() => setRoute("home")}
-            />
-          )}
-
-          {isAuthed && route === "home" && (
-            <HomeFeed
-              currentUser={currentUser}
-              state={state}
-              acceptQuery={acceptQuery}
-              setRoute={setRoute}
-            />
-          )}
-
-          {isAuthed && route === "post" && (
-            <PostQueryPage
-              createQuery={createQuery}
-              setRoute={setRoute}
-            />
-          )}
-
-          {isAuthed && route === "leader" && (
-            <LeaderboardPage leaderboard={leaderboard} />
+          {storageError && (
+            <div className="mb-4 card-glass border-red-500/40 p-3 text-xs text-red-300">
+              Couldn’t reach storage: {storageError}
+            </div>
           )}
 
-          {isAuthed && route === "profileView" && (
-            <ProfileViewPage
-              user={currentUser}
-              state={state}
-            />
-          )}
+          {loaded &&
+            currentUser &&
+            !isEmailVerified(currentUser) &&
+            route.name !== "verify" && (
+              <div className="mb-4 card-glass border-yellow-500/40 p-3 text-xs text-yellow-200 flex justify-between items-center gap-3">
+                <span>
+                  Verify {currentUser.email} to post and accept queries.
+                </span>
+                <button
+                  onClick={() => navigate(pathFor("verify"))}
+                  className="px-3 py-1 rounded-full bg-yellow-500/20 hover:bg-yellow-500/30"
+                >
+                  Enter code
+                </button>
+              </div>
+            )}
 
-          {isAuthed && route === "sessions" && (
-            <SessionsPage
-              currentUser={currentUser}
-              state={state}
-              markSessionComplete={markSessionComplete}
-              rateSession={rateSession}
-            />
+          {!loaded && !storageError && (
+            <div className="card-glass p-6 text-sm text-slate-300">
+              Loading QueryUP…
+            </div>
           )}
 
-          {isAuthed && currentUser.role === "admin" && route === "admin" && (
-            <AdminDashboard
-              state={state}
-              toggleBlockUser={toggleBlockUser}
-            />
-          )}
+          {loaded && !redirect && renderRoute()}
         </main>
       </div>
     </div>
@@ -419,13 +2029,21 @@ export default function App() {
 
 /* ---------- UI Components ---------- */
 
-function Navbar({ currentUser, onLogout, setRoute, isAuthed }) {
+function Navbar({
+  currentUser,
+  onLogout,
+  navigate,
+  isAuthed,
+  notifications,
+  onOpenNotification,
+  onMarkAllRead,
+}) {
   return (
     <header className="fixed top-0 inset-x-0 z-20 bg-slate-950/70 border-b border-white/10 backdrop-blur-xl">
       <div className="max-w-6xl mx-auto px-4 h-16 flex items-center justify-between">
         <div
           className="flex items-center gap-2 cursor-pointer"
-          onClick={() => setRoute(isAuthed ? "home" : "landing")}
+          onClick={() => navigate(isAuthed ? HOME_PATH : pathFor("landing"))}
         >
           <div className="w-8 h-8 rounded-xl bg-gradient-to-br from-primary to-fuchsia-500 flex items-center justify-center shadow-lg shadow-primary/40">
             <span className="font-pixel text-xs">Q↑</span>
@@ -440,18 +2058,24 @@ function Navbar({ currentUser, onLogout, setRoute, isAuthed }) {
 
         {isAuthed && (
           <nav className="hidden md:flex items-center gap-4 text-sm">
-            <NavButton onClick={() => setRoute("home")}>Home</NavButton>
-            <NavButton onClick={() => setRoute("post")}>
+            <NavButton onClick={() => navigate(HOME_PATH)}>Home</NavButton>
+            <NavButton onClick={() => navigate(pathFor("post"))}>
               Post Query
             </NavButton>
-            <NavButton onClick={() => setRoute("leader")}>
+            <NavButton onClick={() => navigate(pathFor("myQueries"))}>
+              My Queries
+            </NavButton>
+            <NavButton onClick={() => navigate(pathFor("search"))}>
+              Search
+            </NavButton>
+            <NavButton onClick={() => navigate(pathFor("leader"))}>
               Leaderboard
             </NavButton>
-            <NavButton onClick={() => setRoute("sessions")}>
+            <NavButton onClick={() => navigate(pathFor("sessions"))}>
               My Sessions
             </NavButton>
             {currentUser?.role === "admin" && (
-              <NavButton onClick={() => setRoute("admin")}>
+              <NavButton onClick={() => navigate(pathFor("admin"))}>
                 Admin
               </NavButton>
             )}
@@ -459,10 +2083,19 @@ function Navbar({ currentUser, onLogout, setRoute, isAuthed }) {
         )}
 
         <div className="flex items-center gap-3">
+          {isAuthed && currentUser && (
+            <NotificationBell
+              notifications={notifications}
+              onOpen={onOpenNotification}
+              onMarkAllRead={onMarkAllRead}
+              onViewAll={() => navigate(pathFor("notifications"))}
+            />
+          )}
+
           {isAuthed && currentUser && (
             <button
               className="flex items-center gap-2 text-xs md:text-sm"
-              onClick={() => setRoute("profileView")}
+              onClick={() => navigate(pathFor("user", { id: currentUser.id }))}
             >
               <div className="w-8 h-8 rounded-full bg-gradient-to-br from-primary to-emerald-500 flex items-center justify-center text-[10px] font-bold">
                 {currentUser.name?.[0]?.toUpperCase() || "U"}
@@ -489,9 +2122,7 @@ function Navbar({ currentUser, onLogout, setRoute, isAuthed }) {
             </button>
           ) : (
             <button
-              onClick={() => {
-                setRoute("auth");
-              }}
+              onClick={() => navigate(pathFor("login"))}
               className="px-4 py-1.5 rounded-full bg-primary hover:bg-primary/90 text-xs md:text-sm font-medium shadow-lg shadow-primary/40"
             >
               Sign in
@@ -514,53 +2145,248 @@ function NavButton({ children, onClick }) {
   );
 }
 
-/* Landing */
+// In-app link: a real href (so it can open in a new tab) that routes via history.
+function Link({ to, navigate, children, className = "" }) {
+  return (
+    <a
+      href={to}
+      className={className}
+      onClick={(e) => {
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+        e.preventDefault();
+        navigate(to);
+      }}
+    >
+      {children}
+    </a>
+  );
+}
 
-function Landing({ setRoute, setAuthMode }) {
+// A user's name linking to their public profile.
+function UserLink({ user, navigate, fallback = "Unknown", className = "" }) {
+  if (!user) return <span className={className}>{fallback}</span>;
   return (
-    <div className="grid md:grid-cols-2 gap-8 items-center">
-      <div>
-        <div className="inline-flex items-center gap-2 badge-pixel mb-4">
-          <span className="font-pixel text-[8px]">NEW</span>
-          <span>Student Mentorship • PCCOE Only</span>
-        </div>
-        <h1 className="text-3xl md:text-5xl font-semibold tracking-tight mb-4">
-          Turn your{" "}
-          <span className="text-primary">
-            doubts
-          </span>{" "}
-          into{" "}
-          <span className="text-accent">
-            XP.
+    <Link
+      to={pathFor("user", { id: user.id })}
+      navigate={navigate}
+      className={`hover:text-primary ${className}`}
+    >
+      {user.name}
+    </Link>
+  );
+}
+
+// How mentors have rated this user as a mentee.
+function MenteeReputationTag({ user }) {
+  if (!user) return null;
+  return user.menteeRatingCount ? (
+    <span className="text-yellow-300">
+      ★ {user.menteeRatingAvg.toFixed(1)} as mentee ({user.menteeRatingCount})
+    </span>
+  ) : (
+    <span className="text-slate-500">New mentee</span>
+  );
+}
+
+function NotFound({ navigate, isAuthed }) {
+  return (
+    <div className="max-w-md mx-auto card-glass p-6 text-center">
+      <div className="font-pixel text-2xl text-primary mb-3">404</div>
+      <h2 className="text-lg font-semibold mb-1">Page not found</h2>
+      <p className="text-xs text-slate-400 mb-4">
+        This link is broken, or the query or profile it pointed to no longer
+        exists.
+      </p>
+      <button
+        onClick={() => navigate(isAuthed ? HOME_PATH : pathFor("landing"))}
+        className="px-4 py-2 rounded-xl bg-primary hover:bg-primary/90 text-xs font-medium shadow-lg shadow-primary/40"
+      >
+        {isAuthed ? "Back to queries" : "Back to home"}
+      </button>
+    </div>
+  );
+}
+
+/* Notifications */
+
+function NotificationBell({ notifications, onOpen, onMarkAllRead, onViewAll }) {
+  const [open, setOpen] = useState(false);
+  const unread = notifications.filter((n) => !n.read).length;
+  const latest = notifications.slice(0, 6);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="relative w-8 h-8 rounded-full bg-slate-800 hover:bg-slate-700 flex items-center justify-center text-sm"
+        aria-label="Notifications"
+      >
+        🔔
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[16px] h-4 px-1 rounded-full bg-red-500 text-[9px] font-bold flex items-center justify-center">
+            {unread > 9 ? "9+" : unread}
           </span>
-        </h1>
-        <p className="text-slate-300 mb-6 text-sm md:text-base">
-          QueryUP connects PCCOE students for quick, peer-to-peer academic
-          help. Post queries, accept doubts, earn XP and climb the
-          leaderboard — all inside a safe, college-only space.
-        </p>
-        <div className="flex flex-wrap gap-3 mb-6">
-          <button
-            onClick={() => {
-              setAuthMode("signup");
-              setRoute("auth");
-            }}
-            className="px-5 py-2.5 rounded-full bg-primary hover:bg-primary/90 text-sm font-medium shadow-lg shadow-primary/40"
-          >
-            Sign up with PCCOE Email
-          </button>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 card-glass bg-slate-950/95 p-3 text-left">
+          <div className="flex justify-between items-center mb-2">
+            <span className="text-xs font-semibold">Notifications</span>
+            {unread > 0 && (
+              <button
+                onClick={onMarkAllRead}
+                className="text-[10px] text-primary hover:underline"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {latest.length === 0 ? (
+            <p className="text-[11px] text-slate-400">
+              You’re all caught up.
+            </p>
+          ) : (
+            <div className="space-y-1 max-h-80 overflow-y-auto">
+              {latest.map((n) => (
+                <NotificationRow
+                  key={n.id}
+                  notification={n}
+                  onOpen={(note) => {
+                    setOpen(false);
+                    onOpen(note);
+                  }}
+                />
+              ))}
+            </div>
+          )}
+
           <button
             onClick={() => {
-              setAuthMode("login");
-              setRoute("auth");
+              setOpen(false);
+              onViewAll();
             }}
-            className="px-5 py-2.5 rounded-full bg-slate-900 border border-white/10 hover:bg-slate-800 text-sm"
+            className="mt-2 w-full px-3 py-1.5 rounded-xl bg-slate-800 hover:bg-slate-700 text-[11px]"
           >
-            I already have an account
+            View all
           </button>
         </div>
-        <div className="flex gap-4 text-xs text-slate-400">
-          <div className="flex items-center gap-2">
+      )}
+    </div>
+  );
+}
+
+function NotificationRow({ notification, onOpen, onMarkRead }) {
+  const n = notification;
+  return (
+    <div
+      className={`flex items-start gap-2 rounded-xl p-2 text-[11px] ${
+        n.read ? "text-slate-400" : "bg-primary/10 text-slate-100"
+      }`}
+    >
+      <span className="w-4 text-center">
+        {NOTIFICATION_ICONS[n.type] || NOTIFICATION_ICONS.info}
+      </span>
+      <button className="flex-1 text-left" onClick={() => onOpen(n)}>
+        <div>{n.message}</div>
+        <div className="text-[10px] text-slate-500">
+          {new Date(n.createdAt).toLocaleString()}
+        </div>
+      </button>
+      {onMarkRead && !n.read && (
+        <button
+          onClick={() => onMarkRead(n.id)}
+          className="text-[10px] text-primary hover:underline"
+        >
+          Mark read
+        </button>
+      )}
+    </div>
+  );
+}
+
+function NotificationsPage({ notifications, onOpen, onMarkRead, onMarkAllRead }) {
+  const unread = notifications.filter((n) => !n.read).length;
+
+  return (
+    <div className="max-w-2xl mx-auto card-glass p-6">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h2 className="text-xl font-semibold">Notifications</h2>
+          <p className="text-xs text-slate-400">
+            {unread ? `${unread} unread` : "You’re all caught up."}
+          </p>
+        </div>
+        {unread > 0 && (
+          <button
+            onClick={onMarkAllRead}
+            className="px-3 py-1.5 rounded-full bg-slate-800 hover:bg-slate-700 text-xs"
+          >
+            Mark all read
+          </button>
+        )}
+      </div>
+
+      {notifications.length === 0 ? (
+        <p className="text-sm text-slate-300">No notifications yet.</p>
+      ) : (
+        <div className="space-y-1">
+          {notifications.map((n) => (
+            <NotificationRow
+              key={n.id}
+              notification={n}
+              onOpen={onOpen}
+              onMarkRead={onMarkRead}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Landing */
+
+function Landing({ navigate }) {
+  return (
+    <div className="grid md:grid-cols-2 gap-8 items-center">
+      <div>
+        <div className="inline-flex items-center gap-2 badge-pixel mb-4">
+          <span className="font-pixel text-[8px]">NEW</span>
+          <span>Student Mentorship • PCCOE Only</span>
+        </div>
+        <h1 className="text-3xl md:text-5xl font-semibold tracking-tight mb-4">
+          Turn your{" "}
+          <span className="text-primary">
+            doubts
+          </span>{" "}
+          into{" "}
+          <span className="text-accent">
+            XP.
+          </span>
+        </h1>
+        <p className="text-slate-300 mb-6 text-sm md:text-base">
+          QueryUP connects PCCOE students for quick, peer-to-peer academic
+          help. Post queries, accept doubts, earn XP and climb the
+          leaderboard — all inside a safe, college-only space.
+        </p>
+        <div className="flex flex-wrap gap-3 mb-6">
+          <button
+            onClick={() => navigate(pathFor("signup"))}
+            className="px-5 py-2.5 rounded-full bg-primary hover:bg-primary/90 text-sm font-medium shadow-lg shadow-primary/40"
+          >
+            Sign up with PCCOE Email
+          </button>
+          <button
+            onClick={() => navigate(pathFor("login"))}
+            className="px-5 py-2.5 rounded-full bg-slate-900 border border-white/10 hover:bg-slate-800 text-sm"
+          >
+            I already have an account
+          </button>
+        </div>
+        <div className="flex gap-4 text-xs text-slate-400">
+          <div className="flex items-center gap-2">
             <span className="w-2 h-2 rounded-full bg-accent"></span>
             Verified PCCOE-only access
           </div>
@@ -672,17 +2498,42 @@ function MockMentorRow({ name, year, xp, rating }) {
 
 /* Auth */
 
-function AuthScreen({ mode, setMode, onSignup, onLogin }) {
+function AuthScreen({
+  mode,
+  setMode,
+  onSignup,
+  onLogin,
+  onRequestReset,
+  onResetPassword,
+}) {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [remember, setRemember] = useState(false);
+  const [busy, setBusy] = useState(false);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     if (!email || !password) return;
-    if (mode === "signup") onSignup(email.trim(), password);
-    else onLogin(email.trim(), password);
+    setBusy(true);
+    try {
+      if (mode === "signup") await onSignup(email.trim(), password, remember);
+      else await onLogin(email.trim(), password, remember);
+    } finally {
+      setBusy(false);
+    }
   };
 
+  if (mode === "reset") {
+    return (
+      <ResetPasswordForm
+        initialEmail={email}
+        onRequestReset={onRequestReset}
+        onResetPassword={onResetPassword}
+        onDone={() => setMode("login")}
+      />
+    );
+  }
+
   return (
     <div className="max-w-md mx-auto card-glass p-6">
       <h2 className="text-xl font-semibold mb-1">
@@ -690,7 +2541,9 @@ function AuthScreen({ mode, setMode, onSignup, onLogin }) {
       </h2>
       <p className="text-xs text-slate-400 mb-4">
         {mode === "signup"
-          ? "Use your PCCOE email (ending with @pccoepune.org). We’ll keep this space college-only."
+          ? `Use your college email (ending with ${ALLOWED_EMAIL_DOMAINS.map(
+              (d) => "@" + d
+            ).join(" or ")}). We’ll email you a code to verify it.`
           : "Login with the credentials you used for signup."}
       </p>
 
@@ -705,7 +2558,7 @@ function AuthScreen({ mode, setMode, onSignup, onLogin }) {
             value={email}
             onChange={(e) => setEmail(e.target.value)}
             className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-sm"
-            placeholder="yourname@pccoepune.org"
+            placeholder={`yourname@${ALLOWED_EMAIL_DOMAINS[0]}`}
           />
         </div>
         <div>
@@ -715,7 +2568,7 @@ function AuthScreen({ mode, setMode, onSignup, onLogin }) {
           <input
             type="password"
             required
-            minLength={4}
+            minLength={mode === "signup" ? MIN_PASSWORD_LENGTH : undefined}
             value={password}
             onChange={(e) => setPassword(e.target.value)}
             className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-sm"
@@ -723,11 +2576,32 @@ function AuthScreen({ mode, setMode, onSignup, onLogin }) {
           />
         </div>
 
+        <div className="flex items-center justify-between text-xs text-slate-300">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={remember}
+              onChange={(e) => setRemember(e.target.checked)}
+            />
+            Remember me for 30 days
+          </label>
+          {mode === "login" && (
+            <button
+              type="button"
+              className="text-primary hover:underline"
+              onClick={() => setMode("reset")}
+            >
+              Forgot password?
+            </button>
+          )}
+        </div>
+
         <button
           type="submit"
-          className="w-full mt-1 px-4 py-2.5 rounded-xl bg-primary hover:bg-primary/90 text-sm font-medium shadow-lg shadow-primary/40"
+          disabled={busy}
+          className="w-full mt-1 px-4 py-2.5 rounded-xl bg-primary hover:bg-primary/90 disabled:opacity-60 text-sm font-medium shadow-lg shadow-primary/40"
         >
-          {mode === "signup" ? "Sign up" : "Login"}
+          {busy ? "Please wait…" : mode === "signup" ? "Sign up" : "Login"}
         </button>
       </form>
 
@@ -758,6 +2632,209 @@ function AuthScreen({ mode, setMode, onSignup, onLogin }) {
   );
 }
 
+function VerifyEmailPage({ user, verifyEmail, resendVerification, onDone }) {
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [resent, setResent] = useState(false);
+  const verified = isEmailVerified(user);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      if (await verifyEmail(code)) onDone();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setBusy(true);
+    try {
+      await resendVerification();
+      setResent(true);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (verified) {
+    return (
+      <div className="max-w-md mx-auto card-glass p-6 text-sm">
+        <h2 className="text-xl font-semibold mb-2">Email verified ✓</h2>
+        <p className="text-xs text-slate-400 mb-4">
+          {user.email} is confirmed. You can post and accept queries.
+        </p>
+        <button
+          onClick={onDone}
+          className="px-4 py-2 rounded-xl bg-primary hover:bg-primary/90 text-xs font-medium"
+        >
+          Continue
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-md mx-auto card-glass p-6">
+      <h2 className="text-xl font-semibold mb-1">Verify your email</h2>
+      <p className="text-xs text-slate-400 mb-4">
+        We sent a 6-digit code to{" "}
+        <span className="text-slate-200">{user.email}</span>. Until it’s
+        confirmed you can browse, but not post or accept queries.
+        {mailInConsole() && (
+          <> (Dev: the email is printed to the browser console.)</>
+        )}
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-3 text-sm">
+        <input
+          required
+          inputMode="numeric"
+          pattern="[0-9]{6}"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-sm tracking-widest"
+          placeholder="6-digit code"
+        />
+        <button
+          type="submit"
+          disabled={busy}
+          className="w-full px-4 py-2.5 rounded-xl bg-primary hover:bg-primary/90 disabled:opacity-60 text-sm font-medium shadow-lg shadow-primary/40"
+        >
+          Verify
+        </button>
+      </form>
+
+      <div className="mt-4 text-xs text-slate-400 text-center">
+        {resent ? "A new code is on its way. " : "Didn’t get it? "}
+        <button
+          disabled={busy}
+          onClick={handleResend}
+          className="text-primary hover:underline"
+        >
+          Send a new code
+        </button>
+        {" • "}
+        <button onClick={onDone} className="text-primary hover:underline">
+          Do this later
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ResetPasswordForm({
+  initialEmail,
+  onRequestReset,
+  onResetPassword,
+  onDone,
+}) {
+  const [step, setStep] = useState("request"); // request | confirm
+  const [email, setEmail] = useState(initialEmail || "");
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await onRequestReset(email.trim());
+      setStep("confirm");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      if (await onResetPassword(email.trim(), code, password)) onDone();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto card-glass p-6">
+      <h2 className="text-xl font-semibold mb-1">Reset your password</h2>
+      <p className="text-xs text-slate-400 mb-4">
+        {step === "request"
+          ? "We’ll email a 6-digit code to your PCCOE address."
+          : `If ${email} has an account, a code is on its way. It expires in 15 minutes.`}
+        {mailInConsole() && step === "confirm" && (
+          <> (Dev: the email is printed to the browser console.)</>
+        )}
+      </p>
+
+      {step === "request" ? (
+        <form onSubmit={handleRequest} className="space-y-3 text-sm">
+          <input
+            type="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-sm"
+            placeholder={`yourname@${ALLOWED_EMAIL_DOMAINS[0]}`}
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full px-4 py-2.5 rounded-xl bg-primary hover:bg-primary/90 disabled:opacity-60 text-sm font-medium shadow-lg shadow-primary/40"
+          >
+            Send code
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleConfirm} className="space-y-3 text-sm">
+          <input
+            required
+            inputMode="numeric"
+            pattern="[0-9]{6}"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-sm tracking-widest"
+            placeholder="6-digit code"
+          />
+          <input
+            type="password"
+            required
+            minLength={MIN_PASSWORD_LENGTH}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-sm"
+            placeholder="New password"
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full px-4 py-2.5 rounded-xl bg-primary hover:bg-primary/90 disabled:opacity-60 text-sm font-medium shadow-lg shadow-primary/40"
+          >
+            Set new password
+          </button>
+          <button
+            type="button"
+            onClick={() => setStep("request")}
+            className="w-full text-xs text-slate-400 hover:underline"
+          >
+            Didn’t get a code? Send another
+          </button>
+        </form>
+      )}
+
+      <div className="mt-4 text-xs text-slate-400 text-center">
+        <button className="text-primary hover:underline" onClick={onDone}>
+          Back to login
+        </button>
+      </div>
+    </div>
+  );
+}
+
 /* Profile Setup */
 
 function ProfileSetup({ user, updateProfile, onDone }) {
@@ -769,6 +2846,11 @@ function ProfileSetup({ user, updateProfile, onDone }) {
     user.strongSubjects || []
   );
   const [customSubject, setCustomSubject] = useState("");
+  const [privacy, setPrivacy] = useState(() => privacyOf(user));
+
+  const togglePrivacy = (key) => {
+    setPrivacy((prev) => ({ ...prev, [key]: !prev[key] }));
+  };
 
   const toggleSubject = (subj) => {
     setStrongSubjects((prev) =>
@@ -797,6 +2879,7 @@ function ProfileSetup({ user, updateProfile, onDone }) {
       branch,
       bio,
       strongSubjects,
+      privacy,
     });
     onDone();
   };
@@ -912,6 +2995,30 @@ function ProfileSetup({ user, updateProfile, onDone }) {
           </div>
         </div>
 
+        <div>
+          <label className="block text-xs mb-1 text-slate-300">
+            Public profile
+          </label>
+          <div className="space-y-1 text-xs text-slate-300">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={privacy.showMentorHistory}
+                onChange={() => togglePrivacy("showMentorHistory")}
+              />
+              Show the sessions I mentored on my profile
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={privacy.showMenteeHistory}
+                onChange={() => togglePrivacy("showMenteeHistory")}
+              />
+              Show the sessions I attended as a mentee
+            </label>
+          </div>
+        </div>
+
         <button
           type="submit"
           className="mt-2 px-5 py-2.5 rounded-xl bg-primary hover:bg-primary/90 text-sm font-medium shadow-lg shadow-primary/40"
@@ -923,63 +3030,447 @@ function ProfileSetup({ user, updateProfile, onDone }) {
   );
 }
 
-/* Home Feed */
+const windowLabel = (w) => `${w.start}–${w.end}`;
 
-function HomeFeed({ currentUser, state, acceptQuery, setRoute }) {
-  const [subjectFilter, setSubjectFilter] = useState("");
-  const [yearFilter, setYearFilter] = useState("");
-  const [onlyFresh, setOnlyFresh] = useState(false);
-  const [search, setSearch] = useState("");
+function AvailabilityCard({ user, updateProfile }) {
+  const availability = availabilityOf(user);
+  const now = useNow();
+  const [day, setDay] = useState(1);
+  const [start, setStart] = useState("18:00");
+  const [end, setEnd] = useState("20:00");
+  const [exception, setException] = useState({
+    date: "",
+    kind: "off",
+    start: "",
+    end: "",
+  });
 
-  const myId = currentUser.id;
-  const queries = state.queries.filter((q) => q.askerId !== myId);
+  const save = (changes) =>
+    updateProfile({ availability: { ...availability, ...changes } });
 
-  const filtered = queries.filter((q) => {
-    if (q.status !== "Open") return false;
-    if (subjectFilter && !q.subjectTags.includes(subjectFilter)) return false;
-    if (yearFilter) {
-      const asker = state.users.find((u) => u.id === q.askerId);
-      if (!asker || asker.year !== yearFilter) return false;
-    }
-    if (onlyFresh) {
-      const hasSession = state.sessions.some((s) => s.queryId === q.id);
-      if (hasSession) return false;
+  const addWindow = (e) => {
+    e.preventDefault();
+    const error = validateWindow({ start, end });
+    if (error) {
+      alert(error);
+      return;
     }
-    if (search) {
-      const text = (q.title + " " + q.description).toLowerCase();
-      if (!text.includes(search.toLowerCase())) return false;
+    save({ weekly: [...availability.weekly, createWindow(day, start, end)] });
+  };
+
+  const addException = (e) => {
+    e.preventDefault();
+    const error = validateException(exception);
+    if (error) {
+      alert(error);
+      return;
     }
-    return true;
-  });
+    save({
+      exceptions: [...availability.exceptions, createException(exception)],
+    });
+    setException((prev) => ({ ...prev, date: "" }));
+  };
 
-  const sorted = [...filtered].sort((a, b) => {
-    // priority: subject match, recency
-    const aMatch = a.subjectTags.some((t) =>
-      currentUser.strongSubjects.includes(t)
-    );
-    const bMatch = b.subjectTags.some((t) =>
-      currentUser.strongSubjects.includes(t)
-    );
-    if (aMatch !== bMatch) return aMatch ? -1 : 1;
-    return b.createdAt - a.createdAt;
-  });
+  const inputClass =
+    "px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-xs";
 
   return (
-    <div className="grid md:grid-cols-[260px,1fr] gap-6">
-      <div className="card-glass p-4 h-fit sticky top-24">
-        <h3 className="text-sm font-semibold mb-3">Filters</h3>
-        <div className="space-y-3 text-xs">
-          <div>
-            <label className="block mb-1 text-slate-300">
-              Subject
-            </label>
-            <select
-              value={subjectFilter}
-              onChange={(e) => setSubjectFilter(e.target.value)}
-              className="w-full px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
-            >
-              <option value="">All subjects</option>
-              {SUBJECT_OPTIONS.map((s) => (
+    <div className="max-w-2xl mx-auto card-glass p-6">
+      <h3 className="text-sm font-semibold mb-1">Mentoring availability</h3>
+      <p className="text-xs text-slate-400 mb-4">
+        When you accept a query you can only offer times inside these
+        windows that fit the asker’s preference and don’t clash with your
+        other sessions. Times are in your local time zone.
+      </p>
+
+      <h3 className="text-xs font-semibold mb-2">Every week</h3>
+      <div className="space-y-1 mb-3 text-xs">
+        {DAY_NAMES.map((name, d) => {
+          const windows = availability.weekly
+            .filter((w) => w.day === d)
+            .sort((a, b) => a.start.localeCompare(b.start));
+          return (
+            <div key={name} className="flex gap-2 items-center">
+              <span className="w-10 text-slate-400">{name}</span>
+              {windows.length === 0 ? (
+                <span className="text-slate-600">—</span>
+              ) : (
+                windows.map((w) => (
+                  <span
+                    key={w.id}
+                    className="px-2 py-0.5 rounded-full bg-primary/20 text-primary text-[11px]"
+                  >
+                    {windowLabel(w)}{" "}
+                    <button
+                      onClick={() =>
+                        save({
+                          weekly: availability.weekly.filter(
+                            (x) => x.id !== w.id
+                          ),
+                        })
+                      }
+                      aria-label={`Remove ${name} ${windowLabel(w)}`}
+                      className="hover:text-red-300"
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <form onSubmit={addWindow} className="flex flex-wrap gap-2 items-center mb-6">
+        <select
+          value={day}
+          onChange={(e) => setDay(Number(e.target.value))}
+          className={inputClass}
+        >
+          {DAY_NAMES.map((name, d) => (
+            <option key={name} value={d}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="time"
+          value={start}
+          onChange={(e) => setStart(e.target.value)}
+          className={inputClass}
+        />
+        <span className="text-slate-400 text-xs">to</span>
+        <input
+          type="time"
+          value={end}
+          onChange={(e) => setEnd(e.target.value)}
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          className="px-3 py-1.5 rounded-xl bg-primary hover:bg-primary/90 text-xs font-medium"
+        >
+          Add window
+        </button>
+      </form>
+
+      <h3 className="text-xs font-semibold mb-2">Exceptions</h3>
+      <div className="space-y-1 mb-3 text-xs">
+        {upcomingExceptions(user, now).length === 0 ? (
+          <p className="text-slate-500">No upcoming exceptions.</p>
+        ) : (
+          upcomingExceptions(user, now).map((ex) => (
+            <div key={ex.id} className="flex gap-2 items-center">
+              <span className="w-24 text-slate-400">{ex.date}</span>
+              <span
+                className={
+                  ex.kind === "off" ? "text-red-300" : "text-emerald-300"
+                }
+              >
+                {ex.kind === "off"
+                  ? ex.start
+                    ? `Unavailable ${windowLabel(ex)}`
+                    : "Unavailable all day"
+                  : `Extra ${windowLabel(ex)}`}
+              </span>
+              <button
+                onClick={() =>
+                  save({
+                    exceptions: availability.exceptions.filter(
+                      (x) => x.id !== ex.id
+                    ),
+                  })
+                }
+                className="text-slate-500 hover:text-red-300"
+              >
+                Remove
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+      <form onSubmit={addException} className="flex flex-wrap gap-2 items-center">
+        <input
+          type="date"
+          value={exception.date}
+          min={dateKey(now)}
+          onChange={(e) =>
+            setException((prev) => ({ ...prev, date: e.target.value }))
+          }
+          className={inputClass}
+        />
+        <select
+          value={exception.kind}
+          onChange={(e) =>
+            setException((prev) => ({ ...prev, kind: e.target.value }))
+          }
+          className={inputClass}
+        >
+          <option value="off">Unavailable</option>
+          <option value="extra">Extra hours</option>
+        </select>
+        <input
+          type="time"
+          value={exception.start}
+          onChange={(e) =>
+            setException((prev) => ({ ...prev, start: e.target.value }))
+          }
+          className={inputClass}
+        />
+        <span className="text-slate-400 text-xs">to</span>
+        <input
+          type="time"
+          value={exception.end}
+          onChange={(e) =>
+            setException((prev) => ({ ...prev, end: e.target.value }))
+          }
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          className="px-3 py-1.5 rounded-xl bg-slate-800 hover:bg-slate-700 text-xs"
+        >
+          Add exception
+        </button>
+      </form>
+      <p className="mt-1 text-[11px] text-slate-500">
+        Leave the times empty to block out the whole day.
+      </p>
+    </div>
+  );
+}
+
+function AvailabilitySummary({ user, isMe, navigate }) {
+  const now = useNow();
+  const { weekly } = availabilityOf(user);
+  const exceptions = upcomingExceptions(user, now).slice(0, 5);
+
+  return (
+    <div className="card-glass p-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-semibold">Availability</h3>
+        {isMe && (
+          <Link
+            to={pathFor("settings")}
+            navigate={navigate}
+            className="text-[11px] text-primary hover:underline"
+          >
+            Edit
+          </Link>
+        )}
+      </div>
+      {!hasAvailability(user) ? (
+        <p className="text-xs text-slate-300">
+          {isMe
+            ? "You haven’t published when you’re free to mentor."
+            : `${user.name} hasn’t published when they’re free to mentor.`}
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 text-[11px] text-slate-300">
+            {DAY_NAMES.map((name, d) => {
+              const windows = weekly
+                .filter((w) => w.day === d)
+                .sort((a, b) => a.start.localeCompare(b.start));
+              if (windows.length === 0) return null;
+              return (
+                <span key={name}>
+                  <span className="text-slate-400">{name}</span>{" "}
+                  {windows.map(windowLabel).join(", ")}
+                </span>
+              );
+            })}
+          </div>
+          {exceptions.length > 0 && (
+            <ul className="mt-2 text-[11px] text-slate-400 space-y-0.5">
+              {exceptions.map((ex) => (
+                <li key={ex.id}>
+                  {new Date(`${ex.date}T00:00`).toLocaleDateString(undefined, {
+                    weekday: "short",
+                    month: "short",
+                    day: "numeric",
+                  })}
+                  :{" "}
+                  {ex.kind === "off"
+                    ? ex.start
+                      ? `away ${windowLabel(ex)}`
+                      : "away all day"
+                    : `also free ${windowLabel(ex)}`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function ChangePasswordCard({ changePassword }) {
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [confirmNext, setConfirmNext] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (next !== confirmNext) {
+      alert("New passwords don’t match.");
+      return;
+    }
+    setBusy(true);
+    try {
+      if (await changePassword(current, next)) {
+        setCurrent("");
+        setNext("");
+        setConfirmNext("");
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto card-glass p-6">
+      <h3 className="text-sm font-semibold mb-1">Change password</h3>
+      <p className="text-xs text-slate-400 mb-4">
+        Other devices will be signed out. Forgot it? Log out and use
+        “Forgot password?”.
+      </p>
+      <form onSubmit={handleSubmit} className="grid md:grid-cols-3 gap-3 text-sm">
+        <input
+          type="password"
+          required
+          value={current}
+          onChange={(e) => setCurrent(e.target.value)}
+          className="px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-sm"
+          placeholder="Current password"
+        />
+        <input
+          type="password"
+          required
+          minLength={MIN_PASSWORD_LENGTH}
+          value={next}
+          onChange={(e) => setNext(e.target.value)}
+          className="px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-sm"
+          placeholder="New password"
+        />
+        <input
+          type="password"
+          required
+          minLength={MIN_PASSWORD_LENGTH}
+          value={confirmNext}
+          onChange={(e) => setConfirmNext(e.target.value)}
+          className="px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-sm"
+          placeholder="Confirm new password"
+        />
+        <div className="md:col-span-3 flex justify-end">
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-5 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 disabled:opacity-60 text-xs"
+          >
+            Update password
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/* Home Feed */
+
+function HomeFeed({ currentUser, state, acceptQuery, navigate }) {
+  const [proposingFor, setProposingFor] = useState(null);
+  const [subjectFilter, setSubjectFilter] = useState("");
+  const [yearFilter, setYearFilter] = useState("");
+  const [onlyFresh, setOnlyFresh] = useState(false);
+  const [sortBy, setSortBy] = useState("match");
+  const [showIneligible, setShowIneligible] = useState(false);
+  const [search, setSearch] = useState("");
+
+  const myId = currentUser.id;
+  const queries = state.queries.filter(
+    (q) => q.askerId !== myId && !q.hidden
+  );
+  const searchIndex = useMemo(
+    () => buildSearchIndex(state.queries, state.comments),
+    [state.queries, state.comments]
+  );
+  const searchHits = search.trim()
+    ? new Set(searchQueries(searchIndex, search).map((h) => h.query.id))
+    : null;
+
+  const eligibility = new Map(
+    queries.map((q) => [
+      q.id,
+      checkEligibility(
+        q,
+        currentUser,
+        state.users.find((u) => u.id === q.askerId)
+      ),
+    ])
+  );
+
+  const filtered = queries.filter((q) => {
+    if (q.status !== "Open") return false;
+    if (!showIneligible && !eligibility.get(q.id).eligible) return false;
+    if (subjectFilter && !q.subjectTags.includes(subjectFilter)) return false;
+    if (yearFilter) {
+      const asker = state.users.find((u) => u.id === q.askerId);
+      if (!asker || asker.year !== yearFilter) return false;
+    }
+    if (onlyFresh) {
+      const hasSession = state.sessions.some((s) => s.queryId === q.id);
+      if (hasSession) return false;
+    }
+    if (searchHits && !searchHits.has(q.id)) return false;
+    return true;
+  });
+
+  const commentCounts = {};
+  for (const c of state.comments) {
+    if (!c.deleted) commentCounts[c.queryId] = (commentCounts[c.queryId] || 0) + 1;
+  }
+
+  const usersById = new Map(state.users.map((u) => [u.id, u]));
+
+  const sorted = [...filtered].sort((a, b) => {
+    if (sortBy === "reputation") {
+      const diff =
+        menteeReputationScore(usersById.get(b.askerId)) -
+        menteeReputationScore(usersById.get(a.askerId));
+      if (diff !== 0) return diff;
+    }
+    // priority: invited, subject match, recency
+    const aInvited = isInvited(a, myId);
+    if (aInvited !== isInvited(b, myId)) return aInvited ? -1 : 1;
+    const aMatch = a.subjectTags.some((t) =>
+      currentUser.strongSubjects.includes(t)
+    );
+    const bMatch = b.subjectTags.some((t) =>
+      currentUser.strongSubjects.includes(t)
+    );
+    if (aMatch !== bMatch) return aMatch ? -1 : 1;
+    return b.createdAt - a.createdAt;
+  });
+
+  return (
+    <div className="grid md:grid-cols-[260px,1fr] gap-6">
+      <div className="card-glass p-4 h-fit sticky top-24">
+        <h3 className="text-sm font-semibold mb-3">Filters</h3>
+        <div className="space-y-3 text-xs">
+          <div>
+            <label className="block mb-1 text-slate-300">
+              Subject
+            </label>
+            <select
+              value={subjectFilter}
+              onChange={(e) => setSubjectFilter(e.target.value)}
+              className="w-full px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+            >
+              <option value="">All subjects</option>
+              {SUBJECT_OPTIONS.map((s) => (
                 <option key={s}>{s}</option>
               ))}
             </select>
@@ -999,6 +3490,17 @@ function HomeFeed({ currentUser, state, acceptQuery, setRoute }) {
               ))}
             </select>
           </div>
+          <div>
+            <label className="block mb-1 text-slate-300">Sort by</label>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="w-full px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+            >
+              <option value="match">Best match</option>
+              <option value="reputation">Asker reputation</option>
+            </select>
+          </div>
           <div className="flex items-center justify-between">
             <span>Show fresh queries only</span>
             <input
@@ -1007,9 +3509,17 @@ function HomeFeed({ currentUser, state, acceptQuery, setRoute }) {
               onChange={(e) => setOnlyFresh(e.target.checked)}
             />
           </div>
+          <div className="flex items-center justify-between">
+            <span>Include queries I can’t accept</span>
+            <input
+              type="checkbox"
+              checked={showIneligible}
+              onChange={(e) => setShowIneligible(e.target.checked)}
+            />
+          </div>
         </div>
         <button
-          onClick={() => setRoute("post")}
+          onClick={() => navigate(pathFor("post"))}
           className="mt-4 w-full px-4 py-2 rounded-xl bg-primary hover:bg-primary/90 text-xs font-medium shadow-lg shadow-primary/40"
         >
           Post a new query
@@ -1030,7 +3540,7 @@ function HomeFeed({ currentUser, state, acceptQuery, setRoute }) {
             <input
               value={search}
               onChange={(e) => setSearch(e.target.value)}
-              placeholder="Search by title or description..."
+              placeholder="Search open queries…"
               className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-xs"
             />
           </div>
@@ -1044,16 +3554,23 @@ function HomeFeed({ currentUser, state, acceptQuery, setRoute }) {
         ) : (
           <div className="space-y-3">
             {sorted.map((q) => {
-              const asker = state.users.find((u) => u.id === q.askerId);
+              const asker = usersById.get(q.askerId);
+              const { eligible, issues } = eligibility.get(q.id);
               return (
                 <div key={q.id} className="card-glass p-4">
                   <div className="flex justify-between items-start gap-2">
                     <div>
                       <h3 className="text-sm font-semibold mb-1">
-                        {q.title}
+                        <Link
+                          to={pathFor("query", { id: q.id })}
+                          navigate={navigate}
+                          className="hover:text-primary"
+                        >
+                          {q.title}
+                        </Link>
                       </h3>
                       <p className="text-xs text-slate-300 line-clamp-3 mb-2">
-                        {q.description}
+                        {markdownToText(q.description)}
                       </p>
                       <div className="flex flex-wrap gap-1 mb-1">
                         {q.subjectTags.map((tag) => (
@@ -1067,20 +3584,39 @@ function HomeFeed({ currentUser, state, acceptQuery, setRoute }) {
                       </div>
                       <div className="text-[11px] text-slate-400">
                         Asked by{" "}
-                        <span className="text-slate-200">
-                          {asker?.name || "Unknown"}
-                        </span>{" "}
+                        <UserLink
+                          user={asker}
+                          navigate={navigate}
+                          className="text-slate-200"
+                        />{" "}
                         • {asker?.year || "-"} •{" "}
+                        <MenteeReputationTag user={asker} /> •{" "}
                         {new Date(q.createdAt).toLocaleString()}
                       </div>
                     </div>
-                    <button
-                      onClick={() => acceptQuery(q.id)}
-                      className="px-3 py-1.5 rounded-xl bg-accent/20 text-accent text-xs font-semibold hover:bg-accent/30"
-                    >
-                      Accept & Help
-                    </button>
+                    {eligible ? (
+                      <button
+                        onClick={() =>
+                          setProposingFor((cur) => (cur === q.id ? null : q.id))
+                        }
+                        className="px-3 py-1.5 rounded-xl bg-accent/20 text-accent text-xs font-semibold hover:bg-accent/30"
+                      >
+                        {proposingFor === q.id ? "Close" : "Accept & Help"}
+                      </button>
+                    ) : (
+                      <span
+                        title={issues.map((i) => i.message).join(" ")}
+                        className="px-3 py-1.5 rounded-xl bg-slate-800 text-slate-400 text-xs whitespace-nowrap"
+                      >
+                        Not eligible
+                      </span>
+                    )}
                   </div>
+                  {!eligible && (
+                    <div className="mt-2 text-[11px] text-yellow-300">
+                      {issues.map((i) => i.message).join(" ")}
+                    </div>
+                  )}
                   <div className="mt-2 flex flex-wrap gap-2 text-[10px] text-slate-400">
                     <span>
                       Mentor type: {q.preferredMentorType || "Any"}
@@ -1089,7 +3625,45 @@ function HomeFeed({ currentUser, state, acceptQuery, setRoute }) {
                     <span>Mode: {q.preferredMode || "Either"}</span>
                     <span>•</span>
                     <span>Time: {q.timePreference || "Flexible"}</span>
+                    {commentCounts[q.id] > 0 && (
+                      <>
+                        <span>•</span>
+                        <span>💬 {commentCounts[q.id]}</span>
+                      </>
+                    )}
+                    {q.joinerIds?.length > 0 && (
+                      <>
+                        <span>•</span>
+                        <span title="Classmates with the same doubt">
+                          👥 +{q.joinerIds.length}
+                        </span>
+                      </>
+                    )}
+                    {isInvited(q, myId) && (
+                      <>
+                        <span>•</span>
+                        <span className="text-accent">✉ Invited you</span>
+                      </>
+                    )}
                   </div>
+                  {proposingFor === q.id && (
+                    <ProposeSlotsForm
+                      mentor={currentUser}
+                      state={state}
+                      isMentor
+                      menteeId={q.askerId}
+                      timePreference={q.timePreference}
+                      preferredMode={q.preferredMode}
+                      joinerCount={(q.joinerIds || []).length}
+                      navigate={navigate}
+                      submitLabel="Send proposal"
+                      onSubmit={(data) => {
+                        acceptQuery(q.id, data);
+                        setProposingFor(null);
+                      }}
+                      onCancel={() => setProposingFor(null)}
+                    />
+                  )}
                 </div>
               );
             })}
@@ -1100,270 +3674,2163 @@ function HomeFeed({ currentUser, state, acceptQuery, setRoute }) {
   );
 }
 
-/* Post Query */
+/* Query Detail */
 
-function PostQueryPage({ createQuery, setRoute }) {
-  const [title, setTitle] = useState("");
-  const [description, setDescription] = useState("");
-  const [subjectTags, setSubjectTags] = useState([]);
-  const [preferredMentorType, setPreferredMentorType] = useState("Any");
-  const [preferredMode, setPreferredMode] = useState("Either");
-  const [timePreference, setTimePreference] = useState("");
+function QueryDetailPage({
+  query,
+  currentUser,
+  state,
+  acceptQuery,
+  toggleJoinQuery,
+  addComment,
+  deleteComment,
+  acceptAnswer,
+  inviteMentor,
+  reportContent,
+  unhideContent,
+  navigate,
+}) {
+  const [proposing, setProposing] = useState(false);
+  const q = query;
+  const asker = state.users.find((u) => u.id === q.askerId);
+  const isMine = q.askerId === currentUser.id;
+  const joined = hasJoined(q, currentUser.id);
+  const joiners = (q.joinerIds || [])
+    .map((uid) => state.users.find((u) => u.id === uid))
+    .filter(Boolean);
+  const activeSession = state.sessions.find(
+    (s) => s.queryId === q.id && isActiveSession(s)
+  );
+  const groupSession =
+    activeSession && isGroupSession(activeSession) ? activeSession : null;
+  const isMentor = activeSession?.mentorId === currentUser.id;
+  const { eligible, issues } = checkEligibility(q, currentUser, asker);
+  const answers = answersFor(state.comments, q);
+  const thread = buildThread(state.comments, q.id);
 
-  const toggleTag = (tag) => {
-    setSubjectTags((prev) =>
-      prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]
-    );
-  };
+  return (
+    <div className="max-w-3xl mx-auto space-y-4">
+      {q.hidden && (
+        <div className="card-glass border-red-500/40 p-3 text-xs text-red-300 flex justify-between items-center gap-3">
+          <span>
+            An admin hid this query after reports. Only{" "}
+            {isMine ? "you" : "its asker"} and admins can see it.
+          </span>
+          {currentUser.role === "admin" && (
+            <button
+              onClick={() => unhideContent("query", q.id)}
+              className="px-3 py-1 rounded-full bg-red-500/20 hover:bg-red-500/30"
+            >
+              Unhide
+            </button>
+          )}
+        </div>
+      )}
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!title || !description || subjectTags.length === 0) {
-      alert("Title, description and at least 1 subject tag are required.");
-      return;
-    }
-    createQuery({
-      title,
-      description,
-      subjectTags,
-      preferredMentorType,
-      preferredMode,
-      timePreference,
-    });
-    alert("Query launched! 🚀");
-    setRoute("home");
-  };
+      <div className="card-glass p-6">
+        <div className="flex justify-between items-start gap-3">
+          <div>
+            <h2 className="text-xl font-semibold mb-1">{q.title}</h2>
+            <div className="text-[11px] text-slate-400">
+              Asked by{" "}
+              <UserLink
+                user={asker}
+                navigate={navigate}
+                className="text-slate-200"
+              />{" "}
+              • {asker?.year || "-"} • <MenteeReputationTag user={asker} /> •{" "}
+              {new Date(q.createdAt).toLocaleString()}
+              {q.editedAt ? " • edited" : ""}
+            </div>
+          </div>
+          <span
+            className={`px-2 py-0.5 rounded-full text-[10px] whitespace-nowrap ${
+              QUERY_STATUS_STYLES[q.status] || ""
+            }`}
+          >
+            {q.status}
+          </span>
+        </div>
 
-  return (
-    <div className="max-w-2xl mx-auto card-glass p-6">
-      <h2 className="text-xl font-semibold mb-2">
-        Post a new query
-      </h2>
-      <p className="text-xs text-slate-400 mb-4">
-        Describe your doubt clearly so the right mentor can pick it up.
-      </p>
+        <Markdown
+          text={q.description}
+          className="mt-4 text-sm text-slate-200"
+        />
+        <AttachmentList attachments={q.attachments} />
 
-      <form onSubmit={handleSubmit} className="space-y-4 text-sm">
-        <div>
-          <label className="block text-xs mb-1 text-slate-300">
-            Title
-          </label>
-          <input
-            value={title}
-            maxLength={80}
-            onChange={(e) => setTitle(e.target.value)}
-            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
-            placeholder="Struggling with recursion in DSA"
-          />
+        <div className="mt-4 flex flex-wrap gap-1">
+          {q.subjectTags.map((tag) => (
+            <span
+              key={tag}
+              className="px-2 py-0.5 rounded-full bg-primary/20 text-primary text-[10px]"
+            >
+              {tag}
+            </span>
+          ))}
+        </div>
+        <div className="mt-2 flex flex-wrap gap-2 text-[10px] text-slate-400">
+          <span>Mentor type: {q.preferredMentorType || "Any"}</span>
+          <span>•</span>
+          <span>Mode: {q.preferredMode || "Either"}</span>
+          <span>•</span>
+          <span>Time: {q.timePreference || "Flexible"}</span>
         </div>
 
-        <div>
-          <label className="block text-xs mb-1 text-slate-300">
-            Description
-          </label>
-          <textarea
-            value={description}
-            minLength={20}
-            maxLength={1000}
-            onChange={(e) => setDescription(e.target.value)}
-            rows={4}
-            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary resize-none"
-            placeholder="Explain your doubt, what you already tried, and where you're stuck."
-          />
+        <div className="mt-4 flex flex-wrap gap-2 items-center">
+          {isMine ? (
+            <button
+              onClick={() => navigate(pathFor("myQueries"))}
+              className="px-3 py-1.5 rounded-xl bg-slate-800 hover:bg-slate-700 text-xs"
+            >
+              Manage in My Queries
+            </button>
+          ) : (
+            q.status === QUERY_STATUS.OPEN &&
+            (eligible ? (
+              <button
+                onClick={() => setProposing((p) => !p)}
+                className="px-3 py-1.5 rounded-xl bg-accent/20 text-accent text-xs font-semibold hover:bg-accent/30"
+              >
+                {proposing ? "Close" : "Accept & Help"}
+              </button>
+            ) : (
+              <span className="text-[11px] text-yellow-300">
+                You can’t accept this query:{" "}
+                {issues.map((i) => i.message).join(" ")}
+              </span>
+            ))
+          )}
+          {!isMine &&
+            !isMentor &&
+            (q.status === QUERY_STATUS.OPEN ||
+              q.status === QUERY_STATUS.IN_PROGRESS) && (
+              <button
+                onClick={() => toggleJoinQuery(q.id)}
+                className={`px-3 py-1.5 rounded-xl text-xs ${
+                  joined
+                    ? "bg-primary/20 text-primary hover:bg-primary/30"
+                    : "bg-slate-800 hover:bg-slate-700"
+                }`}
+              >
+                {joined ? "✓ Joined (leave)" : "+1 / Join"}
+              </button>
+            )}
+          {!isMine && (
+            <ReportButton
+              targetType="query"
+              targetId={q.id}
+              reportContent={reportContent}
+              className="ml-auto"
+            />
+          )}
         </div>
 
-        <div>
-          <label className="block text-xs mb-1 text-slate-300">
-            Subject Tags (pick at least 1)
-          </label>
-          <div className="flex flex-wrap gap-2">
-            {SUBJECT_OPTIONS.map((tag) => {
-              const selected = subjectTags.includes(tag);
-              return (
-                <button
-                  type="button"
-                  key={tag}
-                  onClick={() => toggleTag(tag)}
-                  className={`px-3 py-1 rounded-full text-xs border ${
-                    selected
-                      ? "bg-primary/20 border-primary text-primary"
-                      : "bg-slate-900 border-white/10 text-slate-300 hover:border-primary/50"
-                  }`}
-                >
-                  {tag}
-                </button>
-              );
-            })}
+        {joiners.length > 0 && (
+          <div className="mt-3 text-[11px] text-slate-400">
+            👥 {joiners.length}{" "}
+            {joiners.length === 1 ? "classmate has" : "classmates have"} the
+            same doubt:{" "}
+            {joiners.map((u, i) => (
+              <span key={u.id}>
+                {i > 0 && ", "}
+                <UserLink user={u} navigate={navigate} />
+              </span>
+            ))}
+            {groupSession && (
+              <>
+                {" "}
+                • Group session: {menteesOf(groupSession).length}/
+                {groupSession.capacity} seats taken
+                {joined &&
+                  !menteesOf(groupSession).includes(currentUser.id) &&
+                  " (you're on the waiting list)"}
+              </>
+            )}
           </div>
-        </div>
+        )}
 
-        <div className="grid md:grid-cols-3 gap-4">
-          <div>
-            <label className="block text-xs mb-1 text-slate-300">
-              Preferred mentor type
-            </label>
-            <select
-              value={preferredMentorType}
-              onChange={(e) => setPreferredMentorType(e.target.value)}
-              className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-xs"
-            >
-              <option>Any</option>
-              <option>Senior</option>
-              <option>Same year</option>
-            </select>
+        {!isMine && isInvited(q, currentUser.id) && (
+          <div className="mt-3 text-[11px] text-accent">
+            ✉ {asker?.name || "The asker"} invited you to help with this
+            query.
           </div>
-          <div>
-            <label className="block text-xs mb-1 text-slate-300">
-              Preferred mode
-            </label>
-            <select
-              value={preferredMode}
-              onChange={(e) => setPreferredMode(e.target.value)}
-              className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-xs"
-            >
-              <option>Either</option>
-              <option>Online</option>
-              <option>Offline</option>
-            </select>
+        )}
+
+        {proposing && (
+          <ProposeSlotsForm
+            mentor={currentUser}
+            state={state}
+            isMentor
+            menteeId={q.askerId}
+            timePreference={q.timePreference}
+            preferredMode={q.preferredMode}
+            joinerCount={(q.joinerIds || []).length}
+            navigate={navigate}
+            submitLabel="Send proposal"
+            onSubmit={(data) => {
+              acceptQuery(q.id, data);
+              setProposing(false);
+            }}
+            onCancel={() => setProposing(false)}
+          />
+        )}
+      </div>
+
+      {isMine && q.status === QUERY_STATUS.OPEN && (
+        <SuggestedMentors
+          query={q}
+          state={state}
+          inviteMentor={inviteMentor}
+          navigate={navigate}
+        />
+      )}
+
+      <div className="card-glass p-6">
+        <h3 className="text-sm font-semibold mb-1">
+          Answers {answers.length > 0 && `(${answers.length})`}
+        </h3>
+        <p className="text-[11px] text-slate-400 mb-3">
+          Quick text answers for doubts that don’t need a full session.
+          {isMine && " Accept the one that solved it."}
+        </p>
+
+        {answers.length === 0 ? (
+          <p className="text-xs text-slate-300 mb-3">No answers yet.</p>
+        ) : (
+          <div className="space-y-2 mb-3">
+            {answers.map((a) => (
+              <CommentItem
+                key={a.id}
+                comment={a}
+                state={state}
+                currentUser={currentUser}
+                navigate={navigate}
+                accepted={a.id === q.acceptedAnswerId}
+                onAccept={
+                  isMine && !q.acceptedAnswerId && !a.deleted
+                    ? () => acceptAnswer(q.id, a.id)
+                    : null
+                }
+                onDelete={deleteComment}
+                reportContent={reportContent}
+                unhideContent={unhideContent}
+              />
+            ))}
           </div>
-          <div>
-            <label className="block text-xs mb-1 text-slate-300">
-              Time preference
-            </label>
-            <select
-              value={timePreference}
-              onChange={(e) => setTimePreference(e.target.value)}
-              className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-xs"
-            >
-              <option value="">Flexible</option>
-              <option>Evenings</option>
-              <option>Weekends</option>
-              <option>Late night</option>
-            </select>
+        )}
+
+        {!isMine && (
+          <CommentForm
+            placeholder="Write a quick answer…"
+            submitLabel="Post answer"
+            onSubmit={(body, attachments) =>
+              addComment(q.id, { body, kind: "answer", attachments })
+            }
+          />
+        )}
+      </div>
+
+      <div className="card-glass p-6">
+        <h3 className="text-sm font-semibold mb-1">Discussion</h3>
+        <p className="text-[11px] text-slate-400 mb-3">
+          Ask the asker a clarifying question before you accept.
+        </p>
+
+        {thread.length > 0 && (
+          <div className="space-y-2 mb-3">
+            {thread.map((c) => (
+              <CommentItem
+                key={c.id}
+                comment={c}
+                state={state}
+                currentUser={currentUser}
+                navigate={navigate}
+                onReply={(parentId, body, attachments) =>
+                  addComment(q.id, { body, parentId, attachments })
+                }
+                onDelete={deleteComment}
+                reportContent={reportContent}
+                unhideContent={unhideContent}
+              />
+            ))}
           </div>
+        )}
+
+        <CommentForm
+          placeholder={isMine ? "Add more context…" : "Ask a question…"}
+          submitLabel="Comment"
+          onSubmit={(body, attachments) =>
+            addComment(q.id, { body, attachments })
+          }
+        />
+      </div>
+    </div>
+  );
+}
+
+/* Rich content */
+
+const CODE_TOKEN_CLASSES = {
+  keyword: "text-sky-300",
+  string: "text-emerald-300",
+  comment: "text-slate-500 italic",
+  number: "text-amber-300",
+  plain: "",
+};
+
+function CodeBlock({ lang, text }) {
+  return (
+    <div className="my-2 rounded-xl bg-black/40 border border-white/10 overflow-hidden">
+      {languageOf(lang) && (
+        <div className="px-3 py-1 text-[10px] text-slate-500 border-b border-white/5">
+          {lang}
         </div>
+      )}
+      <pre className="px-3 py-2 overflow-x-auto text-xs leading-relaxed">
+        <code>
+          {highlight(text, lang).map((t, i) => (
+            <span key={i} className={CODE_TOKEN_CLASSES[t.type]}>
+              {t.value}
+            </span>
+          ))}
+        </code>
+      </pre>
+    </div>
+  );
+}
 
-        <div className="flex justify-end gap-3">
-          <button
-            type="button"
-            onClick={() => setRoute("home")}
-            className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 text-xs"
+function renderInline(nodes) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "text":
+        return n.value;
+      case "br":
+        return <br key={i} />;
+      case "code":
+        return (
+          <code
+            key={i}
+            className="px-1 py-0.5 rounded bg-black/40 text-[0.9em] text-amber-200"
           >
-            Cancel
-          </button>
+            {n.value}
+          </code>
+        );
+      case "strong":
+        return <strong key={i}>{renderInline(n.children)}</strong>;
+      case "em":
+        return <em key={i}>{renderInline(n.children)}</em>;
+      case "del":
+        return <del key={i}>{renderInline(n.children)}</del>;
+      case "link":
+        return (
+          <a
+            key={i}
+            href={n.href}
+            target="_blank"
+            rel="noopener noreferrer nofollow"
+            className="text-sky-400 hover:underline break-all"
+          >
+            {renderInline(n.children)}
+          </a>
+        );
+      case "image":
+        return (
+          <img
+            key={i}
+            src={n.src}
+            alt={n.alt}
+            referrerPolicy="no-referrer"
+            className="inline-block max-h-64 rounded-lg"
+          />
+        );
+      default:
+        return null;
+    }
+  });
+}
+
+function renderBlocks(blocks) {
+  return blocks.map((b, i) => {
+    switch (b.type) {
+      case "heading": {
+        const Tag = `h${Math.min(b.level + 2, 6)}`;
+        return (
+          <Tag key={i} className="font-semibold mt-3 mb-1">
+            {renderInline(b.children)}
+          </Tag>
+        );
+      }
+      case "code":
+        return <CodeBlock key={i} lang={b.lang} text={b.text} />;
+      case "list": {
+        const Tag = b.ordered ? "ol" : "ul";
+        return (
+          <Tag
+            key={i}
+            start={b.ordered ? b.start : undefined}
+            className={`my-1 pl-5 space-y-0.5 ${
+              b.ordered ? "list-decimal" : "list-disc"
+            }`}
+          >
+            {b.items.map((item, j) => (
+              <li key={j}>{renderInline(item)}</li>
+            ))}
+          </Tag>
+        );
+      }
+      case "quote":
+        return (
+          <blockquote
+            key={i}
+            className="my-2 pl-3 border-l-2 border-white/20 text-slate-400"
+          >
+            {renderBlocks(b.children)}
+          </blockquote>
+        );
+      case "hr":
+        return <hr key={i} className="my-3 border-white/10" />;
+      default:
+        return (
+          <p key={i} className="my-1">
+            {renderInline(b.children)}
+          </p>
+        );
+    }
+  });
+}
+
+// Rendered from a parsed tree, never via innerHTML, so user HTML stays text.
+function Markdown({ text, className = "" }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  return (
+    <div className={`break-words ${className}`}>{renderBlocks(blocks)}</div>
+  );
+}
+
+function AttachmentList({ attachments }) {
+  const valid = (attachments || []).filter(isValidAttachment);
+  if (valid.length === 0) return null;
+  const images = valid.filter(isImageAttachment);
+  const files = valid.filter((a) => !isImageAttachment(a));
+
+  return (
+    <div className="mt-3 space-y-2">
+      {images.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {images.map((a) => (
+            <a
+              key={a.id}
+              href={a.dataUrl}
+              download={a.name}
+              title={`${a.name} (${formatBytes(a.size)})`}
+            >
+              <img
+                src={a.dataUrl}
+                alt={a.name}
+                className="h-28 max-w-[14rem] object-cover rounded-lg border border-white/10 hover:border-primary"
+              />
+            </a>
+          ))}
+        </div>
+      )}
+      {files.map((a) => (
+        <a
+          key={a.id}
+          href={a.dataUrl}
+          download={a.name}
+          className="flex items-center gap-2 text-[11px] text-sky-400 hover:underline"
+        >
+          📎 {a.name}
+          <span className="text-slate-500">{formatBytes(a.size)}</span>
+        </a>
+      ))}
+    </div>
+  );
+}
+
+function AttachmentPicker({ attachments, onChange, max }) {
+  const [busy, setBusy] = useState(false);
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = "";
+    if (attachments.length + files.length > max) {
+      alert(`You can attach up to ${max} file${max === 1 ? "" : "s"}.`);
+      return;
+    }
+    const error = files.map(validateAttachment).find(Boolean);
+    if (error) {
+      alert(error);
+      return;
+    }
+    setBusy(true);
+    try {
+      const read = await Promise.all(files.map(readAttachment));
+      onChange([...attachments, ...read]);
+    } catch {
+      alert("Couldn’t read that file. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="text-[11px] text-slate-400 space-y-1">
+      {attachments.map((a) => (
+        <div key={a.id} className="flex items-center gap-2">
+          <span>📎 {a.name}</span>
+          <span className="text-slate-500">{formatBytes(a.size)}</span>
           <button
-            type="submit"
-            className="px-5 py-2 rounded-xl bg-primary hover:bg-primary/90 text-xs font-medium shadow-lg shadow-primary/40"
+            type="button"
+            onClick={() => onChange(attachments.filter((x) => x.id !== a.id))}
+            className="text-slate-500 hover:text-red-300"
           >
-            Post Query
+            Remove
           </button>
         </div>
-      </form>
+      ))}
+      {attachments.length < max && (
+        <label className="inline-flex items-center gap-1 cursor-pointer hover:text-primary">
+          <input
+            type="file"
+            multiple={max > 1}
+            accept={ATTACHMENT_TYPES.join(",")}
+            onChange={handleFiles}
+            disabled={busy}
+            className="hidden"
+          />
+          {busy
+            ? "Attaching…"
+            : `📎 Attach file (images, PDF, text • max ${MAX_ATTACHMENT_BYTES / 1024} KB)`}
+        </label>
+      )}
     </div>
   );
 }
 
-/* Leaderboard */
+function SuggestedMentors({ query, state, inviteMentor, navigate }) {
+  const now = useNow();
+  const suggestions = useMemo(
+    () => recommendMentors(query, state, { now }),
+    [query, state, now]
+  );
 
-function LeaderboardPage({ leaderboard }) {
   return (
     <div className="card-glass p-6">
-      <div className="flex justify-between items-center mb-4">
-        <div>
-          <h2 className="text-xl font-semibold">Leaderboard</h2>
-          <p className="text-xs text-slate-400">
-            Ranked by total XP (rating × 10 per completed session).
-          </p>
+      <h3 className="text-sm font-semibold mb-1">Suggested mentors</h3>
+      <p className="text-[11px] text-slate-400 mb-3">
+        Ranked by subject strength, seniority, your mentor-type preference,
+        rating and how busy they are. Invite someone to send them a nudge.
+      </p>
+      {suggestions.length === 0 ? (
+        <p className="text-xs text-slate-300">
+          No mentors list these subjects yet. Your query is still visible to
+          everyone in the feed.
+        </p>
+      ) : (
+        <div className="space-y-2 text-xs">
+          {suggestions.map(({ user, reasons }) => {
+            const invited = isInvited(query, user.id);
+            return (
+              <div
+                key={user.id}
+                className="flex justify-between items-center gap-3 border border-white/5 rounded-xl p-3 bg-black/20"
+              >
+                <div>
+                  <UserLink
+                    user={user}
+                    navigate={navigate}
+                    className="font-medium"
+                  />
+                  <span className="text-[10px] text-slate-500">
+                    {" "}
+                    • {user.year || "-"} • LVL {user.level || 1}
+                  </span>
+                  <div className="text-[11px] text-slate-400">
+                    {reasons.join(" • ")}
+                  </div>
+                </div>
+                <button
+                  onClick={() => inviteMentor(query.id, user.id)}
+                  disabled={invited}
+                  className="px-3 py-1 rounded-full bg-accent/20 text-accent text-[11px] font-semibold hover:bg-accent/30 disabled:opacity-50"
+                >
+                  {invited ? "Invited" : "Invite"}
+                </button>
+              </div>
+            );
+          })}
         </div>
+      )}
+    </div>
+  );
+}
+
+function CommentItem({
+  comment,
+  state,
+  currentUser,
+  navigate,
+  accepted = false,
+  onAccept,
+  onReply,
+  onDelete,
+  reportContent,
+  unhideContent,
+}) {
+  const [replying, setReplying] = useState(false);
+  const c = comment;
+  const author = state.users.find((u) => u.id === c.authorId);
+  const isAdmin = currentUser.role === "admin";
+  const showBody = !c.deleted && (!c.hidden || isAdmin);
+
+  return (
+    <div
+      className={`rounded-xl p-3 text-xs border ${
+        accepted
+          ? "border-emerald-500/40 bg-emerald-500/5"
+          : "border-white/5 bg-black/20"
+      }`}
+    >
+      <div className="flex justify-between items-center gap-2 text-[11px] text-slate-400">
+        <span>
+          <UserLink
+            user={author}
+            navigate={navigate}
+            className="text-slate-200"
+          />{" "}
+          • {new Date(c.createdAt).toLocaleString()}
+        </span>
+        {accepted && (
+          <span className="text-emerald-300 font-medium">✓ Accepted</span>
+        )}
       </div>
 
-      {leaderboard.length === 0 ? (
-        <p className="text-sm text-slate-300">
-          No mentors yet. Be the first to help someone and earn XP!
+      {c.deleted ? (
+        <p className="mt-1 italic text-slate-500">This comment was deleted.</p>
+      ) : c.hidden && !isAdmin ? (
+        <p className="mt-1 italic text-slate-500">
+          This comment was hidden by an admin.
         </p>
       ) : (
-        <div className="overflow-x-auto text-xs">
-          <table className="w-full border-separate border-spacing-y-1">
-            <thead className="text-[11px] text-slate-400">
-              <tr>
-                <th className="text-left">Rank</th>
-                <th className="text-left">Mentor</th>
-                <th>Year</th>
-                <th>XP</th>
-                <th>Avg Rating</th>
-                <th>Sessions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {leaderboard.map((u, idx) => (
-                <tr
-                  key={u.id}
-                  className="card-glass"
-                  style={{ borderRadius: 9999 }}
-                >
-                  <td className="px-3 py-2">
-                    {idx + 1 === 1 ? "🥇" : idx + 1 === 2 ? "🥈" : idx + 1 === 3 ? "🥉" : idx + 1}
-                  </td>
-                  <td className="px-3 py-2">
-                    <div className="flex items-center gap-2">
-                      <div className="w-6 h-6 rounded-full bg-gradient-to-br from-primary to-emerald-500 flex items-center justify-center text-[10px] font-bold">
-                        {u.name?.[0]?.toUpperCase() || "U"}
-                      </div>
-                      <div>
-                        <div className="font-medium">{u.name}</div>
-                        <div className="text-[10px] text-slate-400">
-                          LVL {u.level || 1}
-                        </div>
-                      </div>
-                    </div>
-                  </td>
-                  <td className="px-3 py-2 text-center">
-                    {u.year || "-"}
-                  </td>
-                  <td className="px-3 py-2 text-center">
-                    {Math.round(u.xp || 0)}
-                  </td>
-                  <td className="px-3 py-2 text-center">
-                    {u.ratingCount ? (
-                      <>
-                        ★ {u.ratingAvg.toFixed(2)}{" "}
-                        <span className="text-slate-500">
-                          ({u.ratingCount})
-                        </span>
-                      </>
-                    ) : (
-                      "-"
-                    )}
-                  </td>
-                  <td className="px-3 py-2 text-center">
-                    {u.ratingCount || 0}
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
+        <>
+          {c.hidden && (
+            <p className="mt-1 text-[11px] text-red-300">
+              Hidden from everyone but admins.
+            </p>
+          )}
+          <Markdown text={c.body} className="mt-1 text-slate-200" />
+          <AttachmentList attachments={c.attachments} />
+        </>
+      )}
+
+      {showBody && (
+        <div className="mt-1 flex gap-3 text-[11px]">
+          {onReply && (
+            <button
+              onClick={() => setReplying((r) => !r)}
+              className="text-slate-400 hover:text-primary"
+            >
+              Reply
+            </button>
+          )}
+          {onAccept && (
+            <button
+              onClick={onAccept}
+              className="text-emerald-300 hover:underline"
+            >
+              Accept answer
+            </button>
+          )}
+          {c.authorId === currentUser.id && (
+            <button
+              onClick={() => onDelete(c.id)}
+              className="text-slate-500 hover:text-red-300"
+            >
+              Delete
+            </button>
+          )}
+          {c.hidden && isAdmin && (
+            <button
+              onClick={() => unhideContent("comment", c.id)}
+              className="text-red-300 hover:underline"
+            >
+              Unhide
+            </button>
+          )}
+          {c.authorId !== currentUser.id && (
+            <ReportButton
+              targetType="comment"
+              targetId={c.id}
+              reportContent={reportContent}
+            />
+          )}
+        </div>
+      )}
+
+      {replying && (
+        <div className="mt-2">
+          <CommentForm
+            placeholder="Write a reply…"
+            submitLabel="Reply"
+            onSubmit={(body, attachments) => {
+              const ok = onReply(c.id, body, attachments);
+              if (ok) setReplying(false);
+              return ok;
+            }}
+          />
+        </div>
+      )}
+
+      {c.replies?.length > 0 && (
+        <div className="mt-2 pl-3 border-l border-white/10 space-y-2">
+          {c.replies.map((r) => (
+            <CommentItem
+              key={r.id}
+              comment={r}
+              state={state}
+              currentUser={currentUser}
+              navigate={navigate}
+              onReply={onReply}
+              onDelete={onDelete}
+              reportContent={reportContent}
+              unhideContent={unhideContent}
+            />
+          ))}
         </div>
       )}
     </div>
   );
 }
 
-/* Profile View */
+function CommentForm({ placeholder, submitLabel, onSubmit }) {
+  const [body, setBody] = useState("");
+  const [attachments, setAttachments] = useState([]);
 
-function ProfileViewPage({ user, state }) {
-  const sessionsAsMentor = state.sessions.filter(
-    (s) => s.mentorId === user.id && s.status === "Completed"
-  );
-  const sessionsAsMentee = state.sessions.filter(
-    (s) => s.menteeId === user.id && s.status === "Completed"
-  );
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    if (onSubmit(body, attachments)) {
+      setBody("");
+      setAttachments([]);
+    }
+  };
 
   return (
-    <div className="grid md:grid-cols-[260px,1fr] gap-6">
-      <div className="card-glass p-6">
-        <div className="flex flex-col items-center text-center">
-          <div className="w-16 h-16 rounded-full bg-gradient-to-br from-primary to-emerald-500 flex items-center justify-center text-xl font-bold mb-2">
-            {user.name?.[0]?.toUpperCase() || "U"}
+    <form onSubmit={handleSubmit} className="flex flex-col gap-2 text-xs">
+      <textarea
+        value={body}
+        rows={2}
+        maxLength={MAX_COMMENT_LENGTH}
+        onChange={(e) => setBody(e.target.value)}
+        className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary resize-none"
+        placeholder={placeholder}
+      />
+      <div className="flex justify-between items-start gap-2">
+        <AttachmentPicker
+          attachments={attachments}
+          onChange={setAttachments}
+          max={MAX_COMMENT_ATTACHMENTS}
+        />
+        <button
+          type="submit"
+          className="px-4 py-1.5 rounded-xl bg-primary hover:bg-primary/90 font-medium shadow-lg shadow-primary/40"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/* Session proposals */
+
+const MAX_PROPOSED_SLOTS = 5;
+
+function ProposeSlotsForm({
+  mentor,
+  state,
+  isMentor,
+  timePreference,
+  exceptSessionId,
+  menteeId,
+  preferredMode,
+  initialLocation = "",
+  joinerCount,
+  submitLabel,
+  onSubmit,
+  onCancel,
+  navigate,
+}) {
+  const now = useNow();
+  const options = useMemo(
+    () =>
+      mentor
+        ? openSlots(mentor, state.sessions, {
+            now,
+            // The asker's preference limits what a mentor offers; askers
+            // countering may pick any time the mentor has open.
+            timePreference: isMentor ? timePreference : "",
+            exceptSessionId,
+            alsoFreeFor: menteeId ? [menteeId] : [],
+          })
+        : [],
+    [
+      mentor,
+      state.sessions,
+      now,
+      isMentor,
+      timePreference,
+      exceptSessionId,
+      menteeId,
+    ]
+  );
+  const [slots, setSlots] = useState([]);
+  const [mode, setMode] = useState(
+    preferredMode === "Offline" ? "Offline" : "Online"
+  );
+  const [locationOrLink, setLocationOrLink] = useState(initialLocation);
+  const [note, setNote] = useState("");
+  // Only offered when accepting a query; joiners fill the extra seats.
+  const [capacity, setCapacity] = useState(() =>
+    Math.min(1 + (joinerCount || 0), MAX_GROUP_SIZE)
+  );
+
+  const byDay = new Map();
+  for (const slot of options) {
+    const key = dateKey(slot);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(slot);
+  }
+
+  const toggleSlot = (slot) => {
+    setSlots((prev) =>
+      prev.includes(slot)
+        ? prev.filter((v) => v !== slot)
+        : prev.length < MAX_PROPOSED_SLOTS
+          ? [...prev, slot]
+          : prev
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const chosen = slots.filter((v) => options.includes(v));
+    if (chosen.length === 0) {
+      alert("Pick at least one open slot.");
+      return;
+    }
+    if (!locationOrLink.trim()) {
+      alert(
+        mode === "Offline"
+          ? "Add a meeting place."
+          : "Add a meeting link."
+      );
+      return;
+    }
+    onSubmit({
+      slots: chosen,
+      mode,
+      locationOrLink: locationOrLink.trim(),
+      note: note.trim(),
+      ...(joinerCount != null ? { capacity } : {}),
+    });
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-3 border border-white/5 rounded-xl p-3 bg-black/20 space-y-3 text-xs"
+    >
+      <div className="text-[11px] text-slate-400">
+        Asker’s time preference:{" "}
+        <span className="text-slate-200">{timePreference || "Flexible"}</span>
+      </div>
+
+      <div>
+        <label className="block mb-1 text-slate-300">
+          {isMentor ? "Your open slots" : `${mentor?.name || "Mentor"}’s open slots`}{" "}
+          <span className="text-slate-500">
+            (pick up to {MAX_PROPOSED_SLOTS})
+          </span>
+        </label>
+        {options.length === 0 ? (
+          <p className="text-[11px] text-yellow-300">
+            {!isMentor ? (
+              `${mentor?.name || "The mentor"} has no open slots in the next two weeks. Ask them in the chat below.`
+            ) : !hasAvailability(mentor) ? (
+              <>
+                Publish your weekly availability before proposing times.{" "}
+                <Link
+                  to={pathFor("settings")}
+                  navigate={navigate}
+                  className="underline"
+                >
+                  Set availability
+                </Link>
+              </>
+            ) : (
+              <>
+                None of your open slots in the next two weeks
+                {timePreference ? ` fit “${timePreference}”` : ""}.{" "}
+                <Link
+                  to={pathFor("settings")}
+                  navigate={navigate}
+                  className="underline"
+                >
+                  Add availability
+                </Link>
+              </>
+            )}
+          </p>
+        ) : (
+          <div className="space-y-1 max-h-48 overflow-y-auto">
+            {[...byDay].map(([day, daySlots]) => (
+              <div key={day} className="flex gap-2 items-start">
+                <span className="w-24 shrink-0 text-[11px] text-slate-400 pt-1">
+                  {new Date(daySlots[0]).toLocaleDateString(undefined, {
+                    weekday: "short",
+                    month: "short",
+                    day: "numeric",
+                  })}
+                </span>
+                <div className="flex flex-wrap gap-1">
+                  {daySlots.map((slot) => (
+                    <button
+                      type="button"
+                      key={slot}
+                      onClick={() => toggleSlot(slot)}
+                      className={`px-2 py-0.5 rounded-full text-[11px] ${
+                        slots.includes(slot)
+                          ? "bg-primary text-white"
+                          : "bg-slate-800 hover:bg-slate-700"
+                      }`}
+                    >
+                      {new Date(slot).toLocaleTimeString([], {
+                        hour: "2-digit",
+                        minute: "2-digit",
+                      })}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-[140px,1fr] gap-2">
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+        >
+          <option>Online</option>
+          <option>Offline</option>
+        </select>
+        <input
+          value={locationOrLink}
+          onChange={(e) => setLocationOrLink(e.target.value)}
+          className="px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+          placeholder={
+            mode === "Offline"
+              ? "Meeting place (e.g., PCCOE Library)"
+              : "Meeting link (e.g., Google Meet URL)"
+          }
+        />
+      </div>
+
+      {joinerCount != null && (
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="text-slate-300">Session size</label>
+          <select
+            value={capacity}
+            onChange={(e) => setCapacity(Number(e.target.value))}
+            className="px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+          >
+            {Array.from({ length: MAX_GROUP_SIZE }, (_, i) => i + 1).map(
+              (n) => (
+                <option key={n} value={n}>
+                  {n === 1 ? "One-to-one" : `Group of up to ${n}`}
+                </option>
+              )
+            )}
+          </select>
+          <span className="text-[11px] text-slate-400">
+            {joinerCount > 0
+              ? `${joinerCount} classmate${joinerCount === 1 ? "" : "s"} +1'd this query.`
+              : "Classmates who +1 the query later can take free seats."}
+          </span>
+        </div>
+      )}
+
+      <input
+        value={note}
+        maxLength={200}
+        onChange={(e) => setNote(e.target.value)}
+        className="w-full px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+        placeholder="Note (optional)"
+      />
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 rounded-xl bg-slate-800 hover:bg-slate-700"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-1.5 rounded-xl bg-primary hover:bg-primary/90 font-medium shadow-lg shadow-primary/40"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function SessionProposalPanel({
+  session,
+  currentUser,
+  state,
+  acceptProposal,
+  counterProposal,
+  cancelSession,
+  sendMessage,
+  markChatRead,
+  navigate,
+}) {
+  const [countering, setCountering] = useState(false);
+  const now = useNow();
+  const s = session;
+  const query = state.queries.find((q) => q.id === s.queryId);
+  const otherId = s.mentorId === currentUser.id ? s.menteeId : s.mentorId;
+  const other = state.users.find((u) => u.id === otherId);
+  const pending = pendingProposal(s);
+  const myTurn = awaitingResponseFrom(s) === currentUser.id;
+  const round = (s.proposals || []).length;
+
+  if (!pending) return null;
+
+  return (
+    <div className="border border-white/5 rounded-xl p-3 bg-black/20 text-xs">
+      <div className="flex justify-between items-start gap-2">
+        <div>
+          <div className="font-medium">{query?.title || "Query"}</div>
+          <div className="text-[11px] text-slate-400">
+            {s.mentorId === currentUser.id ? "Mentee" : "Mentor"}:{" "}
+            <UserLink user={other} navigate={navigate} fallback="-" /> • Time
+            preference:{" "}
+            {query?.timePreference || "Flexible"}
+          </div>
+        </div>
+        <span className="px-2 py-0.5 rounded-full bg-yellow-500/20 text-yellow-300 text-[10px]">
+          Proposal {round > 1 ? `#${round}` : ""}
+        </span>
+      </div>
+
+      <div className="mt-2 text-[11px] text-slate-300">
+        {pending.by === currentUser.id ? "You" : other?.name || "They"}{" "}
+        proposed • {pending.mode} •{" "}
+        <span className="text-sky-400 break-all">
+          {pending.locationOrLink}
+        </span>
+      </div>
+      {pending.note && (
+        <div className="mt-1 text-[11px] text-slate-400 italic">
+          “{pending.note}”
+        </div>
+      )}
+
+      <div className="mt-2 flex flex-wrap gap-2">
+        {pending.slots.map((slot) =>
+          myTurn ? (
+            <button
+              key={slot}
+              onClick={() => acceptProposal(s.id, slot)}
+              disabled={new Date(slot).getTime() <= now}
+              title={
+                new Date(slot).getTime() <= now ? "This time has passed" : ""
+              }
+              className="px-2 py-1 rounded-full bg-emerald-500/20 text-emerald-300 hover:bg-emerald-500/30 disabled:opacity-40 disabled:line-through text-[11px]"
+            >
+              ✓ {new Date(slot).toLocaleString()}
+            </button>
+          ) : (
+            <span
+              key={slot}
+              className="px-2 py-1 rounded-full bg-slate-800 text-[11px]"
+            >
+              {new Date(slot).toLocaleString()}
+            </span>
+          )
+        )}
+      </div>
+
+      {myTurn ? (
+        <div className="mt-2 flex gap-2 text-[11px]">
+          <button
+            onClick={() => setCountering((c) => !c)}
+            className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700"
+          >
+            Suggest other times
+          </button>
+          <button
+            onClick={() => cancelSession(s.id)}
+            className="px-2 py-1 rounded-full bg-red-500/20 text-red-300"
+          >
+            Decline
+          </button>
+        </div>
+      ) : (
+        <div className="mt-2 flex items-center gap-2 text-[11px] text-slate-400">
+          <span>Waiting for {other?.name || "the other person"} to respond.</span>
+          <button
+            onClick={() => cancelSession(s.id)}
+            className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700 text-slate-300"
+          >
+            Withdraw
+          </button>
+        </div>
+      )}
+
+      {countering && (
+        <ProposeSlotsForm
+          mentor={state.users.find((u) => u.id === s.mentorId)}
+          state={state}
+          isMentor={s.mentorId === currentUser.id}
+          timePreference={query?.timePreference}
+          exceptSessionId={s.id}
+          menteeId={s.menteeId}
+          preferredMode={pending.mode}
+          navigate={navigate}
+          submitLabel="Send counter-proposal"
+          onSubmit={(data) => {
+            counterProposal(s.id, data);
+            setCountering(false);
+          }}
+          onCancel={() => setCountering(false)}
+        />
+      )}
+
+      <SessionChat
+        session={s}
+        currentUser={currentUser}
+        state={state}
+        sendMessage={sendMessage}
+        markChatRead={markChatRead}
+      />
+    </div>
+  );
+}
+
+function RatingForm({ label, onSubmit }) {
+  const [rating, setRating] = useState(0);
+  const [review, setReview] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!rating) {
+      alert("Pick a rating from 1 to 5.");
+      return;
+    }
+    onSubmit(rating, review);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 space-y-2">
+      <div className="text-[11px] text-slate-300">{label}</div>
+      <div className="flex gap-1">
+        {[1, 2, 3, 4, 5].map((r) => (
+          <button
+            type="button"
+            key={r}
+            onClick={() => setRating(r)}
+            className={`px-2 py-1 rounded-full ${
+              r === rating
+                ? "bg-yellow-500/30 text-yellow-200"
+                : "bg-slate-800 hover:bg-slate-700"
+            }`}
+          >
+            ★ {r}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={review}
+        onChange={(e) => setReview(e.target.value)}
+        maxLength={MAX_REVIEW_LENGTH}
+        rows={2}
+        placeholder="Write a short review (optional)"
+        className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-xs"
+      />
+      <button
+        type="submit"
+        className="px-3 py-1.5 rounded-xl bg-primary hover:bg-primary/90 text-[11px] font-medium"
+      >
+        Submit rating
+      </button>
+    </form>
+  );
+}
+
+function SessionChat({ session, currentUser, state, sendMessage, markChatRead }) {
+  const [open, setOpen] = useState(false);
+  const [body, setBody] = useState("");
+  const messages = session.messages || [];
+  const unread = unreadMessages(session, currentUser.id).length;
+  const locked = isChatLocked(session);
+  const others = sessionParticipants(session).filter(
+    (uid) => uid !== currentUser.id
+  );
+  const nameOf = (uid) =>
+    state.users.find((u) => u.id === uid)?.name || "Unknown";
+
+  // Keep messages marked as read while the thread is on screen.
+  useEffect(() => {
+    if (open && unread > 0) markChatRead(session.id);
+  }, [open, unread, session.id, markChatRead]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (sendMessage(session.id, body)) setBody("");
+  };
+
+  if (locked && messages.length === 0) return null;
+
+  return (
+    <div className="mt-2">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700 text-[11px]"
+      >
+        💬 Chat{messages.length ? ` (${messages.length})` : ""}
+        {unread > 0 && (
+          <span className="ml-1 px-1.5 rounded-full bg-red-500 text-[9px] font-bold">
+            {unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="mt-2 border border-white/5 rounded-xl p-2 bg-black/30">
+          <div className="space-y-1 max-h-60 overflow-y-auto">
+            {messages.length === 0 && (
+              <p className="text-[11px] text-slate-400">
+                No messages yet. Say hi and share anything useful before the
+                session.
+              </p>
+            )}
+            {messages.map((m) => {
+              const mine = m.senderId === currentUser.id;
+              const seen = others.every((uid) => m.readBy?.[uid]);
+              return (
+                <div
+                  key={m.id}
+                  className={`flex ${mine ? "justify-end" : "justify-start"}`}
+                >
+                  <div
+                    className={`max-w-[80%] rounded-xl px-2 py-1 text-[11px] ${
+                      mine ? "bg-primary/30" : "bg-slate-800"
+                    }`}
+                  >
+                    {!mine && (
+                      <div className="text-[10px] text-slate-400">
+                        {nameOf(m.senderId)}
+                      </div>
+                    )}
+                    <div className="whitespace-pre-wrap text-left">{m.body}</div>
+                    <div className="text-[9px] text-slate-400 text-right">
+                      {new Date(m.createdAt).toLocaleString()}
+                      {mine && (
+                        <span
+                          className={`ml-1 ${seen ? "text-sky-300" : ""}`}
+                          title={seen ? "Seen" : "Sent"}
+                        >
+                          {seen ? "✓✓" : "✓"}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {locked ? (
+            <p className="mt-2 text-[10px] text-slate-500 text-center">
+              This session is {session.status.toLowerCase()}; the chat is
+              read-only.
+            </p>
+          ) : (
+            <form onSubmit={handleSubmit} className="mt-2 flex gap-2">
+              <input
+                value={body}
+                maxLength={MAX_MESSAGE_LENGTH}
+                onChange={(e) => setBody(e.target.value)}
+                className="flex-1 px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-[11px]"
+                placeholder="Type a message…"
+              />
+              <button
+                type="submit"
+                className="px-3 py-1.5 rounded-xl bg-primary hover:bg-primary/90 text-[11px] font-medium"
+              >
+                Send
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Post Query */
+
+function PostQueryPage({ createQuery, navigate }) {
+  return (
+    <div className="max-w-2xl mx-auto card-glass p-6">
+      <h2 className="text-xl font-semibold mb-2">
+        Post a new query
+      </h2>
+      <p className="text-xs text-slate-400 mb-4">
+        Describe your doubt clearly so the right mentor can pick it up.
+      </p>
+
+      <QueryForm
+        submitLabel="Post Query"
+        onSubmit={(data) => {
+          const queryId = createQuery(data);
+          if (!queryId) return;
+          alert("Query launched! 🚀 Here are some mentors who could help.");
+          navigate(pathFor("query", { id: queryId }));
+        }}
+        onCancel={() => navigate(HOME_PATH)}
+      />
+    </div>
+  );
+}
+
+function QueryForm({ initial, submitLabel, onSubmit, onCancel }) {
+  const [title, setTitle] = useState(initial?.title || "");
+  const [description, setDescription] = useState(initial?.description || "");
+  const [previewing, setPreviewing] = useState(false);
+  const [attachments, setAttachments] = useState(initial?.attachments || []);
+  const [subjectTags, setSubjectTags] = useState(initial?.subjectTags || []);
+  const [preferredMentorType, setPreferredMentorType] = useState(
+    initial?.preferredMentorType || "Any"
+  );
+  const [preferredMode, setPreferredMode] = useState(
+    initial?.preferredMode || "Either"
+  );
+  const [timePreference, setTimePreference] = useState(
+    initial?.timePreference || ""
+  );
+
+  const toggleTag = (tag) => {
+    setSubjectTags((prev) =>
+      prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!title || !description || subjectTags.length === 0) {
+      alert("Title, description and at least 1 subject tag are required.");
+      return;
+    }
+    onSubmit({
+      title,
+      description,
+      attachments,
+      subjectTags,
+      preferredMentorType,
+      preferredMode,
+      timePreference,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 text-sm">
+      <div>
+        <label className="block text-xs mb-1 text-slate-300">
+          Title
+        </label>
+        <input
+          value={title}
+          maxLength={80}
+          onChange={(e) => setTitle(e.target.value)}
+          className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+          placeholder="Struggling with recursion in DSA"
+        />
+      </div>
+
+      <div>
+        <div className="flex justify-between items-center mb-1">
+          <label className="block text-xs text-slate-300">
+            Description{" "}
+            <span className="text-slate-500">
+              (Markdown: **bold**, `code`, ```cpp fenced blocks)
+            </span>
+          </label>
+          <button
+            type="button"
+            onClick={() => setPreviewing((p) => !p)}
+            className="text-[11px] text-slate-400 hover:text-primary"
+          >
+            {previewing ? "Edit" : "Preview"}
+          </button>
+        </div>
+        {previewing ? (
+          <div className="min-h-24 px-3 py-2 rounded-xl bg-slate-900 border border-white/10 text-sm">
+            {description.trim() ? (
+              <Markdown text={description} />
+            ) : (
+              <span className="text-xs text-slate-500">Nothing to preview.</span>
+            )}
+          </div>
+        ) : (
+          <textarea
+            value={description}
+            minLength={20}
+            maxLength={MAX_DESCRIPTION_LENGTH}
+            onChange={(e) => setDescription(e.target.value)}
+            rows={6}
+            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary resize-y font-mono text-xs"
+            placeholder="Explain your doubt, what you already tried, and where you're stuck."
+          />
+        )}
+        <div className="mt-2">
+          <AttachmentPicker
+            attachments={attachments}
+            onChange={setAttachments}
+            max={MAX_QUERY_ATTACHMENTS}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-xs mb-1 text-slate-300">
+          Subject Tags (pick at least 1)
+        </label>
+        <div className="flex flex-wrap gap-2">
+          {SUBJECT_OPTIONS.map((tag) => {
+            const selected = subjectTags.includes(tag);
+            return (
+              <button
+                type="button"
+                key={tag}
+                onClick={() => toggleTag(tag)}
+                className={`px-3 py-1 rounded-full text-xs border ${
+                  selected
+                    ? "bg-primary/20 border-primary text-primary"
+                    : "bg-slate-900 border-white/10 text-slate-300 hover:border-primary/50"
+                }`}
+              >
+                {tag}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-xs mb-1 text-slate-300">
+            Preferred mentor type
+          </label>
+          <select
+            value={preferredMentorType}
+            onChange={(e) => setPreferredMentorType(e.target.value)}
+            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-xs"
+          >
+            {MENTOR_TYPES.map((t) => (
+              <option key={t}>{t}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs mb-1 text-slate-300">
+            Preferred mode
+          </label>
+          <select
+            value={preferredMode}
+            onChange={(e) => setPreferredMode(e.target.value)}
+            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-xs"
+          >
+            {MODE_PREFERENCES.map((m) => (
+              <option key={m}>{m}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs mb-1 text-slate-300">
+            Time preference
+          </label>
+          <select
+            value={timePreference}
+            onChange={(e) => setTimePreference(e.target.value)}
+            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-xs"
+          >
+            <option value="">Flexible</option>
+            {TIME_PREFERENCES.map((p) => (
+              <option key={p}>{p}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 text-xs"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-5 py-2 rounded-xl bg-primary hover:bg-primary/90 text-xs font-medium shadow-lg shadow-primary/40"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/* My Queries */
+
+function MyQueriesPage({
+  currentUser,
+  state,
+  updateQuery,
+  setQueryStatus,
+  navigate,
+}) {
+  const mine = state.queries
+    .filter((q) => q.askerId === currentUser.id)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  return (
+    <div className="space-y-4">
+      <div className="card-glass p-4 flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold">My Queries</h2>
+          <p className="text-xs text-slate-400">
+            Edit open queries, close or withdraw them, and reopen ones that
+            still need help.
+          </p>
+        </div>
+        <button
+          onClick={() => navigate(pathFor("post"))}
+          className="px-4 py-2 rounded-xl bg-primary hover:bg-primary/90 text-xs font-medium shadow-lg shadow-primary/40"
+        >
+          Post a new query
+        </button>
+      </div>
+
+      {mine.length === 0 ? (
+        <div className="card-glass p-6 text-sm text-slate-300">
+          You haven’t posted any queries yet.
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {mine.map((q) => (
+            <MyQueryCard
+              key={q.id}
+              query={q}
+              state={state}
+              navigate={navigate}
+              updateQuery={updateQuery}
+              setQueryStatus={setQueryStatus}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MyQueryCard({ query, state, updateQuery, setQueryStatus, navigate }) {
+  const [mode, setMode] = useState(null); // null | edit | close
+  const [reason, setReason] = useState(CLOSE_REASONS[0]);
+  const [details, setDetails] = useState("");
+  const q = query;
+  const session = [...state.sessions]
+    .reverse()
+    .find((s) => s.queryId === q.id);
+  const mentor = session && state.users.find((u) => u.id === session.mentorId);
+  const canReopen =
+    q.status === QUERY_STATUS.RESOLVED ||
+    q.status === QUERY_STATUS.CLOSED ||
+    q.status === QUERY_STATUS.WITHDRAWN;
+
+  const handleClose = (e) => {
+    e.preventDefault();
+    if (reason === "Other" && !details.trim()) {
+      alert("Tell us why you’re closing this query.");
+      return;
+    }
+    setQueryStatus(
+      q.id,
+      QUERY_STATUS.CLOSED,
+      details.trim() ? `${reason}: ${details.trim()}` : reason
+    );
+    setMode(null);
+  };
+
+  return (
+    <div className="card-glass p-4 text-xs">
+      <div className="flex justify-between items-start gap-2">
+        <div>
+          <h3 className="text-sm font-semibold mb-1">
+            <Link
+              to={pathFor("query", { id: q.id })}
+              navigate={navigate}
+              className="hover:text-primary"
+            >
+              {q.title}
+            </Link>
+          </h3>
+          <div className="flex flex-wrap gap-1 mb-1">
+            {q.subjectTags.map((tag) => (
+              <span
+                key={tag}
+                className="px-2 py-0.5 rounded-full bg-primary/20 text-primary text-[10px]"
+              >
+                {tag}
+              </span>
+            ))}
+          </div>
+          <div className="text-[11px] text-slate-400">
+            Posted {new Date(q.createdAt).toLocaleString()}
+            {q.editedAt ? " • edited" : ""}
+            {q.hidden && (
+              <span className="text-red-300"> • hidden by an admin</span>
+            )}
+            {mentor && (
+              <>
+                {" • Mentor: "}
+                <UserLink user={mentor} navigate={navigate} /> (
+                {session.status})
+              </>
+            )}
+          </div>
+          {q.status === QUERY_STATUS.CLOSED && q.closeReason && (
+            <div className="mt-1 text-[11px] text-slate-400">
+              Closed: {q.closeReason}
+            </div>
+          )}
+        </div>
+        <span
+          className={`px-2 py-0.5 rounded-full text-[10px] whitespace-nowrap ${
+            QUERY_STATUS_STYLES[q.status] || ""
+          }`}
+        >
+          {q.status}
+        </span>
+      </div>
+
+      {mode === null && (
+        <div className="mt-3 flex flex-wrap gap-2 text-[11px]">
+          {isEditable(q) && (
+            <>
+              <button
+                onClick={() => setMode("edit")}
+                className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => setMode("close")}
+                className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700"
+              >
+                Close
+              </button>
+              <button
+                onClick={() => {
+                  if (
+                    confirm("Withdraw this query? Mentors will no longer see it.")
+                  ) {
+                    setQueryStatus(q.id, QUERY_STATUS.WITHDRAWN);
+                  }
+                }}
+                className="px-2 py-1 rounded-full bg-red-500/20 text-red-300"
+              >
+                Withdraw
+              </button>
+            </>
+          )}
+          {canReopen && (
+            <button
+              onClick={() =>
+                setQueryStatus(q.id, QUERY_STATUS.OPEN, "Reopened")
+              }
+              className="px-2 py-1 rounded-full bg-emerald-500/20 text-emerald-300"
+            >
+              Reopen
+            </button>
+          )}
+        </div>
+      )}
+
+      {mode === "edit" && (
+        <div className="mt-3 border border-white/5 rounded-xl p-3 bg-black/20">
+          <QueryForm
+            initial={q}
+            submitLabel="Save changes"
+            onSubmit={(data) => {
+              if (updateQuery(q.id, data)) setMode(null);
+            }}
+            onCancel={() => setMode(null)}
+          />
+        </div>
+      )}
+
+      {mode === "close" && (
+        <form
+          onSubmit={handleClose}
+          className="mt-3 border border-white/5 rounded-xl p-3 bg-black/20 space-y-2"
+        >
+          <select
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="w-full px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+          >
+            {CLOSE_REASONS.map((r) => (
+              <option key={r}>{r}</option>
+            ))}
+          </select>
+          <input
+            value={details}
+            maxLength={200}
+            onChange={(e) => setDetails(e.target.value)}
+            className="w-full px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+            placeholder="Details (optional)"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setMode(null)}
+              className="px-3 py-1.5 rounded-xl bg-slate-800 hover:bg-slate-700"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-1.5 rounded-xl bg-primary hover:bg-primary/90 font-medium"
+            >
+              Close query
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+/* Leaderboard */
+
+const LEADERBOARD_LIMIT = 20;
+
+function LeaderboardPage({ state, currentUser, navigate }) {
+  const [period, setPeriod] = useState("all");
+  const [subject, setSubject] = useState("");
+  const [yearFilter, setYearFilter] = useState("");
+  const [branchFilter, setBranchFilter] = useState("");
+  const now = useNow();
+
+  const rows = useMemo(
+    () =>
+      buildLeaderboard(state, {
+        window: period,
+        subject,
+        year: yearFilter,
+        branch: branchFilter,
+        now,
+      }),
+    [state, period, subject, yearFilter, branchFilter, now]
+  );
+  const visible = rows.slice(0, LEADERBOARD_LIMIT);
+  const myRow = rows.find((r) => r.user.id === currentUser.id);
+  const pinned = myRow && myRow.rank > LEADERBOARD_LIMIT ? myRow : null;
+
+  const selectClass =
+    "px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-xs";
+
+  const renderRow = (row, isPinned = false) => {
+    const u = row.user;
+    const isMe = u.id === currentUser.id;
+    return (
+      <tr
+        key={isPinned ? "pinned" : u.id}
+        className={`card-glass ${isMe ? "ring-1 ring-primary/60" : ""} ${
+          isPinned ? "sticky bottom-0" : ""
+        }`}
+        style={{ borderRadius: 9999 }}
+      >
+        <td className="px-3 py-2">
+          {row.rank === 1
+            ? "🥇"
+            : row.rank === 2
+              ? "🥈"
+              : row.rank === 3
+                ? "🥉"
+                : row.rank}
+        </td>
+        <td className="px-3 py-2">
+          <div className="flex items-center gap-2">
+            <div className="w-6 h-6 rounded-full bg-gradient-to-br from-primary to-emerald-500 flex items-center justify-center text-[10px] font-bold">
+              {u.name?.[0]?.toUpperCase() || "U"}
+            </div>
+            <div>
+              <UserLink user={u} navigate={navigate} className="font-medium" />
+              {isMe && <span className="text-primary"> (you)</span>}
+              <div className="text-[10px] text-slate-400">
+                LVL {u.level || 1}
+              </div>
+            </div>
+          </div>
+        </td>
+        <td className="px-3 py-2 text-center">{u.year || "-"}</td>
+        <td className="px-3 py-2 text-center">{Math.round(row.xp)}</td>
+        <td className="px-3 py-2 text-center">
+          {row.ratingCount ? (
+            <>
+              ★ {row.ratingAvg.toFixed(2)}{" "}
+              <span className="text-slate-500">({row.ratingCount})</span>
+            </>
+          ) : (
+            "-"
+          )}
+        </td>
+        <td className="px-3 py-2 text-center">{row.sessions}</td>
+      </tr>
+    );
+  };
+
+  return (
+    <div className="card-glass p-6">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold">
+            {subject ? `${subject} leaderboard` : "Leaderboard"}
+          </h2>
+          <p className="text-xs text-slate-400">
+            Ranked by XP earned {LEADERBOARD_WINDOWS[period].toLowerCase()}
+            {subject ? ` on ${subject} queries` : ""}. Only mentors with a
+            completed session are listed.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {Object.entries(LEADERBOARD_WINDOWS).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setPeriod(key)}
+              className={`px-3 py-1 rounded-full text-xs ${
+                period === key
+                  ? "bg-primary/20 text-primary"
+                  : "bg-slate-800 hover:bg-slate-700 text-slate-300"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <select
+          value={subject}
+          onChange={(e) => setSubject(e.target.value)}
+          className={selectClass}
+        >
+          <option value="">All subjects</option>
+          {SUBJECT_OPTIONS.map((s) => (
+            <option key={s}>{s}</option>
+          ))}
+        </select>
+        <select
+          value={yearFilter}
+          onChange={(e) => setYearFilter(e.target.value)}
+          className={selectClass}
+        >
+          <option value="">All years</option>
+          {YEAR_OPTIONS.map((y) => (
+            <option key={y}>{y}</option>
+          ))}
+        </select>
+        <select
+          value={branchFilter}
+          onChange={(e) => setBranchFilter(e.target.value)}
+          className={selectClass}
+        >
+          <option value="">All branches</option>
+          {BRANCH_OPTIONS.map((b) => (
+            <option key={b}>{b}</option>
+          ))}
+        </select>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-slate-300">
+          No mentors here yet. Be the first to help someone and earn XP!
+        </p>
+      ) : (
+        <div className="overflow-x-auto text-xs">
+          <table className="w-full border-separate border-spacing-y-1">
+            <thead className="text-[11px] text-slate-400">
+              <tr>
+                <th className="text-left">Rank</th>
+                <th className="text-left">Mentor</th>
+                <th>Year</th>
+                <th>XP</th>
+                <th>Avg Rating</th>
+                <th>Sessions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((row) => renderRow(row))}
+              {pinned && (
+                <>
+                  <tr>
+                    <td
+                      colSpan="6"
+                      className="text-center text-slate-500 text-[10px]"
+                    >
+                      …
+                    </td>
+                  </tr>
+                  {renderRow(pinned, true)}
+                </>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Search */
+
+const STATUS_ORDER = Object.values(QUERY_STATUS);
+
+function Highlighted({ text, stems }) {
+  return highlightText(text, stems).map((part, i) =>
+    part.match ? (
+      <mark key={i} className="bg-primary/30 text-inherit rounded px-0.5">
+        {part.text}
+      </mark>
+    ) : (
+      part.text
+    )
+  );
+}
+
+function FacetGroup({ title, values, counts, selected, onSelect, labelOf }) {
+  return (
+    <div>
+      <div className="mb-1 text-slate-300">{title}</div>
+      <div className="space-y-0.5">
+        {values.map((value) => (
+          <button
+            key={value}
+            onClick={() => onSelect(selected === value ? "" : value)}
+            className={`w-full flex justify-between px-2 py-1 rounded-lg ${
+              selected === value
+                ? "bg-primary/20 text-primary"
+                : "hover:bg-slate-800 text-slate-300"
+            } ${counts[value] ? "" : "opacity-40"}`}
+          >
+            <span>{labelOf ? labelOf(value) : value}</span>
+            <span className="text-slate-500">{counts[value] || 0}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function SearchPage({ state, location, navigate }) {
+  const text = location.query.get("q") || "";
+  const [filters, setFilters] = useState({
+    subject: "",
+    status: "",
+    year: "",
+    date: "",
+  });
+  const now = useNow();
+
+  const index = useMemo(
+    () => buildSearchIndex(state.queries, state.comments),
+    [state.queries, state.comments]
+  );
+  const hits = useMemo(
+    () =>
+      text.trim()
+        ? searchQueries(index, text)
+        : [...state.queries]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map((query) => ({ query, score: 0, stems: new Set() })),
+    [index, text, state.queries]
+  );
+  const usersById = useMemo(
+    () => new Map(state.users.map((u) => [u.id, u])),
+    [state.users]
+  );
+  const { results, counts } = applyFacets(hits, filters, { usersById, now });
+
+  const setFilter = (facet) => (value) =>
+    setFilters((prev) => ({ ...prev, [facet]: value }));
+
+  return (
+    <div className="grid md:grid-cols-[240px,1fr] gap-6">
+      <div className="card-glass p-4 h-fit sticky top-24 space-y-4 text-xs">
+        <FacetGroup
+          title="Subject"
+          values={SUBJECT_OPTIONS}
+          counts={counts.subject}
+          selected={filters.subject}
+          onSelect={setFilter("subject")}
+        />
+        <FacetGroup
+          title="Status"
+          values={STATUS_ORDER}
+          counts={counts.status}
+          selected={filters.status}
+          onSelect={setFilter("status")}
+        />
+        <FacetGroup
+          title="Asker year"
+          values={YEAR_OPTIONS}
+          counts={counts.year}
+          selected={filters.year}
+          onSelect={setFilter("year")}
+        />
+        <FacetGroup
+          title="Posted"
+          values={Object.keys(DATE_RANGES)}
+          counts={counts.date}
+          selected={filters.date}
+          onSelect={setFilter("date")}
+          labelOf={(key) => DATE_RANGES[key].label}
+        />
+      </div>
+
+      <div className="space-y-4">
+        <div className="card-glass p-4">
+          <h2 className="text-xl font-semibold mb-1">Search</h2>
+          <p className="text-xs text-slate-400 mb-3">
+            Every query, including resolved ones and their answers. Typos and
+            word endings are forgiven.
+          </p>
+          <input
+            autoFocus
+            value={text}
+            onChange={(e) =>
+              navigate(
+                e.target.value
+                  ? `${pathFor("search")}?q=${encodeURIComponent(e.target.value)}`
+                  : pathFor("search"),
+                { replace: true }
+              )
+            }
+            placeholder="e.g. deadlock, normalisation, quicksort worst case…"
+            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-sm"
+          />
+          <div className="mt-2 text-[11px] text-slate-500">
+            {results.length} result{results.length === 1 ? "" : "s"}
+          </div>
+        </div>
+
+        {results.length === 0 ? (
+          <div className="card-glass p-6 text-sm text-slate-300">
+            Nothing matches. Try fewer words or clear some filters.
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {results.map(({ query: q, stems }) => (
+              <div key={q.id} className="card-glass p-4">
+                <div className="flex justify-between items-start gap-2">
+                  <h3 className="text-sm font-semibold mb-1">
+                    <Link
+                      to={pathFor("query", { id: q.id })}
+                      navigate={navigate}
+                      className="hover:text-primary"
+                    >
+                      <Highlighted text={q.title} stems={stems} />
+                    </Link>
+                  </h3>
+                  <span
+                    className={`px-2 py-0.5 rounded-full text-[10px] whitespace-nowrap ${
+                      QUERY_STATUS_STYLES[q.status] || ""
+                    }`}
+                  >
+                    {q.status}
+                  </span>
+                </div>
+                <p className="text-xs text-slate-300 mb-2">
+                  <Highlighted
+                    text={snippet(markdownToText(q.description), stems)}
+                    stems={stems}
+                  />
+                </p>
+                <div className="flex flex-wrap gap-1 items-center text-[10px] text-slate-400">
+                  {q.subjectTags.map((tag) => (
+                    <span
+                      key={tag}
+                      className="px-2 py-0.5 rounded-full bg-primary/20 text-primary"
+                    >
+                      {tag}
+                    </span>
+                  ))}
+                  <span>
+                    • {usersById.get(q.askerId)?.year || "-"} •{" "}
+                    {new Date(q.createdAt).toLocaleDateString()}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* Profile View */
+
+function ProfileViewPage({
+  user,
+  state,
+  currentUser,
+  reportContent,
+  navigate,
+}) {
+  const isMe = user.id === currentUser.id;
+  const history = visibleSessionHistory(currentUser, user, state);
+  const reviews = reviewsReceived(currentUser, user, state);
+  const badges = badgeShowcase(user, state).filter(
+    (b) => isMe || b.unlockedAt
+  );
+  const xpAwards =
+    isMe || currentUser.role === "admin"
+      ? xpHistory(state.xpLedger, user.id)
+      : null;
+  const mentoredCount = state.sessions.filter(
+    (s) => s.mentorId === user.id && s.status === SESSION_STATUS.COMPLETED
+  ).length;
+
+  return (
+    <div className="grid md:grid-cols-[260px,1fr] gap-6">
+      <div className="card-glass p-6">
+        <div className="flex flex-col items-center text-center">
+          <div className="w-16 h-16 rounded-full bg-gradient-to-br from-primary to-emerald-500 flex items-center justify-center text-xl font-bold mb-2">
+            {user.name?.[0]?.toUpperCase() || "U"}
           </div>
           <div className="font-semibold text-sm">{user.name}</div>
           <div className="text-[11px] text-slate-400">
@@ -1371,296 +5838,1343 @@ function ProfileViewPage({ user, state }) {
             {user.branch ? `• ${user.branch}` : ""}
           </div>
 
-          <div className="mt-3 w-full">
-            <div className="flex justify-between text-[11px] text-slate-400 mb-1">
-              <span>Level {user.level || 1}</span>
-              <span>{Math.round(user.xp || 0)} XP</span>
+          <div className="mt-3 w-full">
+            <div className="flex justify-between text-[11px] text-slate-400 mb-1">
+              <span>Level {user.level || 1}</span>
+              <span>{Math.round(user.xp || 0)} XP</span>
+            </div>
+            <div className="xp-bar">
+              <div
+                className="xp-bar-inner"
+                style={{
+                  width: `${Math.min(100, ((user.xp || 0) % 200) / 2)}%`,
+                }}
+              ></div>
+            </div>
+          </div>
+
+          <div className="mt-3 text-[11px] text-slate-300">
+            <div>
+              Rating:{" "}
+              {user.ratingCount ? (
+                <>
+                  ★ {user.ratingAvg.toFixed(2)}{" "}
+                  <span className="text-slate-500">
+                    ({user.ratingCount})
+                  </span>
+                </>
+              ) : (
+                "No ratings yet"
+              )}
+            </div>
+            <div>
+              Mentee reputation: <MenteeReputationTag user={user} />
+            </div>
+          </div>
+
+          <div className="mt-3 flex flex-wrap gap-1 justify-center">
+            {user.strongSubjects?.map((s) => (
+              <span
+                key={s}
+                className="px-2 py-0.5 rounded-full bg-primary/20 text-primary text-[10px]"
+              >
+                {s}
+              </span>
+            ))}
+          </div>
+
+          {user.bio && (
+            <p className="mt-3 text-xs text-slate-300">{user.bio}</p>
+          )}
+
+          <div className="mt-3 text-[11px] text-slate-400">
+            {mentoredCount} session{mentoredCount === 1 ? "" : "s"} mentored
+          </div>
+
+          {isMe && (
+            <button
+              onClick={() => navigate(pathFor("settings"))}
+              className="mt-4 px-3 py-1.5 rounded-full bg-slate-800 hover:bg-slate-700 text-[11px]"
+            >
+              Edit profile & password
+            </button>
+          )}
+          {!isMe && (
+            <ReportButton
+              targetType="user"
+              targetId={user.id}
+              reportContent={reportContent}
+              className="mt-4 text-[11px]"
+            />
+          )}
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        <AvailabilitySummary user={user} isMe={isMe} navigate={navigate} />
+
+        <ProfileSessionList
+          title={isMe ? "Sessions as Mentor" : "Mentoring history"}
+          entries={history.asMentor}
+          counterpartLabel="Mentee"
+          ratingOf={(s) => s.ratingForMentor}
+          emptyText={
+            isMe
+              ? "No completed sessions yet. Accept some queries to start earning XP!"
+              : `${user.name} hasn’t completed any mentoring sessions yet.`
+          }
+          hiddenText={`${user.name} keeps their mentoring history private.`}
+          navigate={navigate}
+        />
+
+        <ProfileSessionList
+          title={isMe ? "Sessions as Mentee" : "Learning history"}
+          entries={history.asMentee}
+          counterpartLabel="Mentor"
+          ratingOf={(s) => s.ratingForMentor}
+          ratingLabel={isMe ? "Your rating" : "Rating given"}
+          emptyText={
+            isMe
+              ? "You haven’t completed any sessions as mentee yet."
+              : `${user.name} hasn’t completed any sessions as mentee yet.`
+          }
+          hiddenText={
+            isMe
+              ? null
+              : `${user.name} keeps the sessions they attended private.`
+          }
+          navigate={navigate}
+        />
+
+        <div className="card-glass p-4">
+          <h3 className="text-sm font-semibold mb-2">
+            Reviews received {reviews.length > 0 && `(${reviews.length})`}
+          </h3>
+          {reviews.length === 0 ? (
+            <p className="text-xs text-slate-300">No reviews yet.</p>
+          ) : (
+            <div className="space-y-2 text-xs">
+              {reviews.map((r) => (
+                <div
+                  key={`${r.session.id}-${r.role}`}
+                  className="border border-white/5 rounded-xl p-3 bg-black/20"
+                >
+                  <div className="flex justify-between">
+                    <span className="text-yellow-300">★ {r.rating}</span>
+                    <span className="text-[10px] text-slate-500">
+                      as {r.role}
+                    </span>
+                  </div>
+                  <div className="text-[11px] text-slate-400">
+                    From{" "}
+                    <UserLink
+                      user={r.from}
+                      navigate={navigate}
+                      fallback="a student"
+                    />{" "}
+                    •{" "}
+                    {r.query?.title || "Query"}
+                  </div>
+                  {r.review && (
+                    <p className="mt-1 text-slate-300 whitespace-pre-wrap">
+                      “{r.review}”
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="card-glass p-4">
+          <h3 className="text-sm font-semibold mb-2">Badges</h3>
+          {badges.length === 0 ? (
+            <p className="text-xs text-slate-300">No badges unlocked yet.</p>
+          ) : (
+            <div className="grid sm:grid-cols-2 gap-2 text-xs">
+              {badges.map(({ badge, unlockedAt, progress }) => (
+                <div
+                  key={badge.id}
+                  title={badge.description}
+                  className={`flex items-center gap-3 border border-white/5 rounded-xl p-3 bg-black/20 ${
+                    unlockedAt ? "" : "opacity-50"
+                  }`}
+                >
+                  <span className="text-xl">{badge.icon}</span>
+                  <div>
+                    <div className="font-medium">{badge.name}</div>
+                    <div className="text-[10px] text-slate-400">
+                      {unlockedAt
+                        ? `Unlocked ${new Date(unlockedAt).toLocaleDateString()}`
+                        : `${progress} / ${badge.goal} • ${badge.description}`}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {xpAwards && (
+          <div className="card-glass p-4">
+            <h3 className="text-sm font-semibold mb-2">XP history</h3>
+            {xpAwards.length === 0 ? (
+              <p className="text-xs text-slate-300">No XP earned yet.</p>
+            ) : (
+              <div className="space-y-1 text-xs max-h-64 overflow-y-auto">
+                {xpAwards.map((a) => (
+                  <div
+                    key={a.id}
+                    className="flex justify-between gap-2 border-b border-white/5 py-1"
+                  >
+                    <div>
+                      <div>{XP_EVENT_LABELS[a.event] || a.event}</div>
+                      <div className="text-[10px] text-slate-500">
+                        {a.note} • {new Date(a.createdAt).toLocaleDateString()}{" "}
+                        • rules v{a.rulesVersion}
+                      </div>
+                    </div>
+                    <span
+                      className={
+                        a.points < 0 ? "text-red-300" : "text-emerald-300"
+                      }
+                    >
+                      {a.points > 0 ? "+" : ""}
+                      {a.points} XP
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ProfileSessionList({
+  title,
+  entries,
+  counterpartLabel,
+  ratingOf,
+  ratingLabel = "Rating",
+  emptyText,
+  hiddenText,
+  navigate,
+}) {
+  return (
+    <div className="card-glass p-4">
+      <h3 className="text-sm font-semibold mb-2">{title}</h3>
+      {entries === null ? (
+        <p className="text-xs text-slate-400">🔒 {hiddenText}</p>
+      ) : entries.length === 0 ? (
+        <p className="text-xs text-slate-300">{emptyText}</p>
+      ) : (
+        <div className="space-y-2 text-xs">
+          {entries.map(({ session: s, query: q, other }) => (
+            <div
+              key={s.id}
+              className="border border-white/5 rounded-xl p-3 bg-black/20"
+            >
+              <div className="font-medium">
+                {q ? (
+                  <Link
+                    to={pathFor("query", { id: q.id })}
+                    navigate={navigate}
+                    className="hover:text-primary"
+                  >
+                    {q.title}
+                  </Link>
+                ) : (
+                  "Query"
+                )}
+              </div>
+              <div className="text-[11px] text-slate-400">
+                {counterpartLabel}:{" "}
+                <UserLink
+                  user={other}
+                  navigate={navigate}
+                  fallback="a student"
+                />{" "}
+                • {new Date(s.dateTime).toLocaleString()}
+              </div>
+              <div className="mt-1 text-[11px] text-slate-300">
+                {ratingLabel}:{" "}
+                {typeof ratingOf(s) === "number"
+                  ? `★ ${ratingOf(s)}`
+                  : "Not rated yet"}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Sessions */
+
+// How a participant closes out a session, and where that stands.
+// `mentees` is passed to the mentor of a group session, who also takes
+// attendance when marking it completed.
+function AttestationPanel({
+  session,
+  myId,
+  other,
+  mentees,
+  attestSession,
+  updateStatement,
+}) {
+  const mine = attestationOf(session, myId);
+  const theirs = attestationOf(session, other?.id);
+  const [statement, setStatement] = useState(mine?.statement || "");
+  const [present, setPresent] = useState(() =>
+    Object.fromEntries((mentees || []).map((u) => [u.id, true]))
+  );
+  const otherName = other?.name || "The other participant";
+
+  if (session.status === SESSION_STATUS.DISPUTED) {
+    return (
+      <div className="mt-2 rounded-lg border border-red-500/30 bg-red-500/5 p-2 text-[11px] space-y-1">
+        <div className="text-red-200">
+          You said this session {OUTCOME_LABELS[mine?.outcome]}, but{" "}
+          {otherName} says it {OUTCOME_LABELS[theirs?.outcome]}. An admin
+          will review both sides; XP and ratings are on hold until then.
+        </div>
+        <textarea
+          value={statement}
+          onChange={(e) => setStatement(e.target.value)}
+          maxLength={MAX_STATEMENT_LENGTH}
+          rows={2}
+          placeholder="Your side of what happened (shown to admins)"
+          className="w-full rounded-lg bg-slate-900 border border-slate-700 px-2 py-1"
+        />
+        <button
+          onClick={() => updateStatement(session.id, statement)}
+          disabled={statement.trim() === (mine?.statement || "")}
+          className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700 disabled:opacity-50"
+        >
+          Save statement
+        </button>
+      </div>
+    );
+  }
+
+  if (mine) {
+    return (
+      <div className="mt-2 text-[11px] text-slate-300">
+        You said this session {OUTCOME_LABELS[mine.outcome]}. Waiting for{" "}
+        {otherName} to confirm; if they don't answer by{" "}
+        {new Date(attestationDeadline(session)).toLocaleString()}, your
+        answer stands.
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 space-y-1 text-[11px]">
+      {theirs && (
+        <div className="text-yellow-200">
+          {otherName} says this session {OUTCOME_LABELS[theirs.outcome]}.
+          Confirm or disagree by{" "}
+          {new Date(attestationDeadline(session)).toLocaleString()}.
+        </div>
+      )}
+      {mentees && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1">
+          <span className="text-slate-400">Attended:</span>
+          {mentees.map((u) => (
+            <label key={u.id} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={present[u.id] ?? true}
+                onChange={(e) =>
+                  setPresent((prev) => ({ ...prev, [u.id]: e.target.checked }))
+                }
+              />
+              {u.name}
+            </label>
+          ))}
+        </div>
+      )}
+      <input
+        value={statement}
+        onChange={(e) => setStatement(e.target.value)}
+        maxLength={MAX_STATEMENT_LENGTH}
+        placeholder="Anything to add? (shown to admins if you disagree)"
+        className="w-full rounded-lg bg-slate-900 border border-slate-700 px-2 py-1"
+      />
+      <div className="flex gap-2">
+        <button
+          onClick={() =>
+            attestSession(
+              session.id,
+              true,
+              statement,
+              mentees
+                ? Object.fromEntries(
+                    mentees.map((u) => [u.id, present[u.id] ?? true])
+                  )
+                : null
+            )
+          }
+          className="px-2 py-1 rounded-full bg-emerald-500/20 text-emerald-300"
+        >
+          Mark Completed
+        </button>
+        <button
+          onClick={() => attestSession(session.id, false, statement)}
+          className="px-2 py-1 rounded-full bg-red-500/20 text-red-300"
+        >
+          Mark Did Not Happen
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function SessionsPage({
+  currentUser,
+  state,
+  attestSession,
+  updateStatement,
+  rateSession,
+  acceptProposal,
+  counterProposal,
+  declineReschedule,
+  cancelSession,
+  toggleJoinQuery,
+  sendMessage,
+  markChatRead,
+  reportContent,
+  navigate,
+}) {
+  const myId = currentUser.id;
+  const now = useNow();
+  const [rescheduling, setRescheduling] = useState(null);
+
+  const proposed = state.sessions.filter(
+    (s) =>
+      s.status === SESSION_STATUS.PROPOSED &&
+      (s.mentorId === myId || s.menteeId === myId)
+  );
+  const asMentor = state.sessions.filter(
+    (s) => s.mentorId === myId && s.status !== SESSION_STATUS.PROPOSED
+  );
+  // Joiners see their group session as soon as they have a seat.
+  const asMentee = state.sessions.filter(
+    (s) =>
+      (s.menteeId === myId && s.status !== SESSION_STATUS.PROPOSED) ||
+      (s.groupMenteeIds || []).includes(myId)
+  );
+
+  const renderSessionCard = (s, role) => {
+    const query = state.queries.find((q) => q.id === s.queryId);
+    const other =
+      role === "mentor"
+        ? state.users.find((u) => u.id === s.menteeId)
+        : state.users.find((u) => u.id === s.mentorId);
+
+    const isCompleted = s.status === SESSION_STATUS.COMPLETED;
+    const isConfirmed = s.status === SESSION_STATUS.CONFIRMED;
+    const isFuture = new Date(s.dateTime).getTime() > now;
+    // Joiners of a group session take the time the asker agreed; they
+    // don't negotiate, cancel or close it out.
+    const isJoiner = role === "mentee" && s.menteeId !== myId;
+    const mentees = menteesOf(s)
+      .map((uid) => state.users.find((u) => u.id === uid))
+      .filter(Boolean);
+
+    const myRating = isJoiner
+      ? s.memberRatings?.[myId]?.rating
+      : role === "mentor"
+        ? s.ratingForMentee
+        : s.ratingForMentor;
+    const myReview = isJoiner
+      ? s.memberRatings?.[myId]?.review
+      : role === "mentor"
+        ? s.reviewForMentee
+        : s.reviewForMentor;
+    const canRate = !isJoiner || attendees(s).includes(myId);
+    const reschedule = isConfirmed && !isJoiner ? pendingProposal(s) : null;
+
+    return (
+      <div
+        key={s.id}
+        className="border border-white/5 rounded-xl p-3 bg-black/20 text-xs"
+      >
+        <div className="flex justify-between items-start">
+          <div>
+            <div className="font-medium">
+              {query?.title || "Query"}
             </div>
-            <div className="xp-bar">
-              <div
-                className="xp-bar-inner"
-                style={{
-                  width: `${Math.min(100, ((user.xp || 0) % 200) / 2)}%`,
-                }}
-              ></div>
+            <div className="text-[11px] text-slate-400">
+              With: <UserLink user={other} navigate={navigate} fallback="-" />
+              {role === "mentor" && (
+                <>
+                  {" "}
+                  (<MenteeReputationTag user={other} />)
+                </>
+              )}{" "}
+              •{" "}
+              {s.dateTime
+                ? new Date(s.dateTime).toLocaleString()
+                : "Not scheduled"}
+            </div>
+            <div className="mt-1 text-[11px] text-slate-300">
+              Mode: {s.mode} • Status: {s.status}
+            </div>
+            {isGroupSession(s) && (
+              <div className="mt-1 text-[11px] text-slate-300">
+                👥 Group: {menteesOf(s).length}/{s.capacity} seats
+                {seatsLeft(s) > 0 && isActiveSession(s) && " (open to +1s)"} •{" "}
+                {mentees.map((u, i) => (
+                  <span
+                    key={u.id}
+                    className={
+                      s.attendance?.[u.id] === false
+                        ? "line-through text-slate-500"
+                        : ""
+                    }
+                  >
+                    {i > 0 && ", "}
+                    <UserLink user={u} navigate={navigate} />
+                  </span>
+                ))}
+              </div>
+            )}
+            <div className="mt-1 text-[11px] text-slate-300">
+              Link/location:{" "}
+              <span className="text-sky-400 break-all">
+                {s.locationOrLink}
+              </span>
             </div>
           </div>
+          <ReportButton
+            targetType="session"
+            targetId={s.id}
+            reportContent={reportContent}
+            className="text-[11px]"
+          />
+        </div>
 
-          <div className="mt-3 text-[11px] text-slate-300">
-            <div>
-              Rating:{" "}
-              {user.ratingCount ? (
-                <>
-                  ★ {user.ratingAvg.toFixed(2)}{" "}
-                  <span className="text-slate-500">
-                    ({user.ratingCount})
+        {isJoiner && isActiveSession(s) && (isFuture || !s.dateTime) && (
+          <button
+            onClick={() => toggleJoinQuery(s.queryId)}
+            className="mt-2 px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700 text-[11px]"
+          >
+            Leave group
+          </button>
+        )}
+
+        {isConfirmed && isFuture && !isJoiner && (
+          <div className="mt-2 flex gap-2 text-[11px]">
+            <button
+              onClick={() => cancelSession(s.id)}
+              className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700"
+            >
+              Cancel Session
+            </button>
+            {!reschedule && (
+              <button
+                onClick={() =>
+                  setRescheduling((id) => (id === s.id ? null : s.id))
+                }
+                className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700"
+              >
+                {rescheduling === s.id ? "Keep this time" : "Reschedule"}
+              </button>
+            )}
+          </div>
+        )}
+
+        {rescheduling === s.id &&
+          isConfirmed &&
+          isFuture &&
+          !isJoiner &&
+          !reschedule && (
+          <ProposeSlotsForm
+            mentor={state.users.find((u) => u.id === s.mentorId)}
+            state={state}
+            isMentor={role === "mentor"}
+            timePreference={query?.timePreference}
+            exceptSessionId={s.id}
+            menteeId={s.menteeId}
+            preferredMode={s.mode}
+            initialLocation={s.locationOrLink}
+            navigate={navigate}
+            submitLabel="Ask to reschedule"
+            onSubmit={(data) => {
+              counterProposal(s.id, data);
+              setRescheduling(null);
+            }}
+            onCancel={() => setRescheduling(null)}
+          />
+        )}
+
+        {reschedule && (
+          <div className="mt-2 rounded-lg border border-yellow-500/30 bg-yellow-500/5 p-2 text-[11px]">
+            <div className="text-yellow-200">
+              {reschedule.by === myId
+                ? "You asked to move this session."
+                : `${other?.name || "They"} asked to move this session.`}
+              {reschedule.note && (
+                <span className="text-slate-400 italic">
+                  {" "}
+                  “{reschedule.note}”
+                </span>
+              )}
+            </div>
+            <div className="mt-1 flex flex-wrap gap-2">
+              {reschedule.slots.map((slot) =>
+                reschedule.by === myId ? (
+                  <span
+                    key={slot}
+                    className="px-2 py-1 rounded-full bg-slate-800"
+                  >
+                    {new Date(slot).toLocaleString()}
                   </span>
-                </>
-              ) : (
-                "No ratings yet"
+                ) : (
+                  <button
+                    key={slot}
+                    onClick={() => acceptProposal(s.id, slot)}
+                    disabled={new Date(slot).getTime() <= now}
+                    title={
+                      new Date(slot).getTime() <= now
+                        ? "This time has passed"
+                        : ""
+                    }
+                    className="px-2 py-1 rounded-full bg-emerald-500/20 text-emerald-300 hover:bg-emerald-500/30 disabled:opacity-40 disabled:line-through"
+                  >
+                    ✓ {new Date(slot).toLocaleString()}
+                  </button>
+                )
               )}
+              <button
+                onClick={() => declineReschedule(s.id)}
+                className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700"
+              >
+                {reschedule.by === myId
+                  ? "Withdraw request"
+                  : "Keep current time"}
+              </button>
             </div>
           </div>
+        )}
 
-          <div className="mt-3 flex flex-wrap gap-1 justify-center">
-            {user.strongSubjects?.map((s) => (
-              <span
-                key={s}
-                className="px-2 py-0.5 rounded-full bg-primary/20 text-primary text-[10px]"
-              >
-                {s}
-              </span>
-            ))}
+        {hasCalendarTime(s) && (
+          <button
+            onClick={() =>
+              downloadFile(
+                `queryup-session-${s.id}.ics`,
+                sessionIcs(s, state, Date.now()),
+                "text/calendar"
+              )
+            }
+            className="mt-2 text-[11px] text-primary hover:underline"
+          >
+            📅 Add to calendar (.ics)
+          </button>
+        )}
+
+        {isConfirmed &&
+          !isJoiner &&
+          sessionEnd(s) <= now &&
+          !Object.keys(s.attestations || {}).length && (
+          <div className="mt-2 text-[11px] text-yellow-200">
+            This session has ended. Close it out by{" "}
+            {new Date(closeOutDeadline(s)).toLocaleString()}, or it will be
+            recorded as not having happened.
           </div>
+        )}
 
-          {user.bio && (
-            <p className="mt-3 text-xs text-slate-300">{user.bio}</p>
+        {s.flaggedAt && (
+          <div className="mt-2 text-[11px] text-slate-400">
+            Not closed out in time.{" "}
+            {needsFollowUp(s)
+              ? "An admin will follow up."
+              : s.status === SESSION_STATUS.COMPLETED
+                ? "An admin recorded that it took place."
+                : s.noShowUserId
+                ? `An admin recorded that ${s.noShowUserId === myId ? "you" : other?.name || "the other participant"} missed it.`
+                : "An admin found nobody at fault."}
+          </div>
+        )}
+
+        {!isJoiner &&
+          ((isConfirmed && !isFuture) ||
+            s.status === SESSION_STATUS.DISPUTED) && (
+            <AttestationPanel
+              session={s}
+              myId={myId}
+              other={other}
+              mentees={isGroupSession(s) && role === "mentor" ? mentees : null}
+              attestSession={attestSession}
+              updateStatement={updateStatement}
+            />
           )}
-        </div>
+
+        {isJoiner && isConfirmed && !isFuture && (
+          <div className="mt-2 text-[11px] text-slate-400">
+            The mentor and the asker close this session out. You can rate the
+            mentor once it’s completed.
+          </div>
+        )}
+
+        {isCompleted && myRating == null && canRate && (
+          <RatingForm
+            label={
+              role === "mentee" ? "Rate your mentor:" : "Rate your mentee:"
+            }
+            onSubmit={(rating, review) =>
+              rateSession(
+                s.id,
+                rating,
+                role === "mentee", // mentee rates mentor for XP
+                review
+              )
+            }
+          />
+        )}
+
+        {isCompleted && myRating != null && (
+          <div className="mt-2 text-[11px] text-emerald-300">
+            You rated: ★ {myRating}
+            {myReview && (
+              <span className="text-slate-400 italic"> — “{myReview}”</span>
+            )}
+          </div>
+        )}
+
+        <SessionChat
+          session={s}
+          currentUser={currentUser}
+          state={state}
+          sendMessage={sendMessage}
+          markChatRead={markChatRead}
+        />
       </div>
+    );
+  };
 
-      <div className="space-y-4">
+  return (
+    <div className="space-y-6">
+      <CalendarCard currentUser={currentUser} state={state} />
+
+      {proposed.length > 0 && (
+        <div className="card-glass p-4">
+          <h3 className="text-sm font-semibold mb-2">Pending proposals</h3>
+          <div className="space-y-2">
+            {proposed.map((s) => (
+              <SessionProposalPanel
+                key={s.id}
+                session={s}
+                currentUser={currentUser}
+                state={state}
+                acceptProposal={acceptProposal}
+                counterProposal={counterProposal}
+                cancelSession={cancelSession}
+                sendMessage={sendMessage}
+                markChatRead={markChatRead}
+                navigate={navigate}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-6">
         <div className="card-glass p-4">
           <h3 className="text-sm font-semibold mb-2">
             Sessions as Mentor
           </h3>
-          {sessionsAsMentor.length === 0 ? (
+          {asMentor.length === 0 ? (
             <p className="text-xs text-slate-300">
-              No completed sessions yet. Accept some queries to start
-              earning XP!
+              You’re not mentoring anyone yet. Accept a query from the home
+              feed to start earning XP.
             </p>
           ) : (
-            <div className="space-y-2 text-xs">
-              {sessionsAsMentor.map((s) => {
-                const q = state.queries.find((q) => q.id === s.queryId);
-                const mentee = state.users.find(
-                  (u) => u.id === s.menteeId
-                );
-                return (
-                  <div
-                    key={s.id}
-                    className="border border-white/5 rounded-xl p-3 bg-black/20"
-                  >
-                    <div className="font-medium">
-                      {q?.title || "Query"}
-                    </div>
-                    <div className="text-[11px] text-slate-400">
-                      Mentee: {mentee?.name || "-"} •{" "}
-                      {new Date(s.dateTime).toLocaleString()}
-                    </div>
-                    <div className="mt-1 text-[11px] text-slate-300">
-                      Rating:{" "}
-                      {typeof s.ratingForMentor === "number"
-                        ? `★ ${s.ratingForMentor}`
-                        : "Not rated yet"}
-                    </div>
-                  </div>
-                );
-              })}
+            <div className="space-y-2">
+              {asMentor.map((s) => renderSessionCard(s, "mentor"))}
             </div>
           )}
         </div>
 
-        <div className="card-glass p-4">
-          <h3 className="text-sm font-semibold mb-2">
-            Sessions as Mentee
-          </h3>
-          {sessionsAsMentee.length === 0 ? (
-            <p className="text-xs text-slate-300">
-              You haven’t completed any sessions as mentee yet.
-            </p>
+        <div className="card-glass p-4">
+          <h3 className="text-sm font-semibold mb-2">
+            Sessions as Mentee
+          </h3>
+          {asMentee.length === 0 ? (
+            <p className="text-xs text-slate-300">
+              You haven’t scheduled any sessions as mentee yet.
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {asMentee.map((s) => renderSessionCard(s, "mentee"))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// One-off .ics export; there is no subscription feed, so calendars only
+// pick up changes when the file is downloaded and imported again.
+function CalendarCard({ currentUser, state }) {
+  return (
+    <div className="card-glass p-4 text-xs space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold">📅 Calendar</h3>
+        <button
+          onClick={() =>
+            downloadFile(
+              "queryup-sessions.ics",
+              userCalendar(currentUser.id, state, Date.now()),
+              "text/calendar"
+            )
+          }
+          className="px-3 py-1 rounded-full bg-slate-800 hover:bg-slate-700 text-[11px]"
+        >
+          Download all sessions (.ics)
+        </button>
+      </div>
+      <p className="text-slate-400">
+        Download the file and import it into your calendar. Re-download after
+        a session is moved or cancelled.
+      </p>
+    </div>
+  );
+}
+
+/* Moderation */
+
+function ReportButton({ targetType, targetId, reportContent, className = "" }) {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (reportContent(targetType, targetId, { reason, details })) {
+      setOpen(false);
+      setReason("");
+      setDetails("");
+    }
+  };
+
+  return (
+    <div className={`relative ${className}`}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="text-slate-500 hover:text-red-300 text-[11px]"
+      >
+        ⚑ Report
+      </button>
+
+      {open && (
+        <form
+          onSubmit={handleSubmit}
+          className="absolute right-0 z-10 mt-2 w-72 card-glass bg-slate-950/95 p-3 space-y-2 text-left text-xs"
+        >
+          <div className="font-semibold">
+            Report this {REPORT_TARGET_LABELS[targetType]}
+          </div>
+          <select
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+          >
+            <option value="">Choose a reason…</option>
+            {REPORT_REASONS.map((r) => (
+              <option key={r} value={r}>
+                {r}
+              </option>
+            ))}
+          </select>
+          <textarea
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            maxLength={MAX_REPORT_DETAILS}
+            rows={3}
+            placeholder="Anything the admins should know (optional)"
+            className="w-full px-3 py-2 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setOpen(false)}
+              className="px-3 py-1.5 rounded-xl bg-slate-800 hover:bg-slate-700 text-[11px]"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-3 py-1.5 rounded-xl bg-red-500/80 hover:bg-red-500 text-[11px] font-medium"
+            >
+              Send report
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+const MODERATION_ACTION_STYLES = {
+  dismiss: "bg-slate-800 hover:bg-slate-700",
+  warn: "bg-yellow-500/20 text-yellow-200 hover:bg-yellow-500/30",
+  hide: "bg-orange-500/20 text-orange-200 hover:bg-orange-500/30",
+  block: "bg-red-500/20 text-red-300 hover:bg-red-500/30",
+};
+
+const MODERATION_ACTION_LABELS = {
+  dismiss: "Dismiss",
+  warn: "Warn",
+  hide: "Hide",
+  block: "Block user",
+};
+
+// What the reports are about, as the admin needs to see it.
+function ReportedContent({ targetType, target, state, navigate }) {
+  if (!target) {
+    return (
+      <p className="italic text-slate-500">This item no longer exists.</p>
+    );
+  }
+  const queryOf = (queryId) => state.queries.find((q) => q.id === queryId);
+  const userOf = (userId) => state.users.find((u) => u.id === userId);
+
+  switch (targetType) {
+    case "query":
+      return (
+        <div>
+          <Link
+            to={pathFor("query", { id: target.id })}
+            navigate={navigate}
+            className="font-medium hover:text-primary"
+          >
+            {target.title}
+          </Link>
+          <p className="text-slate-300 line-clamp-3">
+            {markdownToText(target.description).slice(0, 300)}
+          </p>
+        </div>
+      );
+    case "comment": {
+      const query = queryOf(target.queryId);
+      return (
+        <div>
+          <p className="text-slate-300 line-clamp-3">
+            {target.deleted
+              ? "(deleted by its author)"
+              : markdownToText(target.body).slice(0, 300)}
+          </p>
+          <div className="text-[11px] text-slate-400">
+            {target.kind === "answer" ? "Answer" : "Comment"} on{" "}
+            <Link
+              to={pathFor("query", { id: target.queryId })}
+              navigate={navigate}
+              className="hover:text-primary"
+            >
+              {query?.title || "a query"}
+            </Link>
+          </div>
+        </div>
+      );
+    }
+    case "session":
+      return (
+        <div className="text-slate-300">
+          <div className="font-medium">
+            {queryOf(target.queryId)?.title || "Session"}
+          </div>
+          <div className="text-[11px] text-slate-400">
+            Mentor{" "}
+            <UserLink user={userOf(target.mentorId)} navigate={navigate} /> •
+            Mentee{" "}
+            <UserLink user={userOf(target.menteeId)} navigate={navigate} /> •{" "}
+            {target.status}
+            {target.dateTime
+              ? ` • ${new Date(target.dateTime).toLocaleString()}`
+              : ""}
+          </div>
+        </div>
+      );
+    default:
+      return (
+        <div className="text-slate-300">
+          <UserLink user={target} navigate={navigate} className="font-medium" />
+          {target.bio && <p className="line-clamp-2">{target.bio}</p>}
+        </div>
+      );
+  }
+}
+
+function ModerationItem({ group, state, moderate, navigate }) {
+  const [note, setNote] = useState("");
+  const target = findTarget(state, group.targetType, group.targetId);
+  const subject = state.users.find((u) => u.id === group.subjectUserId);
+  const warnings = warningCount(state.auditLog, group.subjectUserId);
+
+  return (
+    <div className="border border-white/5 rounded-xl p-3 bg-black/20 text-xs space-y-2">
+      <div className="flex justify-between items-center gap-2 text-[11px] text-slate-400">
+        <span className="uppercase tracking-wide">
+          {REPORT_TARGET_LABELS[group.targetType]}
+          {target?.hidden && " • hidden"}
+        </span>
+        <span className="text-red-300">
+          {group.reports.length} report{group.reports.length === 1 ? "" : "s"}
+        </span>
+      </div>
+
+      <ReportedContent
+        targetType={group.targetType}
+        target={target}
+        state={state}
+        navigate={navigate}
+      />
+
+      <div className="text-[11px] text-slate-400">
+        Responsible:{" "}
+        <UserLink user={subject} navigate={navigate} fallback="-" />
+        {warnings > 0 &&
+          ` • warned ${warnings} time${warnings === 1 ? "" : "s"} before`}
+        {subject?.isBlocked && " • already blocked"}
+      </div>
+
+      <ul className="space-y-1">
+        {group.reports.map((r) => (
+          <li key={r.id} className="text-[11px] text-slate-300">
+            <UserLink
+              user={state.users.find((u) => u.id === r.reporterId)}
+              navigate={navigate}
+              className="text-slate-200"
+            />
+            : {r.reason}
+            {r.details && (
+              <span className="text-slate-400 italic"> — “{r.details}”</span>
+            )}{" "}
+            <span className="text-slate-500">
+              {new Date(r.createdAt).toLocaleString()}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <input
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Note for the audit log and the user (optional)"
+        className="w-full px-3 py-1.5 rounded-xl bg-slate-900 border border-white/10 focus:outline-none focus:border-primary text-[11px]"
+      />
+      <div className="flex flex-wrap gap-2">
+        {actionsFor(group.targetType)
+          .filter((action) => action !== "hide" || (target && !target.hidden))
+          .map((action) => (
+            <button
+              key={action}
+              onClick={() =>
+                moderate(group.targetType, group.targetId, action, note)
+              }
+              className={`px-3 py-1 rounded-full text-[11px] ${MODERATION_ACTION_STYLES[action]}`}
+            >
+              {MODERATION_ACTION_LABELS[action]}
+            </button>
+          ))}
+      </div>
+    </div>
+  );
+}
+
+function AuditLogCard({ state, navigate }) {
+  const [showAll, setShowAll] = useState(false);
+  const entries = [...state.auditLog].sort(
+    (a, b) => b.createdAt - a.createdAt
+  );
+  const visible = showAll ? entries : entries.slice(0, 10);
+  const userOf = (userId) => state.users.find((u) => u.id === userId);
+
+  return (
+    <div className="card-glass p-4">
+      <h3 className="text-sm font-semibold mb-1">Audit log</h3>
+      <p className="text-[11px] text-slate-400 mb-2">
+        Every moderation decision, newest first.
+      </p>
+      {entries.length === 0 ? (
+        <p className="text-xs text-slate-300">No decisions yet.</p>
+      ) : (
+        <ul className="space-y-1 text-[11px] text-slate-300">
+          {visible.map((e) => (
+            <li key={e.id}>
+              <span className="text-slate-500">
+                {new Date(e.createdAt).toLocaleString()}
+              </span>{" "}
+              <UserLink
+                user={userOf(e.actorId)}
+                navigate={navigate}
+                className="text-slate-200"
+              />{" "}
+              — {AUDIT_ACTION_LABELS[e.action] || e.action} (
+              {REPORT_TARGET_LABELS[e.targetType]}
+              {e.subjectUserId && (
+                <>
+                  {" "}
+                  of{" "}
+                  <UserLink
+                    user={userOf(e.subjectUserId)}
+                    navigate={navigate}
+                  />
+                </>
+              )}
+              )
+              {e.reportIds.length > 0 &&
+                ` • ${e.reportIds.length} report${e.reportIds.length === 1 ? "" : "s"}`}
+              {e.note && (
+                <span className="text-slate-400 italic"> — “{e.note}”</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {entries.length > 10 && (
+        <button
+          onClick={() => setShowAll((v) => !v)}
+          className="mt-2 text-[11px] text-primary hover:underline"
+        >
+          {showAll ? "Show fewer" : `Show all ${entries.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+/* Admin */
+
+function SessionReviewItem({ session, state, reviewSession, navigate }) {
+  const [note, setNote] = useState("");
+  const query = state.queries.find((q) => q.id === session.queryId);
+  const userOf = (userId) => state.users.find((u) => u.id === userId);
+  const mentor = userOf(session.mentorId);
+  const mentee = userOf(session.menteeId);
+  const disputed = session.status === SESSION_STATUS.DISPUTED;
+  const decide = (happened, noShowUserId) =>
+    reviewSession(session.id, { happened, noShowUserId }, note);
+
+  return (
+    <div className="border border-white/5 rounded-xl p-3 bg-black/20 text-xs">
+      <div className="flex justify-between items-start gap-2">
+        <div className="font-medium">
+          {query ? (
+            <Link
+              to={pathFor("query", { id: query.id })}
+              navigate={navigate}
+              className="hover:underline"
+            >
+              {query.title}
+            </Link>
           ) : (
-            <div className="space-y-2 text-xs">
-              {sessionsAsMentee.map((s) => {
-                const q = state.queries.find((q) => q.id === s.queryId);
-                const mentor = state.users.find(
-                  (u) => u.id === s.mentorId
-                );
-                return (
-                  <div
-                    key={s.id}
-                    className="border border-white/5 rounded-xl p-3 bg-black/20"
-                  >
-                    <div className="font-medium">
-                      {q?.title || "Query"}
-                    </div>
-                    <div className="text-[11px] text-slate-400">
-                      Mentor: {mentor?.name || "-"} •{" "}
-                      {new Date(s.dateTime).toLocaleString()}
-                    </div>
-                    <div className="mt-1 text-[11px] text-slate-300">
-                      Your rating:{" "}
-                      {typeof s.ratingForMentor === "number"
-                        ? `★ ${s.ratingForMentor}`
-                        : "Not rated yet"}
-                    </div>
-                  </div>
-                );
-              })}
-            </div>
+            "Query"
           )}
         </div>
+        <span
+          className={`px-2 py-0.5 rounded-full text-[10px] ${
+            disputed
+              ? "bg-red-500/20 text-red-300"
+              : "bg-slate-700 text-slate-300"
+          }`}
+        >
+          {disputed ? "Disputed" : "Not closed out"}
+        </span>
+      </div>
+      <div className="text-[11px] text-slate-400">
+        Mentor: <UserLink user={mentor} navigate={navigate} fallback="-" /> •
+        Mentee: <UserLink user={mentee} navigate={navigate} fallback="-" /> •{" "}
+        {new Date(session.dateTime).toLocaleString()}
+        {session.flaggedAt &&
+          ` • flagged ${new Date(session.flaggedAt).toLocaleDateString()}`}
+      </div>
+      {disputed && (
+        <ul className="mt-2 space-y-1">
+          {[
+            ["Mentor", mentor, session.mentorId],
+            ["Mentee", mentee, session.menteeId],
+          ].map(([role, user, userId]) => {
+            const a = attestationOf(session, userId);
+            return (
+              <li key={role} className="text-[11px]">
+                <span className="text-slate-300">
+                  {role} ({user?.name || "-"}) says it{" "}
+                  {OUTCOME_LABELS[a?.outcome] || "—"}
+                </span>
+                {a?.statement ? (
+                  <span className="text-slate-400 italic"> — “{a.statement}”</span>
+                ) : (
+                  <span className="text-slate-500"> (no statement)</span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <input
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Note for the audit log (optional)"
+        className="mt-2 w-full rounded-lg bg-slate-900 border border-slate-700 px-2 py-1 text-[11px]"
+      />
+      <div className="mt-2 flex flex-wrap gap-2 text-[11px]">
+        <button
+          onClick={() => decide(true, null)}
+          className="px-2 py-1 rounded-full bg-emerald-500/20 text-emerald-300"
+        >
+          It happened
+        </button>
+        <button
+          onClick={() => decide(false, session.mentorId)}
+          className="px-2 py-1 rounded-full bg-red-500/20 text-red-300"
+        >
+          Mentor missed it
+        </button>
+        <button
+          onClick={() => decide(false, session.menteeId)}
+          className="px-2 py-1 rounded-full bg-red-500/20 text-red-300"
+        >
+          Mentee missed it
+        </button>
+        <button
+          onClick={() => decide(false, null)}
+          className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700"
+        >
+          {disputed ? "Didn't happen, nobody at fault" : "Nobody at fault"}
+        </button>
       </div>
     </div>
   );
 }
 
-/* Sessions */
-
-function SessionsPage({
-  currentUser,
+function AdminDashboard({
   state,
-  markSessionComplete,
-  rateSession,
+  toggleBlockUser,
+  moderate,
+  reviewSession,
+  recomputeAllXp,
+  navigate,
 }) {
-  const myId = currentUser.id;
-
-  const asMentor = state.sessions.filter(
-    (s) => s.mentorId === myId
-  );
-  const asMentee = state.sessions.filter(
-    (s) => s.menteeId === myId
+  const outdated = isLedgerOutdated(state.xpLedger);
+  const queue = moderationQueue(state.reports);
+  // Disputes first: XP and ratings are on hold until they are decided.
+  const disputes = state.sessions.filter(
+    (s) => s.status === SESSION_STATUS.DISPUTED
   );
+  const followUps = state.sessions
+    .filter(needsFollowUp)
+    .sort((a, b) => a.flaggedAt - b.flaggedAt);
+  const toReview = [...disputes, ...followUps];
 
-  const renderSessionCard = (s, role) => {
-    const query = state.queries.find((q) => q.id === s.queryId);
-    const other =
-      role === "mentor"
-        ? state.users.find((u) => u.id === s.menteeId)
-        : state.users.find((u) => u.id === s.mentorId);
-
-    const isCompleted = s.status === "Completed";
-    const isFuture =
-      new Date(s.dateTime).getTime() > Date.now() &&
-      s.status === "Confirmed";
-
-    const myRating =
-      role === "mentor" ? s.ratingForMentee : s.ratingForMentor;
-
-    return (
-      <div
-        key={s.id}
-        className="border border-white/5 rounded-xl p-3 bg-black/20 text-xs"
-      >
-        <div className="flex justify-between items-start">
+  return (
+    <div className="space-y-4">
+      <div className="card-glass p-4">
+        <div className="flex justify-between items-start gap-3">
           <div>
-            <div className="font-medium">
-              {query?.title || "Query"}
-            </div>
-            <div className="text-[11px] text-slate-400">
-              With: {other?.name || "-"} •{" "}
-              {new Date(s.dateTime).toLocaleString()}
-            </div>
-            <div className="mt-1 text-[11px] text-slate-300">
-              Mode: {s.mode} • Status: {s.status}
-            </div>
-            <div className="mt-1 text-[11px] text-slate-300">
-              Link/location:{" "}
-              <span className="text-sky-400 break-all">
-                {s.locationOrLink}
-              </span>
-            </div>
+            <h2 className="text-xl font-semibold mb-2">Admin Dashboard</h2>
+            <p className="text-xs text-slate-400">
+              Review reports, moderate users and keep the XP rules current.
+            </p>
           </div>
+          <button
+            onClick={() => navigate(pathFor("analytics"))}
+            className="px-3 py-1.5 rounded-xl bg-slate-800 hover:bg-slate-700 text-[11px]"
+          >
+            📊 Analytics
+          </button>
         </div>
-
-        {!isFuture && !isCompleted && (
-          <div className="mt-2 flex gap-2 text-[11px]">
-            <button
-              onClick={() => markSessionComplete(s.id, role, true)}
-              className="px-2 py-1 rounded-full bg-emerald-500/20 text-emerald-300"
-            >
-              Mark Completed
-            </button>
-            <button
-              onClick={() => markSessionComplete(s.id, role, false)}
-              className="px-2 py-1 rounded-full bg-red-500/20 text-red-300"
-            >
-              Mark Did Not Happen
-            </button>
-          </div>
-        )}
-
-        {isCompleted && myRating == null && (
-          <div className="mt-2">
-            <div className="text-[11px] text-slate-300 mb-1">
-              Rate this session:
-            </div>
-            <div className="flex gap-1">
-              {[1, 2, 3, 4, 5].map((r) => (
-                <button
-                  key={r}
-                  onClick={() =>
-                    rateSession(
-                      s.id,
-                      r,
-                      role === "mentee" // mentee rates mentor for XP
-                    )
-                  }
-                  className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700"
-                >
-                  ★ {r}
-                </button>
-              ))}
-            </div>
-          </div>
-        )}
-
-        {isCompleted && myRating != null && (
-          <div className="mt-2 text-[11px] text-emerald-300">
-            You rated: ★ {myRating}
-          </div>
-        )}
       </div>
-    );
-  };
 
-  return (
-    <div className="grid md:grid-cols-2 gap-6">
       <div className="card-glass p-4">
-        <h3 className="text-sm font-semibold mb-2">
-          Sessions as Mentor
+        <h3 className="text-sm font-semibold mb-1">
+          Moderation queue {queue.length > 0 && `(${queue.length})`}
         </h3>
-        {asMentor.length === 0 ? (
-          <p className="text-xs text-slate-300">
-            You’re not mentoring anyone yet. Accept a query from the home
-            feed to start earning XP.
-          </p>
+        <p className="text-[11px] text-slate-400 mb-2">
+          Reports on the same item are decided together. Reporters are told
+          the outcome.
+        </p>
+        {queue.length === 0 ? (
+          <p className="text-xs text-slate-300">No open reports. 🎉</p>
         ) : (
           <div className="space-y-2">
-            {asMentor.map((s) => renderSessionCard(s, "mentor"))}
+            {queue.map((group) => (
+              <ModerationItem
+                key={group.key}
+                group={group}
+                state={state}
+                moderate={moderate}
+                navigate={navigate}
+              />
+            ))}
           </div>
         )}
       </div>
 
-      <div className="card-glass p-4">
-        <h3 className="text-sm font-semibold mb-2">
-          Sessions as Mentee
-        </h3>
-        {asMentee.length === 0 ? (
-          <p className="text-xs text-slate-300">
-            You haven’t scheduled any sessions as mentee yet.
+      {toReview.length > 0 && (
+        <div className="card-glass p-4">
+          <h3 className="text-sm font-semibold mb-1">
+            Sessions to review ({toReview.length})
+          </h3>
+          <p className="text-[11px] text-slate-400 mb-2">
+            Disputed sessions are ones where the mentor and mentee disagree
+            about what happened; XP and ratings wait for your decision.
+            Sessions nobody closed out within {CLOSE_OUT_GRACE_HOURS}h were
+            recorded as not having happened: record who missed it, if anyone.
           </p>
-        ) : (
           <div className="space-y-2">
-            {asMentee.map((s) => renderSessionCard(s, "mentee"))}
+            {toReview.map((s) => (
+              <SessionReviewItem
+                key={s.id}
+                session={s}
+                state={state}
+                reviewSession={reviewSession}
+                navigate={navigate}
+              />
+            ))}
           </div>
-        )}
-      </div>
-    </div>
-  );
-}
-
-/* Admin */
+        </div>
+      )}
 
-function AdminDashboard({ state, toggleBlockUser }) {
-  return (
-    <div className="space-y-4">
       <div className="card-glass p-4">
-        <h2 className="text-xl font-semibold mb-2">Admin Dashboard</h2>
-        <p className="text-xs text-slate-400">
-          Basic moderation controls for users. (Reports & advanced actions
-          can be added later.)
-        </p>
+        <div className="flex justify-between items-start gap-3">
+          <div>
+            <h3 className="text-sm font-semibold mb-1">
+              XP rules v{XP_RULES.version}
+            </h3>
+            <p className="text-[11px] text-slate-400">
+              {state.xpLedger.length} awards in the ledger.
+              {outdated &&
+                " Some were granted under older rules — recompute to apply the current ones."}
+            </p>
+          </div>
+          <button
+            onClick={recomputeAllXp}
+            className="px-3 py-1.5 rounded-xl bg-primary hover:bg-primary/90 text-[11px] font-medium"
+          >
+            Recompute XP
+          </button>
+        </div>
+        <div className="mt-3 flex flex-wrap gap-2 text-[11px] text-slate-300">
+          {Object.keys(XP_EVENT_LABELS)
+            .filter((event) => XP_RULES[event])
+            .map((event) => (
+              <span
+                key={event}
+                className="px-2 py-0.5 rounded-full bg-slate-800"
+              >
+                {XP_EVENT_LABELS[event]}:{" "}
+                {formatXpRule(XP_RULES[event])}
+              </span>
+            ))}
+        </div>
       </div>
 
       <div className="card-glass p-4">
@@ -1675,6 +7189,7 @@ function AdminDashboard({ state, toggleBlockUser }) {
                 <th>XP</th>
                 <th>Rating</th>
                 <th>Role</th>
+                <th>Warnings</th>
                 <th>Status</th>
                 <th></th>
               </tr>
@@ -1691,7 +7206,11 @@ function AdminDashboard({ state, toggleBlockUser }) {
                       <div className="w-6 h-6 rounded-full bg-gradient-to-br from-primary to-emerald-500 flex items-center justify-center text-[10px] font-bold">
                         {u.name?.[0]?.toUpperCase() || "U"}
                       </div>
-                      <span className="font-medium">{u.name}</span>
+                      <UserLink
+                        user={u}
+                        navigate={navigate}
+                        className="font-medium"
+                      />
                     </div>
                   </td>
                   <td className="px-3 py-2">{u.email}</td>
@@ -1709,9 +7228,14 @@ function AdminDashboard({ state, toggleBlockUser }) {
                   <td className="px-3 py-2 text-center">
                     {u.role}
                   </td>
+                  <td className="px-3 py-2 text-center">
+                    {warningCount(state.auditLog, u.id) || "-"}
+                  </td>
                   <td className="px-3 py-2 text-center">
                     {u.isBlocked ? (
                       <span className="text-red-400">Blocked</span>
+                    ) : !isEmailVerified(u) ? (
+                      <span className="text-yellow-300">Unverified</span>
                     ) : (
                       <span className="text-emerald-400">Active</span>
                     )}
@@ -1729,7 +7253,7 @@ function AdminDashboard({ state, toggleBlockUser }) {
               {state.users.length === 0 && (
                 <tr>
                   <td
-                    colSpan="8"
+                    colSpan="9"
                     className="px-3 py-2 text-center text-slate-300"
                   >
                     No users yet.
@@ -1740,6 +7264,343 @@ function AdminDashboard({ state, toggleBlockUser }) {
           </table>
         </div>
       </div>
+
+      <AuditLogCard state={state} navigate={navigate} />
+    </div>
+  );
+}
+
+/* Analytics */
+
+const CHART_WIDTH = 600;
+
+// A plain SVG bar chart; several series render as grouped bars.
+function BarChart({ data, labelKey, series, height = 180, formatLabel }) {
+  const top = 16;
+  const bottom = 24;
+  const plot = height - top - bottom;
+  const max = Math.max(1, ...data.flatMap((d) => series.map((s) => d[s.key])));
+  const slot = CHART_WIDTH / Math.max(1, data.length);
+  const barWidth = Math.max(2, (slot * 0.7) / series.length);
+  const tickEvery = Math.ceil(data.length / 12);
+  const showValues = data.length * series.length <= 24;
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+      className="w-full h-auto"
+      role="img"
+    >
+      <line
+        x1="0"
+        x2={CHART_WIDTH}
+        y1={top + plot}
+        y2={top + plot}
+        className="stroke-slate-700"
+      />
+      {data.map((d, i) => {
+        const x0 = i * slot + (slot - barWidth * series.length) / 2;
+        const label = formatLabel ? formatLabel(d[labelKey]) : d[labelKey];
+        return (
+          <g key={d[labelKey]}>
+            {series.map((s, j) => {
+              const h = (d[s.key] / max) * plot;
+              const x = x0 + j * barWidth;
+              return (
+                <g key={s.key}>
+                  <rect
+                    x={x}
+                    y={top + plot - h}
+                    width={Math.max(1, barWidth - 2)}
+                    height={h}
+                    rx="2"
+                    className={s.className}
+                  >
+                    <title>{`${d[labelKey]} — ${s.name}: ${d[s.key]}`}</title>
+                  </rect>
+                  {showValues && d[s.key] > 0 && (
+                    <text
+                      x={x + barWidth / 2}
+                      y={top + plot - h - 4}
+                      textAnchor="middle"
+                      className="fill-slate-300 text-[10px]"
+                    >
+                      {d[s.key]}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+            {i % tickEvery === 0 && (
+              <text
+                x={i * slot + slot / 2}
+                y={height - 8}
+                textAnchor="middle"
+                className="fill-slate-400 text-[10px]"
+              >
+                {label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function ChartCard({ title, subtitle, series, onExport, children }) {
+  return (
+    <div className="card-glass p-4">
+      <div className="flex justify-between items-start gap-2 mb-2">
+        <div>
+          <h3 className="text-sm font-semibold">{title}</h3>
+          {subtitle && (
+            <p className="text-[11px] text-slate-400">{subtitle}</p>
+          )}
+        </div>
+        <button
+          onClick={onExport}
+          className="px-2 py-1 rounded-full bg-slate-800 hover:bg-slate-700 text-[10px]"
+        >
+          CSV
+        </button>
+      </div>
+      {children}
+      {series?.length > 1 && (
+        <div className="mt-1 flex gap-3 text-[10px] text-slate-400">
+          {series.map((s) => (
+            <span key={s.key} className="flex items-center gap-1">
+              <svg width="8" height="8">
+                <rect width="8" height="8" rx="2" className={s.className} />
+              </svg>
+              {s.name}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function StatTile({ label, value, hint }) {
+  return (
+    <div className="card-glass p-3">
+      <div className="text-[11px] text-slate-400">{label}</div>
+      <div className="text-lg font-semibold">{value}</div>
+      {hint && <div className="text-[10px] text-slate-500">{hint}</div>}
+    </div>
+  );
+}
+
+const formatRate = (rate) => (rate == null ? "-" : `${Math.round(rate * 100)}%`);
+
+function formatHours(hours) {
+  if (hours == null) return "-";
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${hours.toFixed(1)} h`;
+  return `${(hours / 24).toFixed(1)} days`;
+}
+
+// Saves text as a file through a temporary object URL.
+function downloadFile(filename, text, type) {
+  const blob = new Blob([text], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function downloadCsv(name, rows) {
+  if (rows.length === 0) {
+    alert("Nothing to export for this period.");
+    return;
+  }
+  downloadFile(
+    `queryup-${name}-${dayKey(Date.now())}.csv`,
+    toCsv(rows),
+    "text/csv"
+  );
+}
+
+const SUPPLY_SERIES = [
+  { key: "demand", name: "Queries", className: "fill-primary" },
+  { key: "mentors", name: "Mentors", className: "fill-accent" },
+];
+
+function AnalyticsPage({ state, navigate }) {
+  const [days, setDays] = useState(30);
+  const now = useNow();
+  const data = useMemo(
+    () => buildAnalytics(state, { days, now }),
+    [state, days, now]
+  );
+  const single = (name, className = "fill-primary") => [
+    { key: name, name, className },
+  ];
+  const postedCount = data.perDay.reduce((sum, d) => sum + d.queries, 0);
+  const rangeName = days ? `${days}d` : "all";
+
+  return (
+    <div className="space-y-4">
+      <div className="card-glass p-4 flex flex-wrap justify-between items-start gap-3">
+        <div>
+          <h2 className="text-xl font-semibold mb-1">Analytics</h2>
+          <p className="text-xs text-slate-400">
+            Built from queries and sessions in this app. Mentor supply is
+            everyone’s current strong subjects.
+          </p>
+          <Link
+            to={pathFor("admin")}
+            navigate={navigate}
+            className="text-[11px] text-primary hover:underline"
+          >
+            ← Admin dashboard
+          </Link>
+        </div>
+        <div className="flex flex-col items-end gap-2">
+          <div className="flex gap-1 text-[11px]">
+            {ANALYTICS_RANGES.map((r) => (
+              <button
+                key={r.label}
+                onClick={() => setDays(r.days)}
+                className={`px-3 py-1 rounded-full ${
+                  days === r.days
+                    ? "bg-primary text-white"
+                    : "bg-slate-800 hover:bg-slate-700"
+                }`}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2 text-[11px]">
+            <button
+              onClick={() =>
+                downloadCsv(
+                  `queries-${rangeName}`,
+                  queryRows(state, { days, now })
+                )
+              }
+              className="px-3 py-1 rounded-full bg-slate-800 hover:bg-slate-700"
+            >
+              Export queries CSV
+            </button>
+            <button
+              onClick={() =>
+                downloadCsv(
+                  `sessions-${rangeName}`,
+                  sessionRows(state, { days, now })
+                )
+              }
+              className="px-3 py-1 rounded-full bg-slate-800 hover:bg-slate-700"
+            >
+              Export sessions CSV
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <StatTile label="Queries posted" value={postedCount} />
+        <StatTile
+          label="Median time to first accept"
+          value={formatHours(data.firstAccept.medianHours)}
+          hint={`${data.firstAccept.count} accepted • mean ${formatHours(data.firstAccept.meanHours)}`}
+        />
+        <StatTile
+          label="Resolution rate"
+          value={formatRate(data.resolution.rate)}
+          hint={`${data.resolution.resolved} of ${data.resolution.total} (excl. withdrawn)`}
+        />
+        <StatTile
+          label="No-show rate"
+          value={formatRate(data.noShows.rate)}
+          hint={`${data.noShows.noShows} of ${data.noShows.finished} finished sessions`}
+        />
+        <StatTile label="Active users" value={data.activeUsers} />
+      </div>
+
+      <ChartCard
+        title="Queries posted per day"
+        onExport={() => downloadCsv(`queries-per-day-${rangeName}`, data.perDay)}
+      >
+        <BarChart
+          data={data.perDay}
+          labelKey="date"
+          series={single("queries")}
+          formatLabel={(date) => date.slice(5)}
+        />
+      </ChartCard>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <ChartCard
+          title="Time to first accept"
+          subtitle="From posting to the first session proposal."
+          onExport={() =>
+            downloadCsv(
+              `time-to-first-accept-${rangeName}`,
+              data.firstAccept.buckets
+            )
+          }
+        >
+          <BarChart
+            data={data.firstAccept.buckets}
+            labelKey="label"
+            series={single("count")}
+          />
+        </ChartCard>
+
+        <ChartCard
+          title="Queries by status"
+          onExport={() =>
+            downloadCsv(`queries-by-status-${rangeName}`, data.resolution.byStatus)
+          }
+        >
+          <BarChart
+            data={data.resolution.byStatus}
+            labelKey="status"
+            series={single("count", "fill-sky-400")}
+          />
+        </ChartCard>
+      </div>
+
+      <ChartCard
+        title="Demand vs mentor supply"
+        subtitle="Queries tagged with each subject, against users strong in it."
+        series={SUPPLY_SERIES}
+        onExport={() => downloadCsv(`subject-supply-${rangeName}`, data.supply)}
+      >
+        <BarChart data={data.supply} labelKey="subject" series={SUPPLY_SERIES} />
+      </ChartCard>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <ChartCard
+          title="Active users by year"
+          onExport={() =>
+            downloadCsv(`active-by-year-${rangeName}`, data.activeByYear)
+          }
+        >
+          <BarChart
+            data={data.activeByYear}
+            labelKey="year"
+            series={single("users", "fill-accent")}
+          />
+        </ChartCard>
+        <ChartCard
+          title="Active users by branch"
+          onExport={() =>
+            downloadCsv(`active-by-branch-${rangeName}`, data.activeByBranch)
+          }
+        >
+          <BarChart
+            data={data.activeByBranch}
+            labelKey="branch"
+            series={single("users", "fill-accent")}
+          />
+        </ChartCard>
+      </div>
     </div>
   );
 }
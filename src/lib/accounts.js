@@ -0,0 +1,283 @@
+import {
+  CODE_TTL_MS,
+  MIN_PASSWORD_LENGTH,
+  checkCodeChallenge,
+  checkCredentials,
+  createCodeChallenge,
+  generateCode,
+  hashPassword,
+  isEmailVerified,
+} from "./auth.js";
+import { id } from "./id.js";
+
+/** ---------- Accounts (conceptual) ----------
+Sign-up, sign-in, email verification and password changes. Secrets never
+sit on the User record that every client reads; they live in a separate
+credentials store only this service touches:
+  Credentials { id (= user id), passwordHash, emailVerification,
+                passwordReset, password? (legacy plain text) }
+With localStorage the service runs in the browser. With Supabase it runs in
+the "accounts" Edge Function, and the tables refuse client writes to the
+fields in PROTECTED_FIELDS (see supabase/schema.sql).
+
+createAccounts({ store, allowedDomains, sendMail }) → service
+  store { listUsers(), saveUser(user), getCredentials(id),
+          saveCredentials(credentials) }
+Every service method resolves to { user } (the public record as saved),
+{ error } (a message for the user) or {} when there is nothing to report.
+----------------------------------------*/
+
+export const ACCOUNT_ACTIONS = [
+  "signUp",
+  "signIn",
+  "resendVerification",
+  "verifyEmail",
+  "requestPasswordReset",
+  "resetPassword",
+  "changePassword",
+];
+
+export const SECRET_FIELDS = [
+  "password",
+  "passwordHash",
+  "emailVerification",
+  "passwordReset",
+];
+
+// Only the accounts service may change these on a stored user.
+export const PROTECTED_FIELDS = [
+  "email",
+  "role",
+  "emailVerified",
+  "passwordChangedAt",
+];
+
+// "pccoepune.org, @pccoer.in" → ["pccoepune.org", "pccoer.in"]
+export function parseDomains(value) {
+  return (value || "")
+    .split(",")
+    .map((v) => v.trim().toLowerCase().replace(/^@/, ""))
+    .filter(Boolean);
+}
+
+export function splitSecrets(record) {
+  const user = { ...record };
+  const credentials = { id: record.id };
+  for (const field of SECRET_FIELDS) {
+    if (field in user) credentials[field] = user[field];
+    delete user[field];
+  }
+  return { user, credentials };
+}
+
+// Why a client may not write `next` over the stored user `prev` (null
+// when it's new), or null if it may.
+export function userWriteError(prev, next) {
+  if (SECRET_FIELDS.some((f) => next[f] !== undefined)) {
+    return "Users can't carry password or code fields.";
+  }
+  if (!prev) return "Accounts are created through sign-up.";
+  const changed = PROTECTED_FIELDS.find(
+    (f) => JSON.stringify(prev[f] ?? null) !== JSON.stringify(next[f] ?? null)
+  );
+  return changed ? `Only the accounts service can change ${changed}.` : null;
+}
+
+export function createAccounts({ store, allowedDomains, sendMail }) {
+  const findByEmail = async (rawEmail) => {
+    const email = String(rawEmail || "").toLowerCase();
+    return (await store.listUsers()).find((u) => u.email === email) || null;
+  };
+
+  const findById = async (userId) =>
+    (await store.listUsers()).find((u) => u.id === userId) || null;
+
+  const credentialsOf = async (user) =>
+    (await store.getCredentials(user.id)) || { id: user.id };
+
+  const updateUser = async (user, changes) => {
+    const next = { ...user, ...changes };
+    await store.saveUser(next);
+    return next;
+  };
+
+  const sendCode = (to, subject, text) =>
+    sendMail({
+      to,
+      subject,
+      text: `${text} It expires in ${CODE_TTL_MS / 60000} minutes.`,
+    });
+
+  const sendVerification = async (user) => {
+    const code = generateCode();
+    const credentials = await credentialsOf(user);
+    await store.saveCredentials({
+      ...credentials,
+      emailVerification: await createCodeChallenge(code),
+    });
+    await sendCode(
+      user.email,
+      "Verify your QueryUP email",
+      `Your verification code is ${code}.`
+    );
+  };
+
+  const setPassword = async (user, password) => {
+    const { password: _plain, ...credentials } = await credentialsOf(user);
+    await store.saveCredentials({
+      ...credentials,
+      passwordHash: await hashPassword(password),
+      passwordReset: null,
+    });
+    return updateUser(user, { passwordChangedAt: Date.now() });
+  };
+
+  return {
+    async signUp({ email: rawEmail, password }) {
+      const email = String(rawEmail || "").toLowerCase();
+      if (!allowedDomains.includes(email.split("@")[1])) {
+        return {
+          error: `Only ${allowedDomains.map((d) => "@" + d).join(", ")} emails are allowed.`,
+        };
+      }
+      if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+        return {
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+        };
+      }
+      const users = await store.listUsers();
+      if (users.some((u) => u.email === email)) {
+        return { error: "User already exists. Please login." };
+      }
+
+      const user = {
+        id: id(),
+        email,
+        emailVerified: false,
+        passwordChangedAt: null,
+        name: email.split("@")[0].replace(/\./g, " "),
+        year: null,
+        branch: null,
+        strongSubjects: [],
+        bio: "",
+        avatar: null,
+        role: users.length === 0 ? "admin" : "student", // first user = admin
+        xp: 0,
+        level: 1,
+        ratingAvg: 0,
+        ratingCount: 0,
+        isBlocked: false,
+      };
+      await store.saveCredentials({
+        id: user.id,
+        passwordHash: await hashPassword(password),
+      });
+      await store.saveUser(user);
+      await sendVerification(user);
+      return { user };
+    },
+
+    async signIn({ email, password }) {
+      const user = await findByEmail(email);
+      const credentials = user && (await credentialsOf(user));
+      if (!user || !(await checkCredentials(credentials, password))) {
+        return { error: "Invalid credentials." };
+      }
+      if (user.isBlocked) {
+        return { error: "Your account is blocked. Contact admin." };
+      }
+      // Upgrade accounts that still have a plain-text password.
+      if (!credentials.passwordHash) {
+        const { password: _plain, ...rest } = credentials;
+        await store.saveCredentials({
+          ...rest,
+          passwordHash: await hashPassword(password),
+        });
+      }
+      return { user };
+    },
+
+    async resendVerification({ userId }) {
+      const user = await findById(userId);
+      if (user && !isEmailVerified(user)) await sendVerification(user);
+      return {};
+    },
+
+    async verifyEmail({ userId, code }) {
+      const user = await findById(userId);
+      if (!user) return { error: "This code has expired. Send a new one." };
+      const credentials = await credentialsOf(user);
+      const challenge = credentials.emailVerification;
+      const result = await checkCodeChallenge(challenge, String(code || ""));
+      if (result === "expired") {
+        return { error: "This code has expired. Send a new one." };
+      }
+      if (result === "wrong") {
+        await store.saveCredentials({
+          ...credentials,
+          emailVerification: { ...challenge, attempts: challenge.attempts + 1 },
+        });
+        return { error: "That code is not correct." };
+      }
+      await store.saveCredentials({ ...credentials, emailVerification: null });
+      return { user: await updateUser(user, { emailVerified: true }) };
+    },
+
+    // Always answers the same way so the form can't be used to probe emails.
+    async requestPasswordReset({ email }) {
+      const user = await findByEmail(email);
+      if (!user) return {};
+      const code = generateCode();
+      const credentials = await credentialsOf(user);
+      await store.saveCredentials({
+        ...credentials,
+        passwordReset: await createCodeChallenge(code),
+      });
+      await sendCode(
+        user.email,
+        "Your QueryUP password reset code",
+        `Your code is ${code}. If you didn't ask for this, you can ignore this email.`
+      );
+      return {};
+    },
+
+    async resetPassword({ email, code, password }) {
+      const user = await findByEmail(email);
+      const credentials = user && (await credentialsOf(user));
+      const reset = credentials?.passwordReset;
+      const result = await checkCodeChallenge(reset, String(code || ""));
+      if (result === "expired") {
+        return { error: "This code has expired. Request a new one." };
+      }
+      if (result === "wrong") {
+        await store.saveCredentials({
+          ...credentials,
+          passwordReset: { ...reset, attempts: reset.attempts + 1 },
+        });
+        return { error: "That code is not correct." };
+      }
+      if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+        return {
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+        };
+      }
+      return { user: await setPassword(user, password) };
+    },
+
+    async changePassword({ userId, currentPassword, password }) {
+      const user = await findById(userId);
+      if (
+        !user ||
+        !(await checkCredentials(await credentialsOf(user), currentPassword))
+      ) {
+        return { error: "Current password is incorrect." };
+      }
+      if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+        return {
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+        };
+      }
+      return { user: await setPassword(user, password) };
+    },
+  };
+}
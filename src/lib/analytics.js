@@ -0,0 +1,262 @@
+import { isEmailVerified } from "./auth.js";
+import { BRANCH_OPTIONS, SUBJECT_OPTIONS, YEAR_OPTIONS } from "./options.js";
+import { QUERY_STATUS } from "./queries.js";
+import { SESSION_STATUS, sessionParticipants } from "./scheduling.js";
+
+/** ---------- Analytics (conceptual) ----------
+buildAnalytics(state, { days, now }) → {
+  perDay:        [{ date: "YYYY-MM-DD", queries }]
+  firstAccept:   { count, medianHours, meanHours, buckets: [{ label, count }] }
+  resolution:    { total, resolved, rate, byStatus: [{ status, count }] }
+  noShows:       { finished, noShows, rate }
+  supply:        [{ subject, demand, openDemand, mentors }]
+  activeUsers:   number
+  activeByYear:  [{ year, users }]
+  activeByBranch:[{ branch, users }]
+}
+Every metric covers queries posted, and sessions proposed, in the last
+`days` days (null = all time). A query is "accepted" when its first session
+proposal is sent; a user is "active" if they posted, commented or took part
+in a session in the window.
+----------------------------------------*/
+
+export const ANALYTICS_RANGES = [
+  { days: 7, label: "7 days" },
+  { days: 30, label: "30 days" },
+  { days: 90, label: "90 days" },
+  { days: null, label: "All time" },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const ACCEPT_BUCKETS = [
+  { label: "< 1h", maxHours: 1 },
+  { label: "1–6h", maxHours: 6 },
+  { label: "6–24h", maxHours: 24 },
+  { label: "1–3 days", maxHours: 72 },
+  { label: "> 3 days", maxHours: Infinity },
+];
+
+// Local calendar date, so days line up with what admins see elsewhere.
+export function dayKey(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const firstProposalAt = (session) => session.proposals?.[0]?.createdAt ?? null;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function queriesPerDay(queries, start, now) {
+  const counts = new Map();
+  for (const q of queries) {
+    const key = dayKey(q.createdAt);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  // All time starts at the first query; empty days still get a bar.
+  const from = new Date(
+    start ?? Math.min(now, ...queries.map((q) => q.createdAt))
+  );
+  from.setHours(0, 0, 0, 0);
+  const series = [];
+  for (const d = from; d.getTime() <= now; d.setDate(d.getDate() + 1)) {
+    const key = dayKey(d.getTime());
+    series.push({ date: key, queries: counts.get(key) || 0 });
+  }
+  return series;
+}
+
+function firstAcceptTimes(sessions) {
+  const firstAt = new Map();
+  for (const s of sessions) {
+    const at = firstProposalAt(s);
+    if (at == null) continue;
+    const prev = firstAt.get(s.queryId);
+    if (prev == null || at < prev) firstAt.set(s.queryId, at);
+  }
+  return firstAt;
+}
+
+function timeToFirstAccept(queries, sessions) {
+  const firstAt = firstAcceptTimes(sessions);
+  const hours = queries
+    .filter((q) => firstAt.has(q.id))
+    .map((q) => Math.max(0, firstAt.get(q.id) - q.createdAt) / HOUR_MS);
+  return {
+    count: hours.length,
+    medianHours: median(hours),
+    meanHours: hours.length
+      ? hours.reduce((sum, h) => sum + h, 0) / hours.length
+      : null,
+    buckets: ACCEPT_BUCKETS.map((b, i) => ({
+      label: b.label,
+      count: hours.filter(
+        (h) => h < b.maxHours && (i === 0 || h >= ACCEPT_BUCKETS[i - 1].maxHours)
+      ).length,
+    })),
+  };
+}
+
+function resolutionRate(queries) {
+  // Withdrawn queries never wanted an answer, so they don't count against us.
+  const considered = queries.filter(
+    (q) => q.status !== QUERY_STATUS.WITHDRAWN
+  );
+  const resolved = considered.filter(
+    (q) => q.status === QUERY_STATUS.RESOLVED
+  ).length;
+  return {
+    total: considered.length,
+    resolved,
+    rate: considered.length ? resolved / considered.length : null,
+    byStatus: Object.values(QUERY_STATUS).map((status) => ({
+      status,
+      count: queries.filter((q) => q.status === status).length,
+    })),
+  };
+}
+
+function noShowRate(sessions) {
+  const finished = sessions.filter(
+    (s) =>
+      s.status === SESSION_STATUS.COMPLETED ||
+      s.status === SESSION_STATUS.NO_SHOW
+  );
+  const noShows = finished.filter(
+    (s) => s.status === SESSION_STATUS.NO_SHOW
+  ).length;
+  return {
+    finished: finished.length,
+    noShows,
+    rate: finished.length ? noShows / finished.length : null,
+  };
+}
+
+// Mentor supply is current: verified, unblocked users strong in the subject.
+function demandVersusSupply(queries, users) {
+  const mentors = users.filter((u) => !u.isBlocked && isEmailVerified(u));
+  return SUBJECT_OPTIONS.map((subject) => {
+    const tagged = queries.filter((q) => q.subjectTags.includes(subject));
+    return {
+      subject,
+      demand: tagged.length,
+      openDemand: tagged.filter((q) => q.status === QUERY_STATUS.OPEN).length,
+      mentors: mentors.filter((u) => (u.strongSubjects || []).includes(subject))
+        .length,
+    };
+  });
+}
+
+function activeUsers(state, queries, sessions, inWindow) {
+  const active = new Set(queries.map((q) => q.askerId));
+  for (const c of state.comments) {
+    if (inWindow(c.createdAt)) active.add(c.authorId);
+  }
+  for (const s of sessions) {
+    for (const uid of sessionParticipants(s)) active.add(uid);
+  }
+  const users = state.users.filter((u) => active.has(u.id));
+  const countBy = (field, options) => {
+    const valueOf = (u) => (options.includes(u[field]) ? u[field] : "Not set");
+    return [...options, "Not set"].map((value) => ({
+      [field]: value,
+      users: users.filter((u) => valueOf(u) === value).length,
+    }));
+  };
+  return {
+    total: users.length,
+    byYear: countBy("year", YEAR_OPTIONS),
+    byBranch: countBy("branch", BRANCH_OPTIONS),
+  };
+}
+
+function inRange(state, days, now) {
+  const start = days ? now - days * DAY_MS : null;
+  const inWindow = (ts) => start == null || (ts != null && ts >= start);
+  return {
+    start,
+    inWindow,
+    queries: state.queries.filter((q) => inWindow(q.createdAt)),
+    sessions: state.sessions.filter((s) =>
+      inWindow(firstProposalAt(s) ?? new Date(s.dateTime).getTime())
+    ),
+  };
+}
+
+export function buildAnalytics(state, { days = 30, now }) {
+  const { start, inWindow, queries, sessions } = inRange(state, days, now);
+  const active = activeUsers(state, queries, sessions, inWindow);
+
+  return {
+    perDay: queriesPerDay(queries, start, now),
+    firstAccept: timeToFirstAccept(queries, state.sessions),
+    resolution: resolutionRate(queries),
+    noShows: noShowRate(sessions),
+    supply: demandVersusSupply(queries, state.users),
+    activeUsers: active.total,
+    activeByYear: active.byYear,
+    activeByBranch: active.byBranch,
+  };
+}
+
+/* CSV export */
+
+// One row per query in the window, for spreadsheets.
+export function queryRows(state, { days = 30, now }) {
+  const { queries } = inRange(state, days, now);
+  const firstAt = firstAcceptTimes(state.sessions);
+  const usersById = new Map(state.users.map((u) => [u.id, u]));
+  return queries.map((q) => {
+    const asker = usersById.get(q.askerId);
+    return {
+      id: q.id,
+      postedAt: new Date(q.createdAt).toISOString(),
+      status: q.status,
+      subjects: q.subjectTags.join("; "),
+      askerYear: asker?.year || "",
+      askerBranch: asker?.branch || "",
+      hoursToFirstAccept: firstAt.has(q.id)
+        ? ((firstAt.get(q.id) - q.createdAt) / HOUR_MS).toFixed(2)
+        : "",
+    };
+  });
+}
+
+export function sessionRows(state, { days = 30, now }) {
+  const { sessions } = inRange(state, days, now);
+  return sessions.map((s) => ({
+    id: s.id,
+    queryId: s.queryId,
+    status: s.status,
+    mode: s.mode,
+    proposedAt: firstProposalAt(s)
+      ? new Date(firstProposalAt(s)).toISOString()
+      : "",
+    scheduledFor: s.dateTime ? new Date(s.dateTime).toISOString() : "",
+    ratingForMentor: s.ratingForMentor ?? "",
+    ratingForMentee: s.ratingForMentee ?? "",
+  }));
+}
+
+// Quotes fields that need it and defuses spreadsheet formulas.
+function csvField(value) {
+  if (value == null) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((fields) => fields.map(csvField).join(","))
+    .join("\r\n");
+}
@@ -0,0 +1,82 @@
+import { id } from "./id.js";
+
+/** ---------- Attachment (conceptual) ----------
+Attachment { id, name, type, size, dataUrl }
+Stored inline on Query.attachments[] and Comment.attachments[], so they
+travel with the rest of the state: by default one localStorage entry of
+about 5 MB, and every client loads all of it. Besides the per-file and
+per-record limits, all stored attachments together stay under
+MAX_STORED_ATTACHMENT_BYTES (about 2.7 MB once base64-encoded), which leaves
+room for everything else.
+----------------------------------------*/
+
+export const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+export const ATTACHMENT_TYPES = [
+  ...IMAGE_TYPES,
+  "application/pdf",
+  "text/plain",
+];
+export const MAX_ATTACHMENT_BYTES = 512 * 1024;
+export const MAX_QUERY_ATTACHMENTS = 3;
+export const MAX_COMMENT_ATTACHMENTS = 1;
+export const MAX_STORED_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+
+// Guards against records edited by hand: the data URL must carry the
+// declared, allowed type.
+export function isValidAttachment(attachment) {
+  return (
+    ATTACHMENT_TYPES.includes(attachment?.type) &&
+    typeof attachment.dataUrl === "string" &&
+    attachment.dataUrl.startsWith(`data:${attachment.type};base64,`)
+  );
+}
+
+export function isImageAttachment(attachment) {
+  return isValidAttachment(attachment) && IMAGE_TYPES.includes(attachment.type);
+}
+
+// Returns an error message, or null when the file is acceptable.
+export function validateAttachment(file) {
+  if (!ATTACHMENT_TYPES.includes(file.type)) {
+    return `"${file.name}" isn't a supported file type (PNG, JPEG, GIF, WebP, PDF or plain text).`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `"${file.name}" is larger than ${MAX_ATTACHMENT_BYTES / 1024} KB.`;
+  }
+  return null;
+}
+
+export function readAttachment(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () =>
+      resolve({
+        id: id(),
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        dataUrl: reader.result,
+      });
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+export function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${Math.round(bytes / 1024)} KB`;
+}
+
+const totalSize = (attachments) =>
+  (attachments || []).reduce((sum, a) => sum + (a.size || 0), 0);
+
+// Returns an error message, or null when `attachments` fit in what is left
+// of the store-wide budget. The files of `replacing` (a record being edited)
+// don't count against it.
+export function checkAttachmentBudget(state, attachments, replacing = null) {
+  const used = [...state.queries, ...state.comments]
+    .filter((r) => r.id !== replacing?.id)
+    .reduce((sum, r) => sum + totalSize(r.attachments), 0);
+  const left = MAX_STORED_ATTACHMENT_BYTES - used;
+  if (totalSize(attachments) <= left) return null;
+  return `Only ${formatBytes(Math.max(0, left))} of attachment space is left on QueryUP. Remove a file, or link to it instead.`;
+}
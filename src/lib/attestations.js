@@ -0,0 +1,80 @@
+import { SESSION_STATUS } from "./scheduling.js";
+
+/** ---------- Attestations (conceptual) ----------
+Session.attestations {
+  [userId]: { outcome: "happened" | "notHappened", statement, at }
+}
+Each participant says separately whether the session took place; saying
+it did not happen blames the other participant. The session only
+finalizes when
+  - both agree: Completed, or No-show with nobody blamed when both say it
+    did not happen
+  - one has answered and the other stays silent for
+    ATTESTATION_TIMEOUT_HOURS: the answer given stands
+  - they disagree: the session becomes Disputed and waits for an admin,
+    who sees both statements and decides
+XP and ratings only follow once the session is Completed or No-show, so
+they are held while a session is waiting or disputed.
+----------------------------------------*/
+
+export const OUTCOMES = {
+  HAPPENED: "happened",
+  NOT_HAPPENED: "notHappened",
+};
+
+export const ATTESTATION_TIMEOUT_HOURS = 48;
+export const MAX_STATEMENT_LENGTH = 500;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function createAttestation(didHappen, statement = "") {
+  return {
+    outcome: didHappen ? OUTCOMES.HAPPENED : OUTCOMES.NOT_HAPPENED,
+    statement: statement.trim().slice(0, MAX_STATEMENT_LENGTH),
+    at: Date.now(),
+  };
+}
+
+export function attestationOf(session, userId) {
+  return session.attestations?.[userId] || null;
+}
+
+const otherParticipant = (session, userId) =>
+  userId === session.mentorId ? session.menteeId : session.mentorId;
+
+// What a single answer means for the session.
+function verdictFrom(session, userId, attestation) {
+  return attestation.outcome === OUTCOMES.HAPPENED
+    ? { status: SESSION_STATUS.COMPLETED, noShowUserId: null }
+    : {
+        status: SESSION_STATUS.NO_SHOW,
+        noShowUserId: otherParticipant(session, userId),
+      };
+}
+
+// The status the attestations lead to, or null while one is still missing.
+export function attestedVerdict(session) {
+  const mentor = attestationOf(session, session.mentorId);
+  const mentee = attestationOf(session, session.menteeId);
+  if (!mentor || !mentee) return null;
+  if (mentor.outcome !== mentee.outcome) {
+    return { status: SESSION_STATUS.DISPUTED, noShowUserId: null };
+  }
+  return mentor.outcome === OUTCOMES.HAPPENED
+    ? { status: SESSION_STATUS.COMPLETED, noShowUserId: null }
+    : { status: SESSION_STATUS.NO_SHOW, noShowUserId: null };
+}
+
+// When a lone answer stands, or null unless exactly one participant answered.
+export function attestationDeadline(session) {
+  const answers = Object.values(session.attestations || {});
+  if (answers.length !== 1) return null;
+  return answers[0].at + ATTESTATION_TIMEOUT_HOURS * HOUR_MS;
+}
+
+export function timedOutVerdict(session, now) {
+  const deadline = attestationDeadline(session);
+  if (deadline == null || now < deadline) return null;
+  const [userId, attestation] = Object.entries(session.attestations)[0];
+  return verdictFrom(session, userId, attestation);
+}
@@ -0,0 +1,151 @@
+/** ---------- Auth (conceptual) ----------
+Credentials.passwordHash { algorithm, hash, iterations, salt, key }   (base64 salt/key)
+Credentials.passwordReset, Credentials.emailVerification   CodeChallenge
+User.passwordChangedAt                 logins issued before this are invalid
+CodeChallenge { codeHash, expiresAt, attempts }
+User.emailVerified    false until the emailed code is confirmed;
+                      accounts from before verification existed have no flag
+LoginSession { userId, remember, issuedAt, expiresAt }   stored per device, not shared
+----------------------------------------*/
+
+const PBKDF2_ITERATIONS = 600000;
+const SESSION_KEY = "queryup_session_v1";
+const REMEMBER_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSION_MS = 12 * 60 * 60 * 1000;
+
+const CODE_ITERATIONS = 100000;
+export const CODE_TTL_MS = 15 * 60 * 1000;
+export const CODE_MAX_ATTEMPTS = 5;
+export const MIN_PASSWORD_LENGTH = 8;
+
+const encoder = new TextEncoder();
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+
+async function derive(secret, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+// Compare without bailing early, so timing doesn't leak how much matched.
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+export async function hashPassword(password, iterations = PBKDF2_ITERATIONS) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await derive(password, salt, iterations);
+  return {
+    algorithm: "PBKDF2",
+    hash: "SHA-256",
+    iterations,
+    salt: toBase64(salt),
+    key: toBase64(key),
+  };
+}
+
+export async function verifyPassword(password, stored) {
+  if (!stored?.salt || !stored?.key) return false;
+  const key = await derive(password, fromBase64(stored.salt), stored.iterations);
+  return constantTimeEqual(key, fromBase64(stored.key));
+}
+
+// Accounts created before hashing kept `password` in plain text; accept them
+// once so the caller can upgrade the record to a hash.
+export async function checkCredentials(credentials, password) {
+  if (credentials.passwordHash) {
+    return verifyPassword(password, credentials.passwordHash);
+  }
+  return typeof credentials.password === "string" && credentials.password === password;
+}
+
+export function generateCode(digits = 6) {
+  const [n] = crypto.getRandomValues(new Uint32Array(1));
+  return String(n % 10 ** digits).padStart(digits, "0");
+}
+
+// ----- one-time email codes -----
+
+export async function createCodeChallenge(code) {
+  return {
+    codeHash: await hashPassword(code, CODE_ITERATIONS),
+    expiresAt: Date.now() + CODE_TTL_MS,
+    attempts: 0,
+  };
+}
+
+// Resolves to "ok", "expired" (or out of attempts) or "wrong".
+export async function checkCodeChallenge(challenge, code) {
+  if (
+    !challenge ||
+    challenge.expiresAt < Date.now() ||
+    challenge.attempts >= CODE_MAX_ATTEMPTS
+  ) {
+    return "expired";
+  }
+  return (await verifyPassword(code.trim(), challenge.codeHash))
+    ? "ok"
+    : "wrong";
+}
+
+export function isEmailVerified(user) {
+  return user?.emailVerified !== false;
+}
+
+// ----- login session (per device) -----
+
+export function saveLoginSession(userId, remember) {
+  const issuedAt = Date.now();
+  const session = {
+    userId,
+    remember,
+    issuedAt,
+    expiresAt: issuedAt + (remember ? REMEMBER_MS : SESSION_MS),
+  };
+  clearLoginSession();
+  // "Remember me" survives closing the browser; otherwise only this tab.
+  (remember ? localStorage : sessionStorage).setItem(
+    SESSION_KEY,
+    JSON.stringify(session)
+  );
+  return session;
+}
+
+export function loadLoginSession() {
+  for (const store of [sessionStorage, localStorage]) {
+    try {
+      const raw = store.getItem(SESSION_KEY);
+      if (!raw) continue;
+      const session = JSON.parse(raw);
+      if (session.expiresAt > Date.now()) return session;
+      store.removeItem(SESSION_KEY);
+    } catch {
+      store.removeItem(SESSION_KEY);
+    }
+  }
+  return null;
+}
+
+export function clearLoginSession() {
+  localStorage.removeItem(SESSION_KEY);
+  sessionStorage.removeItem(SESSION_KEY);
+}
+
+export function isSessionValid(session, user) {
+  if (!session || !user || user.isBlocked) return false;
+  return !user.passwordChangedAt || user.passwordChangedAt <= session.issuedAt;
+}
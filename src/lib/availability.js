@@ -0,0 +1,230 @@
+import { id } from "./id.js";
+import {
+  SESSION_STATUS,
+  pendingProposal,
+  sessionParticipants,
+} from "./scheduling.js";
+
+/** ---------- Availability (conceptual) ----------
+User.availability {
+  weekly: [{ id, day: 0-6 (Sun-Sat), start: "HH:mm", end: "HH:mm" }]
+  exceptions: [{ id, date: "YYYY-MM-DD", kind: "off" | "extra", start, end }]
+}
+All times are the mentor's local time; an end of "00:00" means midnight.
+An "off" exception removes the given hours (or the whole day when start
+and end are empty) from that date; an "extra" exception adds a window on
+that date only.
+Sessions are SESSION_MINUTES long and slots start every SLOT_STEP_MINUTES
+inside a window. A slot is open if it is in the future, inside a window
+and doesn't overlap any of the mentor's confirmed sessions (as mentor or
+mentee) or the slots still on offer in their pending proposals.
+----------------------------------------*/
+
+export const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+export const SESSION_MINUTES = 60;
+export const SLOT_STEP_MINUTES = 30;
+export const BOOKING_HORIZON_DAYS = 14;
+// Slots need at least this much notice.
+const MIN_LEAD_MINUTES = 60;
+
+const MINUTE_MS = 60 * 1000;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const TIME_PREFERENCES = ["Evenings", "Weekends", "Late night"];
+
+export function emptyAvailability() {
+  return { weekly: [], exceptions: [] };
+}
+
+export function availabilityOf(user) {
+  return { ...emptyAvailability(), ...(user?.availability || {}) };
+}
+
+export function hasAvailability(user) {
+  const { weekly, exceptions } = availabilityOf(user);
+  return weekly.length > 0 || exceptions.some((e) => e.kind === "extra");
+}
+
+export function createWindow(day, start, end) {
+  return { id: id(), day, start, end };
+}
+
+export function createException({ date, kind, start = "", end = "" }) {
+  return { id: id(), date, kind, start, end };
+}
+
+// Returns an error message, or null when the window is usable.
+export function validateWindow({ start, end }) {
+  if (!TIME.test(start) || !TIME.test(end)) return "Enter a start and end time.";
+  if (endMinutes(end) - toMinutes(start) < SESSION_MINUTES) {
+    return `Windows must be at least ${SESSION_MINUTES} minutes long.`;
+  }
+  return null;
+}
+
+export function validateException(exception) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(exception.date)) return "Pick a date.";
+  if (exception.kind === "off" && !exception.start && !exception.end) {
+    return null;
+  }
+  return validateWindow(exception);
+}
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+// A window ending at "00:00" runs to midnight.
+const endMinutes = (hhmm) => (hhmm === "00:00" ? 24 * 60 : toMinutes(hhmm));
+
+export function dateKey(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Minute ranges [start, end) that are available on one calendar date.
+function rangesOn(availability, date) {
+  const key = dateKey(date);
+  const exceptions = availability.exceptions.filter((e) => e.date === key);
+  let ranges = availability.weekly
+    .filter((w) => w.day === date.getDay())
+    .map((w) => [toMinutes(w.start), endMinutes(w.end)]);
+  for (const e of exceptions) {
+    if (e.kind === "extra") {
+      ranges.push([toMinutes(e.start), endMinutes(e.end)]);
+    }
+  }
+  for (const e of exceptions) {
+    if (e.kind !== "off") continue;
+    if (!e.start && !e.end) return [];
+    const [offStart, offEnd] = [toMinutes(e.start), endMinutes(e.end)];
+    ranges = ranges.flatMap(([s, t]) =>
+      [
+        [s, Math.min(t, offStart)],
+        [Math.max(s, offEnd), t],
+      ].filter(([a, b]) => b > a)
+    );
+  }
+  return ranges;
+}
+
+export function matchesTimePreference(slot, timePreference) {
+  const d = new Date(slot);
+  const hour = d.getHours();
+  switch (timePreference) {
+    case "Evenings":
+      return hour >= 17 && hour < 21;
+    case "Weekends":
+      return d.getDay() === 0 || d.getDay() === 6;
+    case "Late night":
+      return hour >= 21 || hour < 2;
+    default:
+      return true;
+  }
+}
+
+// Time ranges the user is already committed to, as [startMs, endMs, session].
+// confirmedOnly leaves out slots that are merely on offer.
+export function busyIntervals(
+  userId,
+  sessions,
+  { exceptSessionId, confirmedOnly = false } = {}
+) {
+  const length = SESSION_MINUTES * MINUTE_MS;
+  const busy = [];
+  for (const s of sessions) {
+    if (s.id === exceptSessionId) continue;
+    if (!sessionParticipants(s).includes(userId)) continue;
+    if (s.status === SESSION_STATUS.CONFIRMED && s.dateTime) {
+      const start = new Date(s.dateTime).getTime();
+      busy.push([start, start + length, s]);
+    }
+    // Slots offered to reschedule a confirmed session are held too.
+    const offering =
+      s.status === SESSION_STATUS.PROPOSED ||
+      s.status === SESSION_STATUS.CONFIRMED;
+    if (offering && !confirmedOnly) {
+      for (const slot of pendingProposal(s)?.slots || []) {
+        const start = new Date(slot).getTime();
+        busy.push([start, start + length, s]);
+      }
+    }
+  }
+  return busy;
+}
+
+// The session a slot would clash with, or null.
+export function conflictingSession(userId, slot, sessions, options) {
+  const start = new Date(slot).getTime();
+  const end = start + SESSION_MINUTES * MINUTE_MS;
+  const clash = busyIntervals(userId, sessions, options).find(
+    ([s, e]) => start < e && s < end
+  );
+  return clash ? clash[2] : null;
+}
+
+function isInsideWindow(availability, slot) {
+  const d = new Date(slot);
+  const minutes = d.getHours() * 60 + d.getMinutes();
+  return rangesOn(availability, d).some(
+    ([s, e]) => minutes >= s && minutes + SESSION_MINUTES <= e
+  );
+}
+
+export function isOpenSlot(mentor, slot, sessions, { now, exceptSessionId }) {
+  return (
+    new Date(slot).getTime() >= now + MIN_LEAD_MINUTES * MINUTE_MS &&
+    isInsideWindow(availabilityOf(mentor), slot) &&
+    !conflictingSession(mentor.id, slot, sessions, { exceptSessionId })
+  );
+}
+
+// ISO start times the mentor can be booked for, soonest first. alsoFreeFor
+// lists other people (e.g. the mentee) who must be free as well.
+export function openSlots(
+  mentor,
+  sessions,
+  {
+    now,
+    timePreference = "",
+    days = BOOKING_HORIZON_DAYS,
+    exceptSessionId,
+    alsoFreeFor = [],
+  } = {}
+) {
+  const availability = availabilityOf(mentor);
+  const earliest = now + MIN_LEAD_MINUTES * MINUTE_MS;
+  const slots = [];
+  const day = new Date(now);
+  day.setHours(0, 0, 0, 0);
+  for (let i = 0; i < days; i++, day.setDate(day.getDate() + 1)) {
+    for (const [start, end] of rangesOn(availability, day)) {
+      for (
+        let m = start;
+        m + SESSION_MINUTES <= end;
+        m += SLOT_STEP_MINUTES
+      ) {
+        const slot = new Date(day);
+        slot.setMinutes(m);
+        const t = slot.getTime();
+        if (t < earliest || !matchesTimePreference(slot, timePreference)) {
+          continue;
+        }
+        const clash = [mentor.id, ...alsoFreeFor].some((uid) =>
+          conflictingSession(uid, slot, sessions, { exceptSessionId })
+        );
+        if (clash) continue;
+        slots.push(slot.toISOString());
+      }
+    }
+  }
+  return [...new Set(slots)].sort();
+}
+
+export function upcomingExceptions(user, now) {
+  const today = dateKey(now);
+  return availabilityOf(user)
+    .exceptions.filter((e) => e.date >= today)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,154 @@
+import { SUBJECT_OPTIONS, YEAR_OPTIONS } from "./options.js";
+import { mentorRatingsOf } from "./reputation.js";
+import { SESSION_STATUS } from "./scheduling.js";
+
+/** ---------- Badges (conceptual) ----------
+Badge { id, name, icon, description, goal, progress(stats) → number }
+User.badges { [badgeId]: unlockedAt }
+A badge unlocks once progress reaches goal and is never taken back.
+----------------------------------------*/
+
+const SUBJECT_SESSIONS_GOAL = 10;
+const FIVE_STAR_STREAK_GOAL = 5;
+
+const subjectBadge = (subject) => ({
+  id: `subject-${subject.toLowerCase().replace(/\s+/g, "-")}`,
+  name: `${SUBJECT_SESSIONS_GOAL} ${subject} sessions`,
+  icon: "📚",
+  description: `Mentor ${SUBJECT_SESSIONS_GOAL} completed sessions on ${subject} queries.`,
+  goal: SUBJECT_SESSIONS_GOAL,
+  progress: (stats) => stats.bySubject[subject] || 0,
+  subject,
+});
+
+export const BADGES = [
+  {
+    id: "first-session",
+    name: "First Mentor Session",
+    icon: "🎓",
+    description: "Complete your first session as a mentor.",
+    goal: 1,
+    progress: (stats) => stats.completed,
+  },
+  {
+    id: "five-star-streak",
+    name: "5-star streak",
+    icon: "🌟",
+    description: `Receive ★ 5 on ${FIVE_STAR_STREAK_GOAL} mentoring sessions in a row.`,
+    goal: FIVE_STAR_STREAK_GOAL,
+    progress: (stats) => stats.bestFiveStarRun,
+  },
+  {
+    id: "all-years",
+    name: "Helped all four years",
+    icon: "🧭",
+    description: "Mentor students from every year of study.",
+    goal: YEAR_OPTIONS.length,
+    progress: (stats) => stats.yearsHelped,
+  },
+  {
+    id: "night-owl",
+    name: "Night Owl",
+    icon: "🦉",
+    description: "Complete a mentoring session between 10 PM and 5 AM.",
+    goal: 1,
+    progress: (stats) => stats.lateSessions,
+  },
+  {
+    id: "accepted-answer",
+    name: "Problem Solver",
+    icon: "✅",
+    description: "Have one of your answers accepted.",
+    goal: 1,
+    progress: (stats) => stats.acceptedAnswers,
+  },
+  ...SUBJECT_OPTIONS.map(subjectBadge),
+];
+
+export function badgeStats(userId, state) {
+  const usersById = new Map(state.users.map((u) => [u.id, u]));
+  const queriesById = new Map(state.queries.map((q) => [q.id, q]));
+  const completed = state.sessions
+    .filter(
+      (s) => s.mentorId === userId && s.status === SESSION_STATUS.COMPLETED
+    )
+    .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+
+  const bySubject = {};
+  const years = new Set();
+  let lateSessions = 0;
+  let run = 0;
+  let bestFiveStarRun = 0;
+  for (const s of completed) {
+    for (const tag of queriesById.get(s.queryId)?.subjectTags || []) {
+      bySubject[tag] = (bySubject[tag] || 0) + 1;
+    }
+    const year = usersById.get(s.menteeId)?.year;
+    if (year) years.add(year);
+    const hour = new Date(s.dateTime).getHours();
+    if (hour >= 22 || hour < 5) lateSessions += 1;
+    for (const { rating } of mentorRatingsOf(s)) {
+      run = rating === 5 ? run + 1 : 0;
+      bestFiveStarRun = Math.max(bestFiveStarRun, run);
+    }
+  }
+
+  const acceptedAnswers = state.queries.filter((q) => {
+    const answer =
+      q.acceptedAnswerId &&
+      state.comments.find((c) => c.id === q.acceptedAnswerId);
+    return answer && !answer.deleted && answer.authorId === userId;
+  }).length;
+
+  return {
+    completed: completed.length,
+    bySubject,
+    yearsHelped: years.size,
+    lateSessions,
+    bestFiveStarRun,
+    acceptedAnswers,
+  };
+}
+
+// Unlocks newly earned badges. Returns the updated users plus what was
+// unlocked, so the caller can notify.
+export function unlockBadges(state, now) {
+  const unlocked = [];
+  const users = state.users.map((u) => {
+    const owned = u.badges || {};
+    const stats = badgeStats(u.id, state);
+    const fresh = BADGES.filter(
+      (b) => !owned[b.id] && b.progress(stats) >= b.goal
+    );
+    if (fresh.length === 0) return u;
+    for (const badge of fresh) unlocked.push({ userId: u.id, badge });
+    return {
+      ...u,
+      badges: {
+        ...owned,
+        ...Object.fromEntries(fresh.map((b) => [b.id, now])),
+      },
+    };
+  });
+  return { users, unlocked };
+}
+
+// Showcase order: unlocked (newest first), then locked ones the user has
+// started on. Subject badges with no progress stay hidden.
+export function badgeShowcase(user, state) {
+  const owned = user.badges || {};
+  const stats = badgeStats(user.id, state);
+  const entries = BADGES.map((badge) => ({
+    badge,
+    unlockedAt: owned[badge.id] || null,
+    progress: Math.min(badge.progress(stats), badge.goal),
+  }));
+  return [
+    ...entries
+      .filter((e) => e.unlockedAt)
+      .sort((a, b) => b.unlockedAt - a.unlockedAt),
+    ...entries.filter(
+      (e) => !e.unlockedAt && (!e.badge.subject || e.progress > 0)
+    ),
+  ];
+}
@@ -0,0 +1,40 @@
+import { id } from "./id.js";
+import { isActiveSession } from "./scheduling.js";
+
+/** ---------- Session chat (conceptual) ----------
+Session.messages[] {
+  id, senderId, body, createdAt,
+  readBy: { [userId]: timestamp }   sender is marked as having read it
+}
+Chat is open while the session is Proposed or Confirmed and read-only after.
+----------------------------------------*/
+
+export const MAX_MESSAGE_LENGTH = 1000;
+
+export function createMessage(senderId, body) {
+  const createdAt = Date.now();
+  return {
+    id: id(),
+    senderId,
+    body,
+    createdAt,
+    readBy: { [senderId]: createdAt },
+  };
+}
+
+export function isChatLocked(session) {
+  return !isActiveSession(session);
+}
+
+export function unreadMessages(session, userId) {
+  return (session.messages || []).filter((m) => !m.readBy?.[userId]);
+}
+
+export function markMessagesRead(messages, userId, at = Date.now()) {
+  return messages.map((m) =>
+    m.readBy?.[userId] ? m : { ...m, readBy: { ...m.readBy, [userId]: at } }
+  );
+}
+
+// Dedupe key so a burst of messages raises a single unread notification.
+export const chatNotificationKey = (sessionId) => `chat:${sessionId}`;
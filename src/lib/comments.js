@@ -0,0 +1,65 @@
+import { id } from "./id.js";
+
+/** ---------- Comment (conceptual) ----------
+Comment {
+  id, queryId, authorId, parentId, kind: "comment" | "answer",
+  body, attachments[], createdAt, editedAt, deleted
+}
+body is Markdown (see markdown.js).
+Answers are top-level; comments may reply to any comment (parentId).
+Query.acceptedAnswerId points at the answer the asker accepted.
+----------------------------------------*/
+
+export const MAX_COMMENT_LENGTH = 2000;
+
+export function createComment({
+  queryId,
+  authorId,
+  parentId = null,
+  kind,
+  body,
+  attachments = [],
+}) {
+  return {
+    id: id(),
+    queryId,
+    authorId,
+    parentId,
+    kind,
+    body,
+    attachments,
+    createdAt: Date.now(),
+    editedAt: null,
+    deleted: false,
+  };
+}
+
+// Nests discussion comments under their parents, oldest first.
+export function buildThread(comments, queryId) {
+  const discussion = comments
+    .filter((c) => c.queryId === queryId && c.kind === "comment")
+    .sort((a, b) => a.createdAt - b.createdAt);
+  const byParent = new Map();
+  for (const c of discussion) {
+    const key = c.parentId || null;
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(c);
+  }
+  const attach = (parentId) =>
+    (byParent.get(parentId) || []).map((c) => ({
+      ...c,
+      replies: attach(c.id),
+    }));
+  return attach(null);
+}
+
+// Accepted answer first, then oldest first.
+export function answersFor(comments, query) {
+  return comments
+    .filter((c) => c.queryId === query.id && c.kind === "answer")
+    .sort((a, b) => {
+      if (a.id === query.acceptedAnswerId) return -1;
+      if (b.id === query.acceptedAnswerId) return 1;
+      return a.createdAt - b.createdAt;
+    });
+}
@@ -0,0 +1,13 @@
+// App-wide settings read from Vite env (.env.local); see README.
+
+import { parseDomains } from "./accounts.js";
+
+// Comma-separated, e.g. VITE_ALLOWED_EMAIL_DOMAINS=pccoepune.org,pccoer.in
+export const ALLOWED_EMAIL_DOMAINS = parseDomains(
+  import.meta.env.VITE_ALLOWED_EMAIL_DOMAINS
+).length
+  ? parseDomains(import.meta.env.VITE_ALLOWED_EMAIL_DOMAINS)
+  : ["pccoepune.org"];
+
+export const MAIL_TRANSPORT = import.meta.env.VITE_MAIL_TRANSPORT || "console";
+export const MAIL_ENDPOINT = import.meta.env.VITE_MAIL_ENDPOINT || "";
@@ -0,0 +1,64 @@
+import { yearIndex } from "./options.js";
+
+/** ---------- Eligibility (conceptual) ----------
+Issue { rule, message, blocking }
+checkEligibility(query, mentor, asker, { mode }) → { eligible, issues[] }
+Blocking issues stop a mentor from accepting (their own query, a
+preferredMentorType they don't meet). Non-blocking ones, like offering a
+different mode than the asker preferred, need the mentor to confirm an
+override.
+----------------------------------------*/
+
+export const MENTOR_TYPES = ["Any", "Senior", "Same year"];
+export const MODE_PREFERENCES = ["Either", "Online", "Offline"];
+
+export function meetsMentorType(preferredMentorType, mentor, asker) {
+  const mentorYear = yearIndex(mentor);
+  const askerYear = yearIndex(asker);
+  switch (preferredMentorType) {
+    case "Senior":
+      return mentorYear >= 0 && askerYear >= 0 && mentorYear > askerYear;
+    case "Same year":
+      return mentorYear >= 0 && mentorYear === askerYear;
+    default:
+      return true;
+  }
+}
+
+export function modeMatches(preferredMode, mode) {
+  return !preferredMode || preferredMode === "Either" || preferredMode === mode;
+}
+
+// `mode` is the mode the mentor is about to offer; leave it out to check
+// only the mentor themself (e.g. for the feed).
+export function checkEligibility(query, mentor, asker, { mode } = {}) {
+  const issues = [];
+  if (query.askerId === mentor.id) {
+    issues.push({
+      rule: "own-query",
+      message: "You cannot accept your own query.",
+      blocking: true,
+    });
+  }
+  if (!meetsMentorType(query.preferredMentorType, mentor, asker)) {
+    issues.push({
+      rule: "mentor-type",
+      message:
+        query.preferredMentorType === "Senior"
+          ? `Asked for a senior (after ${asker?.year || "the asker's year"}).`
+          : `Asked for a mentor in the same year (${asker?.year || "unknown"}).`,
+      blocking: true,
+    });
+  }
+  if (mode && !modeMatches(query.preferredMode, mode)) {
+    issues.push({
+      rule: "mode",
+      message: `Asker prefers ${query.preferredMode.toLowerCase()} sessions.`,
+      blocking: false,
+    });
+  }
+  return {
+    eligible: issues.every((i) => !i.blocking),
+    issues,
+  };
+}
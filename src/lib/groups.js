@@ -0,0 +1,79 @@
+import { QUERY_STATUS } from "./queries.js";
+import { isActiveSession } from "./scheduling.js";
+
+/** ---------- Group sessions (conceptual) ----------
+Query.joinerIds[]          classmates who +1'd the query, in join order
+Session.capacity           mentees the session takes, asker included
+                           (1 or missing = one-to-one)
+Session.groupMenteeIds[]   joiners who got a seat, in join order
+Session.attendance         { [menteeId]: boolean }, recorded by the mentor
+                           when closing out a group session
+Session.memberRatings      { [userId]: { rating, review, at } }, each
+                           joiner's own rating of the mentor
+The asker stays Session.menteeId: they agree the time and close the
+session out with the mentor, and everyone else takes the agreed time.
+Joiners are seated while the session is Proposed or Confirmed and has
+room; the rest wait on the query and move up when someone leaves.
+----------------------------------------*/
+
+export const MAX_GROUP_SIZE = 8;
+
+export function isGroupSession(session) {
+  return (session.capacity || 1) > 1;
+}
+
+export function menteesOf(session) {
+  return [session.menteeId, ...(session.groupMenteeIds || [])];
+}
+
+export function seatsLeft(session) {
+  return Math.max(0, (session.capacity || 1) - menteesOf(session).length);
+}
+
+// Returns an error message, or null when the user may +1 the query.
+export function joinError(query, user) {
+  if (query.askerId === user.id) return "This is your own query.";
+  if (
+    query.status !== QUERY_STATUS.OPEN &&
+    query.status !== QUERY_STATUS.IN_PROGRESS
+  ) {
+    return "This query is no longer taking new students.";
+  }
+  return null;
+}
+
+export function hasJoined(query, userId) {
+  return (query.joinerIds || []).includes(userId);
+}
+
+// Seats waiting joiners, in join order, while the session has room.
+export function seatJoiners(session, joinerIds) {
+  if (!isGroupSession(session) || !isActiveSession(session)) return session;
+  const seated = new Set(menteesOf(session));
+  const waiting = joinerIds.filter(
+    (uid) => !seated.has(uid) && uid !== session.mentorId
+  );
+  const added = waiting.slice(0, seatsLeft(session));
+  if (added.length === 0) return session;
+  return {
+    ...session,
+    groupMenteeIds: [...(session.groupMenteeIds || []), ...added],
+  };
+}
+
+export function unseat(session, userId) {
+  return {
+    ...session,
+    groupMenteeIds: (session.groupMenteeIds || []).filter(
+      (uid) => uid !== userId
+    ),
+  };
+}
+
+// Mentees the mentor marked present; everyone counts until attendance is
+// taken.
+export function attendees(session) {
+  return menteesOf(session).filter(
+    (uid) => session.attendance?.[uid] !== false
+  );
+}
@@ -0,0 +1,153 @@
+/** ---------- Syntax highlighting (conceptual) ----------
+highlight(code, lang) → Token[] { type, value }
+type: "keyword" | "string" | "comment" | "number" | "plain"
+A small regex tokenizer for the languages our doubts are usually in.
+Unknown languages come back as a single plain token.
+----------------------------------------*/
+
+const C_LIKE_KEYWORDS = [
+  "if", "else", "for", "while", "do", "switch", "case", "default", "break",
+  "continue", "return", "goto", "struct", "union", "enum", "typedef",
+  "const", "static", "void", "int", "long", "short", "char", "float",
+  "double", "bool", "unsigned", "signed", "sizeof", "true", "false", "NULL",
+];
+
+const LANGUAGES = {
+  c: {
+    keywords: [...C_LIKE_KEYWORDS, "include", "define", "extern", "volatile"],
+    lineComment: "//",
+  },
+  cpp: {
+    keywords: [
+      ...C_LIKE_KEYWORDS, "class", "public", "private", "protected",
+      "virtual", "template", "typename", "namespace", "using", "new",
+      "delete", "this", "auto", "nullptr", "include", "std", "vector",
+      "string", "throw", "try", "catch",
+    ],
+    lineComment: "//",
+  },
+  java: {
+    keywords: [
+      ...C_LIKE_KEYWORDS, "class", "interface", "extends", "implements",
+      "public", "private", "protected", "final", "abstract", "new", "this",
+      "super", "null", "import", "package", "throw", "throws", "try",
+      "catch", "finally", "boolean", "String",
+    ],
+    lineComment: "//",
+  },
+  js: {
+    keywords: [
+      "if", "else", "for", "while", "do", "switch", "case", "default",
+      "break", "continue", "return", "function", "const", "let", "var",
+      "class", "extends", "new", "this", "null", "undefined", "true",
+      "false", "import", "export", "from", "async", "await", "try",
+      "catch", "finally", "throw", "typeof", "of", "in",
+    ],
+    lineComment: "//",
+  },
+  python: {
+    keywords: [
+      "def", "class", "return", "if", "elif", "else", "for", "while", "in",
+      "not", "and", "or", "is", "None", "True", "False", "import", "from",
+      "as", "with", "try", "except", "finally", "raise", "lambda", "yield",
+      "pass", "break", "continue", "global", "self",
+    ],
+    lineComment: "#",
+    blockComments: false,
+  },
+  sql: {
+    keywords: [
+      "select", "from", "where", "insert", "into", "values", "update",
+      "set", "delete", "create", "table", "drop", "alter", "primary", "key",
+      "foreign", "references", "join", "inner", "left", "right", "outer",
+      "on", "group", "by", "order", "having", "as", "and", "or", "not",
+      "null", "distinct", "count", "sum", "avg", "min", "max", "in",
+      "exists", "union", "limit", "int", "varchar", "char", "date",
+    ],
+    lineComment: "--",
+    caseInsensitive: true,
+  },
+};
+
+const ALIASES = {
+  "c++": "cpp",
+  cc: "cpp",
+  h: "c",
+  javascript: "js",
+  jsx: "js",
+  ts: "js",
+  typescript: "js",
+  py: "python",
+  mysql: "sql",
+  postgres: "sql",
+  plsql: "sql",
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const tokenizers = new Map();
+
+function tokenizerFor(lang) {
+  if (tokenizers.has(lang)) return tokenizers.get(lang);
+  const spec = LANGUAGES[lang];
+  const parts = [
+    `${escapeRegExp(spec.lineComment)}[^\\n]*`,
+    spec.blockComments === false ? null : "\\/\\*[\\s\\S]*?(?:\\*\\/|$)",
+  ].filter(Boolean);
+  const pattern = new RegExp(
+    [
+      `(${parts.join("|")})`, // 1 comment
+      `("(?:[^"\\\\\\n]|\\\\.)*"?|'(?:[^'\\\\\\n]|\\\\.)*'?|\`(?:[^\`\\\\]|\\\\.)*\`?)`, // 2 string
+      "(\\b\\d+(?:\\.\\d+)?\\b)", // 3 number
+      "([A-Za-z_][\\w]*)", // 4 word
+    ].join("|"),
+    "g"
+  );
+  const keywords = new Set(
+    spec.caseInsensitive
+      ? spec.keywords.map((k) => k.toLowerCase())
+      : spec.keywords
+  );
+  const tokenizer = {
+    pattern,
+    keywords,
+    caseInsensitive: !!spec.caseInsensitive,
+  };
+  tokenizers.set(lang, tokenizer);
+  return tokenizer;
+}
+
+export function languageOf(lang) {
+  const key = (lang || "").toLowerCase();
+  const name = ALIASES[key] || key;
+  return LANGUAGES[name] ? name : null;
+}
+
+export function highlight(code, lang) {
+  const name = languageOf(lang);
+  if (!name) return [{ type: "plain", value: code }];
+  const { pattern, keywords, caseInsensitive } = tokenizerFor(name);
+
+  const tokens = [];
+  const push = (type, value) => {
+    if (!value) return;
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) last.value += value;
+    else tokens.push({ type, value });
+  };
+
+  let cursor = 0;
+  for (const m of code.matchAll(pattern)) {
+    push("plain", code.slice(cursor, m.index));
+    cursor = m.index + m[0].length;
+    if (m[1] !== undefined) push("comment", m[0]);
+    else if (m[2] !== undefined) push("string", m[0]);
+    else if (m[3] !== undefined) push("number", m[0]);
+    else {
+      const word = caseInsensitive ? m[0].toLowerCase() : m[0];
+      push(keywords.has(word) ? "keyword" : "plain", m[0]);
+    }
+  }
+  push("plain", code.slice(cursor));
+  return tokens;
+}
@@ -0,0 +1,149 @@
+import { SESSION_MINUTES } from "./availability.js";
+import { SESSION_STATUS, sessionParticipants } from "./scheduling.js";
+
+/** ---------- iCalendar (conceptual) ----------
+RFC 5545 VCALENDAR text for sessions, downloaded as .ics files (one
+session, or all of a user's) and imported into a calendar app.
+  UID       session-<id>@queryup — stable, so calendar apps update the
+            same event when a session is rescheduled or cancelled
+  SEQUENCE  bumps on every reschedule and on cancellation
+  STATUS    CONFIRMED, or CANCELLED once the session is cancelled
+Times are written in UTC ("…Z"), which every client converts to the
+viewer's own time zone, so no VTIMEZONE definitions are needed.
+Only sessions that were given a time appear; proposals without an agreed
+slot are left out.
+----------------------------------------*/
+
+// Recent sessions stay in the export so re-importing doesn't lose them.
+const HISTORY_DAYS = 30;
+
+const PRODID = "-//QueryUP//Mentoring sessions//EN";
+
+export function formatUtc(date) {
+  return new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+// TEXT values: backslash, semicolon, comma and newlines are escaped.
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded with CRLF + space, never inside
+// a multi-byte UTF-8 character.
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+export function sessionUid(session) {
+  return `session-${session.id}@queryup`;
+}
+
+// Each accepted proposal after the first is a reschedule.
+export function sessionSequence(session) {
+  const accepted = (session.proposals || []).filter(
+    (p) => p.status === "Accepted"
+  ).length;
+  return (
+    Math.max(0, accepted - 1) +
+    (session.status === SESSION_STATUS.CANCELLED ? 1 : 0)
+  );
+}
+
+function sessionEvent(session, state, now) {
+  const query = state.queries.find((q) => q.id === session.queryId);
+  const nameOf = (userId) =>
+    state.users.find((u) => u.id === userId)?.name || "Unknown";
+  const start = new Date(session.dateTime);
+  const end = new Date(start.getTime() + SESSION_MINUTES * 60 * 1000);
+  const link = /^https?:\/\//i.test(session.locationOrLink || "")
+    ? session.locationOrLink
+    : null;
+  const description = [
+    `Mentor: ${nameOf(session.mentorId)}`,
+    `Mentee: ${nameOf(session.menteeId)}`,
+    `Mode: ${session.mode}`,
+    session.locationOrLink &&
+      `${session.mode === "Offline" ? "Place" : "Link"}: ${session.locationOrLink}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${sessionUid(session)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${sessionSequence(session)}`,
+    `STATUS:${session.status === SESSION_STATUS.CANCELLED ? "CANCELLED" : "CONFIRMED"}`,
+    `SUMMARY:${escapeText(`QueryUP: ${query?.title || "Mentoring session"}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    session.locationOrLink &&
+      `LOCATION:${escapeText(session.locationOrLink)}`,
+    link && `URL:${link}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+function buildCalendar(events, { name } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+export function hasCalendarTime(session) {
+  return Boolean(session.dateTime) && session.status !== SESSION_STATUS.PROPOSED;
+}
+
+export function sessionIcs(session, state, now) {
+  return buildCalendar([sessionEvent(session, state, now)]);
+}
+
+// Everything on the user's calendar from HISTORY_DAYS ago onwards,
+// cancellations included so re-importing removes them.
+export function userCalendar(userId, state, now) {
+  const since = now - HISTORY_DAYS * 24 * 60 * 60 * 1000;
+  const sessions = state.sessions.filter(
+    (s) =>
+      hasCalendarTime(s) &&
+      sessionParticipants(s).includes(userId) &&
+      new Date(s.dateTime).getTime() >= since
+  );
+  return buildCalendar(
+    sessions
+      .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
+      .map((s) => sessionEvent(s, state, now)),
+    { name: "QueryUP sessions" }
+  );
+}
@@ -0,0 +1,2 @@
+// Generate simple IDs
+export const id = () => Math.random().toString(36).slice(2);
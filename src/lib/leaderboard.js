@@ -0,0 +1,101 @@
+import { mentorRatingsOf } from "./reputation.js";
+import { SESSION_STATUS } from "./scheduling.js";
+
+/** ---------- Leaderboard (conceptual) ----------
+Row { rank, user, xp, sessions, ratingAvg, ratingCount }
+XP is summed from the XP ledger by when each award's session took place;
+a subject board only counts awards tied to queries with that tag. Only
+users with at least one completed mentoring session in the window (and
+subject) are ranked.
+----------------------------------------*/
+
+export const LEADERBOARD_WINDOWS = {
+  week: "This week",
+  month: "This month",
+  semester: "This semester",
+  all: "All time",
+};
+
+// Weeks start on Monday; semesters run January–June and July–December.
+export function windowStart(window, now) {
+  const d = new Date(now);
+  switch (window) {
+    case "week": {
+      const daysSinceMonday = (d.getDay() + 6) % 7;
+      return new Date(
+        d.getFullYear(),
+        d.getMonth(),
+        d.getDate() - daysSinceMonday
+      ).getTime();
+    }
+    case "month":
+      return new Date(d.getFullYear(), d.getMonth(), 1).getTime();
+    case "semester":
+      return new Date(d.getFullYear(), d.getMonth() < 6 ? 0 : 6, 1).getTime();
+    default:
+      return -Infinity;
+  }
+}
+
+export function buildLeaderboard(
+  state,
+  { window = "all", subject = "", year = "", branch = "", now }
+) {
+  const from = windowStart(window, now);
+  const queriesById = new Map(state.queries.map((q) => [q.id, q]));
+  const sessionsById = new Map(state.sessions.map((s) => [s.id, s]));
+  const counts = (queryId, at) =>
+    at != null &&
+    at >= from &&
+    (!subject || !!queriesById.get(queryId)?.subjectTags.includes(subject));
+
+  const stats = new Map();
+  const statsFor = (userId) => {
+    if (!stats.has(userId)) {
+      stats.set(userId, { xp: 0, sessions: 0, ratingSum: 0, ratingCount: 0 });
+    }
+    return stats.get(userId);
+  };
+
+  for (const s of state.sessions) {
+    if (s.status !== SESSION_STATUS.COMPLETED) continue;
+    if (!counts(s.queryId, new Date(s.dateTime).getTime())) continue;
+    const entry = statsFor(s.mentorId);
+    entry.sessions += 1;
+    for (const { rating } of mentorRatingsOf(s)) {
+      entry.ratingSum += rating;
+      entry.ratingCount += 1;
+    }
+  }
+
+  for (const a of state.xpLedger) {
+    // Older awards may predate queryId/occurredAt.
+    const queryId = a.queryId ?? sessionsById.get(a.sourceId)?.queryId;
+    if (!counts(queryId, a.occurredAt ?? a.createdAt)) continue;
+    statsFor(a.userId).xp += a.points;
+  }
+
+  return state.users
+    .filter((u) => {
+      if (year && u.year !== year) return false;
+      if (branch && u.branch !== branch) return false;
+      return (stats.get(u.id)?.sessions || 0) > 0;
+    })
+    .map((u) => {
+      const { xp, sessions, ratingSum, ratingCount } = stats.get(u.id);
+      return {
+        user: u,
+        xp,
+        sessions,
+        ratingCount,
+        ratingAvg: ratingCount ? ratingSum / ratingCount : 0,
+      };
+    })
+    .sort((a, b) => {
+      if (b.xp !== a.xp) return b.xp - a.xp;
+      if (b.ratingAvg !== a.ratingAvg) return b.ratingAvg - a.ratingAvg;
+      if (b.sessions !== a.sessions) return b.sessions - a.sessions;
+      return a.user.id.localeCompare(b.user.id);
+    })
+    .map((row, i) => ({ ...row, rank: i + 1 }));
+}
@@ -0,0 +1,57 @@
+import { MAIL_ENDPOINT, MAIL_TRANSPORT } from "./config.js";
+
+/** ---------- Mail transports (conceptual) ----------
+Transport { name, send({ to, subject, text }) → Promise }
+  console  writes the message to the browser console (local development)
+  http     POSTs the message as JSON to VITE_MAIL_ENDPOINT, e.g. a
+           serverless function that relays it through SMTP or an email API
+----------------------------------------*/
+
+export function createConsoleTransport() {
+  return {
+    name: "console",
+    async send({ to, subject, text }) {
+      console.info(`[mail] To: ${to}\nSubject: ${subject}\n\n${text}`);
+    },
+  };
+}
+
+export function createHttpTransport({
+  endpoint,
+  fetch: fetchImpl = globalThis.fetch.bind(globalThis),
+}) {
+  if (!endpoint) {
+    throw new Error("VITE_MAIL_ENDPOINT must be set to use the http mail transport.");
+  }
+  return {
+    name: "http",
+    async send(message) {
+      const res = await fetchImpl(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(message),
+      });
+      if (!res.ok) {
+        throw new Error(`Mail endpoint answered ${res.status}.`);
+      }
+    },
+  };
+}
+
+let transport =
+  MAIL_TRANSPORT === "http"
+    ? createHttpTransport({ endpoint: MAIL_ENDPOINT })
+    : createConsoleTransport();
+
+// Swap the transport at runtime (e.g. from a test or a custom entry point).
+export function setMailTransport(next) {
+  transport = next;
+}
+
+export function getMailTransport() {
+  return transport;
+}
+
+export async function sendMail(message) {
+  return transport.send(message);
+}
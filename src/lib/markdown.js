@@ -0,0 +1,248 @@
+import { safeNext } from "./router.js";
+
+/** ---------- Markdown (conceptual) ----------
+parseMarkdown(text) → Block[]; the UI turns these into React elements, so
+raw HTML in the source is never interpreted, only shown as text.
+Block:
+  { type: "paragraph" | "heading", level?, children: Inline[] }
+  { type: "code", lang, text }
+  { type: "list", ordered, start, items: Inline[][] }
+  { type: "quote", children: Block[] }
+  { type: "hr" }
+Inline:
+  { type: "text" | "code", value }
+  { type: "strong" | "em" | "del", children: Inline[] }
+  { type: "link", href, children: Inline[] }
+  { type: "image", src, alt }
+  { type: "br" }
+Links and images whose URL fails safeUrl() are rendered as plain text.
+Bare URLs are linked automatically, except inside link text.
+----------------------------------------*/
+
+// http(s), mailto and same-site paths for links; images additionally allow
+// inline raster data URLs (never SVG, which can carry script). Paths are
+// checked like ?next= redirects, so "/\host" can't leave the site.
+export function safeUrl(url, { image = false } = {}) {
+  const value = (url || "").trim();
+  if (/^https?:\/\//i.test(value)) return value;
+  if (!image && /^mailto:/i.test(value)) return value;
+  if (!image && value.startsWith("/")) return safeNext(value);
+  if (image && /^data:image\/(png|jpeg|gif|webp);base64,/i.test(value)) {
+    return value;
+  }
+  return null;
+}
+
+const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?/;
+const LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+const startsBlock = (line) =>
+  FENCE.test(line) ||
+  HEADING.test(line) ||
+  HR.test(line) ||
+  QUOTE.test(line) ||
+  LIST_ITEM.test(line);
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        body.push(lines[i]);
+        i += 1;
+      }
+      i += 1; // closing fence (or end of text)
+      blocks.push({
+        type: "code",
+        lang: fence[2].toLowerCase(),
+        text: body.join("\n"),
+      });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        children: parseInline(heading[2]),
+      });
+      i += 1;
+      continue;
+    }
+
+    if (HR.test(line)) {
+      blocks.push({ type: "hr" });
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        body.push(lines[i].replace(QUOTE, ""));
+        i += 1;
+      }
+      blocks.push({ type: "quote", children: parseBlocks(body) });
+      continue;
+    }
+
+    const first = line.match(LIST_ITEM);
+    if (first) {
+      const ordered = /\d/.test(first[1]);
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(LIST_ITEM);
+        if (item && /\d/.test(item[1]) === ordered) {
+          items.push([item[2]]);
+        } else if (
+          items.length > 0 &&
+          lines[i].trim() &&
+          /^\s/.test(lines[i]) &&
+          !startsBlock(lines[i])
+        ) {
+          items[items.length - 1].push(lines[i].trim());
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      blocks.push({
+        type: "list",
+        ordered,
+        start: ordered ? parseInt(first[1], 10) : 1,
+        items: items.map((parts) => parseInline(parts.join("\n"))),
+      });
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+      para.push(lines[i]);
+      i += 1;
+    }
+    blocks.push({ type: "paragraph", children: parseInline(para.join("\n")) });
+  }
+  return blocks;
+}
+
+const INLINE = new RegExp(
+  [
+    "`([^`\\n]+)`", // 1 code
+    "!\\[([^\\]]*)\\]\\(([^)\\s]+)\\)", // 2,3 image
+    "\\[([^\\]]+)\\]\\(([^)\\s]+)\\)", // 4,5 link
+    "\\*\\*(.+?)\\*\\*", // 6 strong
+    "(?<![\\w])__(.+?)__(?![\\w])", // 7 strong
+    "~~(.+?)~~", // 8 del
+    "\\*([^*\\s](?:.*?[^*\\s])?)\\*", // 9 em
+    "(?<![\\w])_([^_\\s](?:.*?[^_\\s])?)_(?![\\w])", // 10 em
+    "(https?:\\/\\/[^\\s<]*[^\\s<.,:;\"')\\]])", // 11 bare URL
+    "(\\n)", // 12 line break
+  ].join("|"),
+  "g"
+);
+
+export function parseInline(text, { inLink = false } = {}) {
+  const inline = (value) => parseInline(value, { inLink });
+  const nodes = [];
+  const pushText = (value) => {
+    if (!value) return;
+    const last = nodes[nodes.length - 1];
+    if (last?.type === "text") last.value += value;
+    else nodes.push({ type: "text", value });
+  };
+
+  let cursor = 0;
+  for (const m of text.matchAll(INLINE)) {
+    pushText(text.slice(cursor, m.index));
+    cursor = m.index + m[0].length;
+    if (m[1] !== undefined) {
+      nodes.push({ type: "code", value: m[1] });
+    } else if (m[3] !== undefined) {
+      const src = safeUrl(m[3], { image: true });
+      if (src) nodes.push({ type: "image", src, alt: m[2] });
+      else pushText(m[0]);
+    } else if (m[5] !== undefined) {
+      const href = safeUrl(m[5]);
+      if (href) {
+        nodes.push({
+          type: "link",
+          href,
+          children: parseInline(m[4], { inLink: true }),
+        });
+      } else {
+        pushText(m[0]);
+      }
+    } else if (m[6] !== undefined || m[7] !== undefined) {
+      nodes.push({ type: "strong", children: inline(m[6] ?? m[7]) });
+    } else if (m[8] !== undefined) {
+      nodes.push({ type: "del", children: inline(m[8]) });
+    } else if (m[9] !== undefined || m[10] !== undefined) {
+      nodes.push({ type: "em", children: inline(m[9] ?? m[10]) });
+    } else if (m[11] !== undefined && inLink) {
+      pushText(m[11]);
+    } else if (m[11] !== undefined) {
+      nodes.push({
+        type: "link",
+        href: m[11],
+        children: [{ type: "text", value: m[11] }],
+      });
+    } else {
+      nodes.push({ type: "br" });
+    }
+  }
+  pushText(text.slice(cursor));
+  return nodes;
+}
+
+export function parseMarkdown(text) {
+  return parseBlocks((text || "").replace(/\r\n?/g, "\n").split("\n"));
+}
+
+// Plain-text version for previews and search.
+export function markdownToText(text) {
+  const inlineText = (nodes) =>
+    nodes
+      .map((n) =>
+        n.type === "br"
+          ? " "
+          : n.type === "image"
+            ? n.alt
+            : n.children
+              ? inlineText(n.children)
+              : n.value
+      )
+      .join("");
+  const blockText = (blocks) =>
+    blocks
+      .map((b) => {
+        switch (b.type) {
+          case "code":
+            return b.text;
+          case "list":
+            return b.items.map(inlineText).join(" ");
+          case "quote":
+            return blockText(b.children);
+          case "hr":
+            return "";
+          default:
+            return inlineText(b.children);
+        }
+      })
+      .filter(Boolean)
+      .join(" ");
+  return blockText(parseMarkdown(text));
+}
@@ -0,0 +1,179 @@
+import { id } from "./id.js";
+import { sessionParticipants } from "./scheduling.js";
+
+/** ---------- Moderation (conceptual) ----------
+Report {
+  id, targetType: "query" | "comment" | "session" | "user", targetId,
+  reporterId, subjectUserId, reason, details,
+  status: "Open" | "Actioned" | "Dismissed", createdAt,
+  resolvedAt, resolvedBy, action
+}
+subjectUserId is whoever is responsible for the target: the asker, the
+comment author, the other participant of a session, or the user reported.
+Open reports on the same target are decided together; one decision
+resolves all of them.
+  dismiss  no action
+  warn     notify the subject user
+  hide     set `hidden: true` on the query or comment
+  block    block the subject user
+AuditEntry {
+  id, actorId, action, targetType, targetId, subjectUserId,
+  reportIds[], note, createdAt
+}
+Every moderation decision (including blocks from the user table,
+un-hiding, no-show follow-ups and session disputes) is appended to state.auditLog and never edited.
+----------------------------------------*/
+
+export const REPORT_TARGET_LABELS = {
+  query: "query",
+  comment: "comment",
+  session: "session",
+  user: "profile",
+};
+
+export const REPORT_REASONS = [
+  "Spam or advertising",
+  "Harassment or abuse",
+  "Inappropriate content",
+  "Academic dishonesty",
+  "No-show or unsafe behaviour",
+  "Other",
+];
+
+export const MAX_REPORT_DETAILS = 500;
+
+export const REPORT_STATUS = {
+  OPEN: "Open",
+  ACTIONED: "Actioned",
+  DISMISSED: "Dismissed",
+};
+
+export const AUDIT_ACTION_LABELS = {
+  dismiss: "Dismissed reports",
+  warn: "Warned user",
+  hide: "Hid content",
+  unhide: "Restored content",
+  block: "Blocked user",
+  unblock: "Unblocked user",
+  followUp: "Followed up on session",
+  resolveDispute: "Resolved session dispute",
+};
+
+// Decisions offered in the queue for each kind of target.
+export function actionsFor(targetType) {
+  return targetType === "query" || targetType === "comment"
+    ? ["dismiss", "warn", "hide", "block"]
+    : ["dismiss", "warn", "block"];
+}
+
+export function findTarget(state, targetType, targetId) {
+  const collection = {
+    query: state.queries,
+    comment: state.comments,
+    session: state.sessions,
+    user: state.users,
+  }[targetType];
+  return collection?.find((item) => item.id === targetId) || null;
+}
+
+export function responsibleUserId(targetType, target, reporterId) {
+  switch (targetType) {
+    case "query":
+      return target.askerId;
+    case "comment":
+      return target.authorId;
+    case "session":
+      return (
+        sessionParticipants(target).find((uid) => uid !== reporterId) || null
+      );
+    case "user":
+      return target.id;
+    default:
+      return null;
+  }
+}
+
+export function createReport({
+  targetType,
+  targetId,
+  reporterId,
+  subjectUserId,
+  reason,
+  details = "",
+}) {
+  return {
+    id: id(),
+    targetType,
+    targetId,
+    reporterId,
+    subjectUserId,
+    reason,
+    details,
+    status: REPORT_STATUS.OPEN,
+    createdAt: Date.now(),
+    resolvedAt: null,
+    resolvedBy: null,
+    action: null,
+  };
+}
+
+export function hasOpenReport(reports, { targetType, targetId, reporterId }) {
+  return reports.some(
+    (r) =>
+      r.status === REPORT_STATUS.OPEN &&
+      r.targetType === targetType &&
+      r.targetId === targetId &&
+      (!reporterId || r.reporterId === reporterId)
+  );
+}
+
+// Open reports grouped by target: most-reported first, then oldest.
+export function moderationQueue(reports) {
+  const groups = new Map();
+  for (const r of reports) {
+    if (r.status !== REPORT_STATUS.OPEN) continue;
+    const key = `${r.targetType}:${r.targetId}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        targetType: r.targetType,
+        targetId: r.targetId,
+        subjectUserId: r.subjectUserId,
+        reports: [],
+      });
+    }
+    groups.get(key).reports.push(r);
+  }
+  const firstAt = (g) => Math.min(...g.reports.map((r) => r.createdAt));
+  return [...groups.values()].sort(
+    (a, b) => b.reports.length - a.reports.length || firstAt(a) - firstAt(b)
+  );
+}
+
+export function createAuditEntry({
+  actorId,
+  action,
+  targetType,
+  targetId,
+  subjectUserId = null,
+  reportIds = [],
+  note = "",
+}) {
+  return {
+    id: id(),
+    actorId,
+    action,
+    targetType,
+    targetId,
+    subjectUserId,
+    reportIds,
+    note,
+    createdAt: Date.now(),
+  };
+}
+
+export function warningCount(auditLog, userId) {
+  return auditLog.filter(
+    (e) => e.action === "warn" && e.subjectUserId === userId
+  ).length;
+}
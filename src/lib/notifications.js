@@ -0,0 +1,51 @@
+import { id } from "./id.js";
+
+/** ---------- Notification (conceptual) ----------
+Notification {
+  id, userId, type, message, link, key, read, createdAt
+}
+link is the path the notification opens when clicked; key optionally groups
+notifications about the same thing (e.g. one session's chat).
+Notices that every open client derives on its own (scheduler reminders,
+badge unlocks) pass a `factId`, so the id is the same everywhere and the
+copies merge into one.
+----------------------------------------*/
+
+export const NOTIFICATION_ICONS = {
+  query: "📨",
+  session: "📅",
+  rating: "★",
+  badge: "🏅",
+  chat: "💬",
+  admin: "🛡",
+  info: "•",
+};
+
+export function createNotification(
+  userId,
+  message,
+  { type = "info", link = null, key = null, factId = null } = {}
+) {
+  return {
+    id: factId ? `${factId}:${userId}` : id(),
+    userId,
+    type,
+    message,
+    link,
+    key,
+    read: false,
+    createdAt: Date.now(),
+  };
+}
+
+export function notificationsFor(notifications, userId) {
+  return notifications
+    .filter((n) => n.userId === userId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function hasUnread(notifications, userId, key) {
+  return notifications.some(
+    (n) => n.userId === userId && n.key === key && !n.read
+  );
+}
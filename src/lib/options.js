@@ -0,0 +1,19 @@
+// Choices offered in profile and query forms.
+
+export const SUBJECT_OPTIONS = [
+  "DSA",
+  "DBMS",
+  "OS",
+  "CN",
+  "OOP",
+  "Maths",
+  "AI",
+  "ML",
+  "Cyber Security",
+];
+
+export const YEAR_OPTIONS = ["1st Year", "2nd Year", "3rd Year", "4th Year"];
+export const BRANCH_OPTIONS = ["IT", "CS", "ENTC", "Mechanical", "Civil", "Other"];
+
+// Position of the user's year in YEAR_OPTIONS, -1 when unset.
+export const yearIndex = (user) => YEAR_OPTIONS.indexOf(user?.year);
@@ -0,0 +1,107 @@
+import { menteesOf } from "./groups.js";
+import { mentorRatingsOf } from "./reputation.js";
+import { SESSION_STATUS } from "./scheduling.js";
+
+/** ---------- Profile privacy (conceptual) ----------
+User.privacy {
+  showMentorHistory   sessions you mentored appear on your public profile
+  showMenteeHistory   sessions where you were helped appear on it
+}
+You and admins always see your full history. When a mentee hides their
+history, their name is withheld from the mentor's list as well.
+----------------------------------------*/
+
+export const DEFAULT_PRIVACY = {
+  showMentorHistory: true,
+  showMenteeHistory: false,
+};
+
+export function privacyOf(user) {
+  return { ...DEFAULT_PRIVACY, ...(user?.privacy || {}) };
+}
+
+const canSeeEverything = (viewer, user) =>
+  viewer?.id === user.id || viewer?.role === "admin";
+
+// Completed sessions the viewer may see, newest first. Each entry says
+// whether the counterpart's name may be shown.
+export function visibleSessionHistory(viewer, user, state) {
+  const full = canSeeEverything(viewer, user);
+  const privacy = privacyOf(user);
+  const usersById = new Map(state.users.map((u) => [u.id, u]));
+  const completed = state.sessions
+    .filter((s) => s.status === SESSION_STATUS.COMPLETED)
+    .sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
+
+  const entry = (s, otherId, otherHidesHistory) => ({
+    session: s,
+    query: state.queries.find((q) => q.id === s.queryId) || null,
+    other:
+      full || !otherHidesHistory || viewer?.id === otherId
+        ? usersById.get(otherId) || null
+        : null,
+  });
+
+  return {
+    asMentor:
+      full || privacy.showMentorHistory
+        ? completed
+            .filter((s) => s.mentorId === user.id)
+            .map((s) =>
+              entry(
+                s,
+                s.menteeId,
+                !privacyOf(usersById.get(s.menteeId)).showMenteeHistory
+              )
+            )
+        : null,
+    asMentee:
+      full || privacy.showMenteeHistory
+        ? completed
+            .filter((s) => menteesOf(s).includes(user.id))
+            .map((s) => entry(s, s.mentorId, false))
+        : null,
+  };
+}
+
+// Ratings and written reviews this user received, as mentor and as
+// mentee, newest first.
+// Mentees who hide their history are not named as reviewers.
+export function reviewsReceived(viewer, user, state) {
+  const full = canSeeEverything(viewer, user);
+  const usersById = new Map(state.users.map((u) => [u.id, u]));
+  const menteeShown = (menteeId) =>
+    full ||
+    viewer?.id === menteeId ||
+    privacyOf(usersById.get(menteeId)).showMenteeHistory;
+  const reviews = [];
+  for (const s of state.sessions) {
+    if (s.status !== SESSION_STATUS.COMPLETED) continue;
+    const query = state.queries.find((q) => q.id === s.queryId) || null;
+    if (s.mentorId === user.id) {
+      for (const { userId, rating, review } of mentorRatingsOf(s)) {
+        reviews.push({
+          session: s,
+          query,
+          role: "mentor",
+          rating,
+          review,
+          from: menteeShown(userId) ? usersById.get(userId) || null : null,
+        });
+      }
+    }
+    if (s.menteeId === user.id && typeof s.ratingForMentee === "number") {
+      reviews.push({
+        session: s,
+        query,
+        role: "mentee",
+        rating: s.ratingForMentee,
+        review: s.reviewForMentee || null,
+        from: usersById.get(s.mentorId) || null,
+      });
+    }
+  }
+  return reviews.sort(
+    (a, b) => new Date(b.session.dateTime) - new Date(a.session.dateTime)
+  );
+}
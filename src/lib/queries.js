@@ -0,0 +1,65 @@
+/** ---------- Query lifecycle (conceptual) ----------
+  Open → In Progress        a mentor sends a session proposal
+  In Progress → Open        session declined, cancelled or a no-show
+  In Progress → Resolved    session completed
+  Open → Resolved           asker accepts a quick text answer
+  Open → Closed | Withdrawn asker closes (with a reason) or withdraws
+  Resolved | Closed | Withdrawn → Open   asker reopens
+Every change is appended to query.history as { status, at, by, reason }.
+----------------------------------------*/
+
+// Descriptions are Markdown; code-heavy doubts need the room.
+export const MAX_DESCRIPTION_LENGTH = 5000;
+
+export const QUERY_STATUS = {
+  OPEN: "Open",
+  IN_PROGRESS: "In Progress",
+  RESOLVED: "Resolved",
+  CLOSED: "Closed",
+  WITHDRAWN: "Withdrawn",
+};
+
+const TRANSITIONS = {
+  Open: ["In Progress", "Resolved", "Closed", "Withdrawn"],
+  "In Progress": ["Open", "Resolved"],
+  Resolved: ["Open"],
+  Closed: ["Open"],
+  Withdrawn: ["Open"],
+};
+
+export const CLOSE_REASONS = [
+  "Solved it myself",
+  "Got help outside QueryUP",
+  "No longer relevant",
+  "Other",
+];
+
+export function canTransitionQuery(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Returns the query moved to `status`, or the same object if the move is not allowed.
+export function transitionQuery(query, status, { by = null, reason = "" } = {}) {
+  if (!canTransitionQuery(query.status, status)) return query;
+  return {
+    ...query,
+    status,
+    closeReason: status === QUERY_STATUS.CLOSED ? reason : null,
+    history: [
+      ...(query.history || []),
+      { status, at: Date.now(), by, reason },
+    ],
+  };
+}
+
+export function isEditable(query) {
+  return query.status === QUERY_STATUS.OPEN;
+}
+
+export const QUERY_STATUS_STYLES = {
+  Open: "bg-emerald-500/20 text-emerald-300",
+  "In Progress": "bg-sky-500/20 text-sky-300",
+  Resolved: "bg-primary/20 text-primary",
+  Closed: "bg-slate-700 text-slate-300",
+  Withdrawn: "bg-slate-700 text-slate-400",
+};
@@ -0,0 +1,108 @@
+import { isEmailVerified } from "./auth.js";
+import { checkEligibility } from "./eligibility.js";
+import { yearIndex } from "./options.js";
+import { SESSION_STATUS, isActiveSession } from "./scheduling.js";
+
+/** ---------- Mentor recommendation (conceptual) ----------
+Suggestion { user, score, reasons[] }
+Candidates are verified, unblocked users eligible to accept the query
+(see eligibility.js) with at least one strong subject matching its tags.
+The score adds up the weighted factors below; reasons explain the biggest
+ones to the asker.
+Query.invites[] { mentorId, at }
+----------------------------------------*/
+
+const WEIGHTS = {
+  perMatchingSubject: 30,
+  perPastSubjectSession: 3, // capped at 5 sessions
+  perYearSenior: 6,
+  juniorPenalty: -10,
+  perStarAboveThree: 6,
+  perActiveSession: -8,
+  perRecentSession: -2,
+  perNoShow: -15,
+};
+
+const RECENT_MS = 14 * 24 * 60 * 60 * 1000;
+
+function scoreMentor(mentor, query, asker, state, now) {
+  const reasons = [];
+  let score = 0;
+
+  const matching = query.subjectTags.filter((t) =>
+    (mentor.strongSubjects || []).includes(t)
+  );
+  if (matching.length === 0) return null;
+  score += matching.length * WEIGHTS.perMatchingSubject;
+  reasons.push(`Strong in ${matching.join(", ")}`);
+
+  const queriesById = new Map(state.queries.map((q) => [q.id, q]));
+  const mentored = state.sessions.filter((s) => s.mentorId === mentor.id);
+  const pastSubjectSessions = mentored.filter(
+    (s) =>
+      s.status === SESSION_STATUS.COMPLETED &&
+      queriesById
+        .get(s.queryId)
+        ?.subjectTags.some((t) => query.subjectTags.includes(t))
+  ).length;
+  if (pastSubjectSessions > 0) {
+    score += Math.min(pastSubjectSessions, 5) * WEIGHTS.perPastSubjectSession;
+    reasons.push(`${pastSubjectSessions} past session(s) on this topic`);
+  }
+
+  const mentorYear = yearIndex(mentor);
+  const askerYear = yearIndex(asker);
+  const gap = mentorYear >= 0 && askerYear >= 0 ? mentorYear - askerYear : 0;
+  if (gap > 0) {
+    score += gap * WEIGHTS.perYearSenior;
+    reasons.push(`${mentor.year} senior`);
+  } else if (gap < 0) {
+    score += WEIGHTS.juniorPenalty;
+  }
+
+  if (query.preferredMentorType === "Same year") {
+    reasons.push("Same year as you");
+  }
+
+  if (mentor.ratingCount) {
+    score += (mentor.ratingAvg - 3) * WEIGHTS.perStarAboveThree;
+    reasons.push(`★ ${mentor.ratingAvg.toFixed(1)} (${mentor.ratingCount})`);
+  }
+
+  const active = mentored.filter(isActiveSession).length;
+  const recent = mentored.filter(
+    (s) =>
+      s.status === SESSION_STATUS.COMPLETED &&
+      now - new Date(s.dateTime).getTime() < RECENT_MS
+  ).length;
+  score += active * WEIGHTS.perActiveSession;
+  score += recent * WEIGHTS.perRecentSession;
+  if (active > 0) reasons.push(`${active} active session(s)`);
+
+  const noShows = state.sessions.filter(
+    (s) => s.status === SESSION_STATUS.NO_SHOW && s.noShowUserId === mentor.id
+  ).length;
+  score += noShows * WEIGHTS.perNoShow;
+  if (noShows > 0) reasons.push(`${noShows} missed session(s)`);
+
+  return { user: mentor, score, reasons };
+}
+
+export function recommendMentors(query, state, { now, limit = 5 } = {}) {
+  const asker = state.users.find((u) => u.id === query.askerId);
+  return state.users
+    .filter(
+      (u) =>
+        !u.isBlocked &&
+        isEmailVerified(u) &&
+        checkEligibility(query, u, asker).eligible
+    )
+    .map((u) => scoreMentor(u, query, asker, state, now))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.user.id.localeCompare(b.user.id))
+    .slice(0, limit);
+}
+
+export function isInvited(query, mentorId) {
+  return (query.invites || []).some((i) => i.mentorId === mentorId);
+}
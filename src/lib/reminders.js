@@ -0,0 +1,110 @@
+import { timedOutVerdict } from "./attestations.js";
+import { SESSION_MINUTES } from "./availability.js";
+import { SESSION_STATUS } from "./scheduling.js";
+
+/** ---------- Session reminders (conceptual) ----------
+Session.reminders { "24h"?: sentAt, "1h"?: sentAt, closeOut?: sentAt }
+Session.flaggedAt, followedUpAt, followedUpBy
+The scheduler walks confirmed sessions and
+  - reminds both participants 24h and 1h before the start (a reminder
+    that is already overdue is skipped in favour of the later one)
+  - asks both to close the session out once it has ended
+  - finalizes a session where only one participant answered once the
+    other has let ATTESTATION_TIMEOUT_HOURS pass
+  - after CLOSE_OUT_GRACE_HOURS with nobody answering, records the
+    session as a No-show with no one at fault and flags it (flaggedAt) so
+    an admin can follow up and say who, if anyone, missed it
+Each step is stamped on the session, so running the scheduler again (or
+from another open tab) never repeats a notification. Moving a session to
+a new time clears the stamps so its reminders fire again.
+----------------------------------------*/
+
+export const SCHEDULER_INTERVAL_MS = 60 * 1000;
+export const CLOSE_OUT_GRACE_HOURS = 48;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Latest first: only the most recent due reminder is sent.
+const REMINDERS = [
+  { key: "1h", before: HOUR_MS, label: "starts within the hour" },
+  { key: "24h", before: 24 * HOUR_MS, label: "is coming up within 24 hours" },
+];
+
+export function sessionEnd(session) {
+  return new Date(session.dateTime).getTime() + SESSION_MINUTES * MINUTE_MS;
+}
+
+// When an unclosed session will be recorded as not having happened.
+export function closeOutDeadline(session) {
+  return sessionEnd(session) + CLOSE_OUT_GRACE_HOURS * HOUR_MS;
+}
+
+export function needsFollowUp(session) {
+  return Boolean(session.flaggedAt) && !session.followedUpAt;
+}
+
+function dueReminder(session, now) {
+  const start = new Date(session.dateTime).getTime();
+  if (now >= start) return null;
+  const due = REMINDERS.find((r) => now >= start - r.before);
+  return due && !session.reminders?.[due.key] ? due : null;
+}
+
+function step(session, now) {
+  const reminder = dueReminder(session, now);
+  if (reminder) {
+    // Sending a later reminder makes the earlier ones moot.
+    const sent = REMINDERS.slice(REMINDERS.indexOf(reminder));
+    return {
+      event: { kind: "reminder", reminder },
+      session: {
+        ...session,
+        reminders: {
+          ...session.reminders,
+          ...Object.fromEntries(sent.map((r) => [r.key, now])),
+        },
+      },
+    };
+  }
+  const verdict = timedOutVerdict(session, now);
+  if (verdict) {
+    return { event: { kind: "timedOut" }, session: { ...session, ...verdict } };
+  }
+  const answered = Object.keys(session.attestations || {}).length > 0;
+  if (!answered && now >= closeOutDeadline(session)) {
+    return {
+      event: { kind: "flagged" },
+      session: {
+        ...session,
+        status: SESSION_STATUS.NO_SHOW,
+        noShowUserId: null,
+        flaggedAt: now,
+      },
+    };
+  }
+  if (now >= sessionEnd(session) && !session.reminders?.closeOut) {
+    return {
+      event: { kind: "closeOut" },
+      session: {
+        ...session,
+        reminders: { ...session.reminders, closeOut: now },
+      },
+    };
+  }
+  return null;
+}
+
+// Returns the updated sessions plus what happened to each, so the caller
+// can notify and reopen queries.
+export function runSessionScheduler(sessions, now) {
+  const events = [];
+  const next = sessions.map((s) => {
+    if (s.status !== SESSION_STATUS.CONFIRMED || !s.dateTime) return s;
+    const result = step(s, now);
+    if (!result) return s;
+    events.push({ ...result.event, session: result.session });
+    return result.session;
+  });
+  return { sessions: next, events };
+}
@@ -0,0 +1,82 @@
+import { SESSION_STATUS } from "./scheduling.js";
+
+/** ---------- Reputation (conceptual) ----------
+Both sides of a completed session can leave a 1–5 rating and an optional
+written review:
+  Session.ratingForMentor / reviewForMentor   given by the mentee
+  Session.ratingForMentee / reviewForMentee   given by the mentor
+  Session.memberRatings[userId]               given by each other mentee
+                                              of a group session
+Mentor figures live on User.ratingAvg / ratingCount, mentee reputation on
+User.menteeRatingAvg / menteeRatingCount.
+----------------------------------------*/
+
+export const MAX_REVIEW_LENGTH = 500;
+
+const average = (values) => ({
+  avg: values.length
+    ? values.reduce((acc, v) => acc + v, 0) / values.length
+    : 0,
+  count: values.length,
+});
+
+const ratingsFor = (sessions, userId, idKey, ratingKey) =>
+  sessions
+    .filter(
+      (s) =>
+        s[idKey] === userId &&
+        s.status === SESSION_STATUS.COMPLETED &&
+        typeof s[ratingKey] === "number"
+    )
+    .map((s) => s[ratingKey]);
+
+// Every mentee's rating of the mentor: the asker's first, then joiners'.
+export function mentorRatingsOf(session) {
+  const ratings = [];
+  if (typeof session.ratingForMentor === "number") {
+    ratings.push({
+      userId: session.menteeId,
+      rating: session.ratingForMentor,
+      review: session.reviewForMentor || null,
+    });
+  }
+  for (const [userId, r] of Object.entries(session.memberRatings || {})) {
+    ratings.push({ userId, rating: r.rating, review: r.review || null });
+  }
+  return ratings;
+}
+
+export function mentorRating(userId, sessions) {
+  const { avg, count } = average(
+    sessions
+      .filter(
+        (s) => s.mentorId === userId && s.status === SESSION_STATUS.COMPLETED
+      )
+      .flatMap((s) => mentorRatingsOf(s).map((r) => r.rating))
+  );
+  return { ratingAvg: avg, ratingCount: count };
+}
+
+export function menteeReputation(userId, sessions) {
+  const { avg, count } = average(
+    ratingsFor(sessions, userId, "menteeId", "ratingForMentee")
+  );
+  return { menteeRatingAvg: avg, menteeRatingCount: count };
+}
+
+// The user with both rating summaries refreshed; unchanged users are
+// returned as-is so storage only syncs what moved.
+export function withRatings(user, sessions) {
+  const next = {
+    ...mentorRating(user.id, sessions),
+    ...menteeReputation(user.id, sessions),
+  };
+  const same = Object.keys(next).every((k) => user[k] === next[k]);
+  return same ? user : { ...user, ...next };
+}
+
+// Sort key for "best-rated askers first": unrated mentees sit in the
+// middle so newcomers are not buried below poorly rated ones.
+export function menteeReputationScore(user) {
+  return user?.menteeRatingCount ? user.menteeRatingAvg : 3;
+}
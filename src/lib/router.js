@@ -0,0 +1,118 @@
+import { useCallback, useEffect, useState } from "react";
+
+/** ---------- Routes (conceptual) ----------
+Each route has a name, a path pattern and who may see it:
+  access: "public"  anyone
+          "guest"   only signed-out visitors (signed-in users go home)
+          "user"    signed-in users (others go to /login?next=…)
+          "admin"   signed-in admins (others get the 404 view)
+Anything unmatched resolves to "notFound".
+----------------------------------------*/
+
+export const ROUTES = [
+  { name: "landing", path: "/", access: "guest" },
+  { name: "login", path: "/login", access: "guest" },
+  { name: "signup", path: "/signup", access: "guest" },
+  { name: "resetPassword", path: "/reset-password", access: "guest" },
+  { name: "verify", path: "/verify", access: "user" },
+  { name: "settings", path: "/settings", access: "user" },
+  { name: "home", path: "/queries", access: "user" },
+  { name: "post", path: "/queries/new", access: "user" },
+  { name: "query", path: "/queries/:id", access: "user" },
+  { name: "myQueries", path: "/my-queries", access: "user" },
+  { name: "search", path: "/search", access: "user" },
+  { name: "leader", path: "/leaderboard", access: "user" },
+  { name: "user", path: "/users/:id", access: "user" },
+  { name: "sessions", path: "/sessions", access: "user" },
+  { name: "notifications", path: "/notifications", access: "user" },
+  { name: "admin", path: "/admin", access: "admin" },
+  { name: "analytics", path: "/admin/analytics", access: "admin" },
+];
+
+export const HOME_PATH = "/queries";
+export const LOGIN_PATH = "/login";
+
+function matchPattern(pattern, pathname) {
+  const want = pattern.split("/").filter(Boolean);
+  const got = pathname.split("/").filter(Boolean);
+  if (want.length !== got.length) return null;
+  const params = {};
+  for (let i = 0; i < want.length; i++) {
+    if (want[i].startsWith(":")) {
+      try {
+        params[want[i].slice(1)] = decodeURIComponent(got[i]);
+      } catch {
+        return null; // malformed escape, e.g. /queries/%E0%A4
+      }
+    } else if (want[i] !== got[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+export function matchRoute(pathname) {
+  for (const route of ROUTES) {
+    const params = matchPattern(route.path, pathname);
+    if (params) return { ...route, params };
+  }
+  return { name: "notFound", path: pathname, access: "public", params: {} };
+}
+
+export function pathFor(name, params = {}) {
+  const route = ROUTES.find((r) => r.name === name);
+  if (!route) throw new Error(`Unknown route "${name}".`);
+  return route.path.replace(/:(\w+)/g, (_, key) =>
+    encodeURIComponent(params[key])
+  );
+}
+
+// Only follow same-app paths from ?next=, never another origin. Resolving
+// the value the way the browser will catches "//host", "/\host" and
+// paths with stray tabs or newlines.
+export function safeNext(value) {
+  if (!value || !value.startsWith("/")) return null;
+  const { origin } = window.location;
+  const url = new URL(value, origin);
+  return url.origin === origin ? url.pathname + url.search + url.hash : null;
+}
+
+// Returns the path to redirect to, or null when the route may render.
+export function guardRoute(route, user, location) {
+  if (route.access === "guest" && user) {
+    return safeNext(location.query.get("next")) || HOME_PATH;
+  }
+  if ((route.access === "user" || route.access === "admin") && !user) {
+    const next = location.pathname + location.search;
+    return `${LOGIN_PATH}?next=${encodeURIComponent(next)}`;
+  }
+  return null;
+}
+
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search,
+  query: new URLSearchParams(window.location.search),
+});
+
+// History-API routing: the URL is the source of truth for the current view.
+export function useRouter() {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const onPop = () => setLocation(readLocation());
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const current = window.location.pathname + window.location.search;
+    if (to !== current) {
+      window.history[replace ? "replaceState" : "pushState"](null, "", to);
+      if (!replace) window.scrollTo(0, 0);
+    }
+    setLocation(readLocation());
+  }, []);
+
+  return { location, route: matchRoute(location.pathname), navigate };
+}
@@ -0,0 +1,85 @@
+import { id } from "./id.js";
+
+/** ---------- Scheduling (conceptual) ----------
+Session.status:
+  Proposed → Confirmed → Completed | No-show
+  Confirmed → Disputed → Completed | No-show
+  Proposed | Confirmed → Cancelled
+How a confirmed session ends is decided by both participants' answers
+(see attestations.js); Disputed waits for an admin.
+Proposal {
+  id, by, slots[], mode, locationOrLink, note,
+  status: "Pending" | "Accepted" | "Countered" | "Declined", createdAt
+}
+Either participant may counter the other's pending proposal; whoever
+did not author the pending proposal is the one expected to respond.
+A confirmed session can be rescheduled the same way: either participant
+proposes new slots, and accepting one moves dateTime while the session
+stays Confirmed; declining keeps the current time.
+----------------------------------------*/
+
+export const SESSION_STATUS = {
+  PROPOSED: "Proposed",
+  CONFIRMED: "Confirmed",
+  COMPLETED: "Completed",
+  NO_SHOW: "No-show",
+  DISPUTED: "Disputed",
+  CANCELLED: "Cancelled",
+};
+
+const TRANSITIONS = {
+  Proposed: ["Confirmed", "Cancelled"],
+  Confirmed: ["Completed", "No-show", "Disputed", "Cancelled"],
+  Disputed: ["Completed", "No-show"],
+  Completed: [],
+  "No-show": [],
+  Cancelled: [],
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+export function isActiveSession(session) {
+  return (
+    session.status === SESSION_STATUS.PROPOSED ||
+    session.status === SESSION_STATUS.CONFIRMED
+  );
+}
+
+// Group sessions add the joiners who got a seat (see groups.js).
+export function sessionParticipants(session) {
+  return [
+    session.mentorId,
+    session.menteeId,
+    ...(session.groupMenteeIds || []),
+  ];
+}
+
+export function createProposal(byUserId, { slots, mode, locationOrLink, note }) {
+  return {
+    id: id(),
+    by: byUserId,
+    slots: [...slots].sort(),
+    mode,
+    locationOrLink,
+    note: note || "",
+    status: "Pending",
+    createdAt: Date.now(),
+  };
+}
+
+export function pendingProposal(session) {
+  return (session.proposals || []).find((p) => p.status === "Pending") || null;
+}
+
+export function awaitingResponseFrom(session) {
+  const pending = pendingProposal(session);
+  if (!pending) return null;
+  return pending.by === session.mentorId ? session.menteeId : session.mentorId;
+}
+
+// Replace the pending proposal's status, e.g. when it is accepted or countered.
+export function resolvePending(proposals, status) {
+  return proposals.map((p) => (p.status === "Pending" ? { ...p, status } : p));
+}
@@ -0,0 +1,289 @@
+import { markdownToText } from "./markdown.js";
+
+/** ---------- Search (conceptual) ----------
+SearchIndex {
+  docs: Map<queryId, { query, length }>
+  postings: Map<stem, Map<queryId, weightedTf>>
+}
+Titles count 3×, subject tags 2×, descriptions and visible answers 1×.
+Queries hidden by a moderator are left out.
+Each search term matches its exact stem, then (for longer terms) stems one
+or two edits away and, for the term being typed, longer stems it prefixes.
+Fuzzy and prefix matches score less than exact ones; documents matching
+more of the terms rank higher (BM25-style term weighting).
+Hit { query, score, stems: Set<stem> }  — stems feed highlightText().
+----------------------------------------*/
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be by do does for from how i in is it me my of on " +
+    "or so that the this to was what when where which why with you"
+  ).split(" ")
+);
+
+const FIELD_WEIGHTS = { title: 3, tags: 2, body: 1 };
+const FUZZY_FACTOR = 0.5;
+const PREFIX_FACTOR = 0.7;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const WORD = /[\p{L}\p{N}]+(?:[+#]+)?/gu;
+
+// Light suffix stripping; enough to match "queries" with "query" and
+// "sorting" with "sorted".
+export function stem(word) {
+  let w = word.toLowerCase();
+  if (w.length <= 3) return w;
+  if (w.endsWith("ies") && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("es") && /(x|ch|sh|z)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !w.endsWith("ss") && !w.endsWith("us")) {
+    w = w.slice(0, -1);
+  }
+  for (const suffix of ["ing", "ed", "ly", "ment", "ness", "ation"]) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length);
+      // "sorting" → "sort", "mapped" → "map"
+      if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1);
+      break;
+    }
+  }
+  return w;
+}
+
+export function tokenize(text) {
+  return (text.toLowerCase().match(WORD) || []).filter(
+    (w) => !STOPWORDS.has(w)
+  );
+}
+
+// Damerau–Levenshtein distance with an early exit above `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, rows[i - 2][j - 2] + 1);
+      }
+      rows[i][j] = d;
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+}
+
+const allowedEdits = (term) =>
+  term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+
+export function buildSearchIndex(queries, comments = []) {
+  const answersByQuery = new Map();
+  for (const c of comments) {
+    if (c.kind !== "answer" || c.deleted || c.hidden) continue;
+    if (!answersByQuery.has(c.queryId)) answersByQuery.set(c.queryId, []);
+    answersByQuery.get(c.queryId).push(markdownToText(c.body));
+  }
+
+  const docs = new Map();
+  const postings = new Map();
+  let totalLength = 0;
+  for (const q of queries) {
+    if (q.hidden) continue;
+    const fields = {
+      title: tokenize(q.title),
+      tags: tokenize((q.subjectTags || []).join(" ")),
+      body: tokenize(
+        [
+          markdownToText(q.description),
+          ...(answersByQuery.get(q.id) || []),
+        ].join(" ")
+      ),
+    };
+    let length = 0;
+    for (const [field, words] of Object.entries(fields)) {
+      length += words.length;
+      for (const word of words) {
+        const s = stem(word);
+        if (!postings.has(s)) postings.set(s, new Map());
+        const docPostings = postings.get(s);
+        docPostings.set(
+          q.id,
+          (docPostings.get(q.id) || 0) + FIELD_WEIGHTS[field]
+        );
+      }
+    }
+    docs.set(q.id, { query: q, length });
+    totalLength += length;
+  }
+
+  return {
+    docs,
+    postings,
+    avgLength: docs.size ? totalLength / docs.size : 0,
+  };
+}
+
+// Stems in the index that a search term should match, with a factor.
+function expandTerm(index, term, isLast) {
+  const s = stem(term);
+  const matches = new Map();
+  if (index.postings.has(s)) matches.set(s, 1);
+  const edits = allowedEdits(s);
+  for (const candidate of index.postings.keys()) {
+    if (matches.has(candidate)) continue;
+    if (isLast && s.length >= 3 && candidate.startsWith(s)) {
+      matches.set(candidate, PREFIX_FACTOR);
+    } else if (edits > 0 && editDistance(s, candidate, edits) <= edits) {
+      matches.set(candidate, FUZZY_FACTOR);
+    }
+  }
+  return matches;
+}
+
+export function searchQueries(index, text) {
+  const terms = [...new Set(tokenize(text))];
+  if (terms.length === 0) return [];
+  const n = index.docs.size;
+
+  const hits = new Map();
+  terms.forEach((term, i) => {
+    const seen = new Set();
+    const expanded = expandTerm(index, term, i === terms.length - 1);
+    for (const [s, factor] of expanded) {
+      const docPostings = index.postings.get(s);
+      const df = docPostings.size;
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      for (const [docId, tf] of docPostings) {
+        const { length, query } = index.docs.get(docId);
+        const norm =
+          tf +
+          BM25_K1 *
+            (1 - BM25_B + (BM25_B * length) / (index.avgLength || 1));
+        const score = factor * idf * ((tf * (BM25_K1 + 1)) / norm);
+        if (!hits.has(docId)) {
+          hits.set(docId, { query, score: 0, stems: new Set(), matched: 0 });
+        }
+        const hit = hits.get(docId);
+        hit.score += score;
+        hit.stems.add(s);
+        if (!seen.has(docId)) {
+          seen.add(docId);
+          hit.matched += 1;
+        }
+      }
+    }
+  });
+
+  return [...hits.values()]
+    .map(({ query, score, stems, matched }) => ({
+      query,
+      stems,
+      score: score * (matched / terms.length) ** 2,
+    }))
+    .sort(
+      (a, b) => b.score - a.score || b.query.createdAt - a.query.createdAt
+    );
+}
+
+// Splits text into [{ text, match }] so matched words can be marked up.
+export function highlightText(text, stems) {
+  const parts = [];
+  let cursor = 0;
+  for (const m of text.matchAll(WORD)) {
+    if (!stems.has(stem(m[0]))) continue;
+    if (m.index > cursor) {
+      parts.push({ text: text.slice(cursor, m.index), match: false });
+    }
+    parts.push({ text: m[0], match: true });
+    cursor = m.index + m[0].length;
+  }
+  if (cursor < text.length) {
+    parts.push({ text: text.slice(cursor), match: false });
+  }
+  return parts;
+}
+
+// A window of the text around its first match, for result snippets.
+export function snippet(text, stems, radius = 120) {
+  let first = -1;
+  for (const m of text.matchAll(WORD)) {
+    if (stems.has(stem(m[0]))) {
+      first = m.index;
+      break;
+    }
+  }
+  if (first < 0 || text.length <= radius * 2) {
+    return text.length > radius * 2 ? text.slice(0, radius * 2) + "…" : text;
+  }
+  const start = Math.max(0, first - radius / 2);
+  const end = Math.min(text.length, start + radius * 2);
+  return (
+    (start > 0 ? "…" : "") +
+    text.slice(start, end) +
+    (end < text.length ? "…" : "")
+  );
+}
+
+/* Facets */
+
+export const DATE_RANGES = {
+  week: { label: "Past week", days: 7 },
+  month: { label: "Past month", days: 30 },
+  semester: { label: "Past 6 months", days: 182 },
+};
+
+// Each facet's counts are taken over results filtered by every *other*
+// facet, so the numbers say what you'd get by picking that value.
+export function applyFacets(hits, filters, { usersById, now }) {
+  const askerYear = (q) => usersById.get(q.askerId)?.year || "";
+  const checks = {
+    subject: (q) =>
+      !filters.subject || q.subjectTags.includes(filters.subject),
+    status: (q) => !filters.status || q.status === filters.status,
+    year: (q) => !filters.year || askerYear(q) === filters.year,
+    date: (q) =>
+      !filters.date ||
+      now - q.createdAt <= DATE_RANGES[filters.date].days * 86400000,
+  };
+  const passes = (q, except) =>
+    Object.entries(checks).every(
+      ([facet, check]) => facet === except || check(q)
+    );
+
+  const count = (facet, valuesOf) => {
+    const counts = {};
+    for (const { query } of hits) {
+      if (!passes(query, facet)) continue;
+      for (const value of valuesOf(query)) {
+        counts[value] = (counts[value] || 0) + 1;
+      }
+    }
+    return counts;
+  };
+
+  return {
+    results: hits.filter(({ query }) => passes(query, null)),
+    counts: {
+      subject: count("subject", (q) => q.subjectTags),
+      status: count("status", (q) => [q.status]),
+      year: count("year", (q) => [askerYear(q)].filter(Boolean)),
+      date: count("date", (q) =>
+        Object.keys(DATE_RANGES).filter(
+          (key) => now - q.createdAt <= DATE_RANGES[key].days * 86400000
+        )
+      ),
+    },
+  };
+}
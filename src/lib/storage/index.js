@@ -0,0 +1,24 @@
+import { ALLOWED_EMAIL_DOMAINS } from "../config.js";
+import { sendMail } from "../mail.js";
+import { createLocalStorageAdapter } from "./localStorageAdapter.js";
+import { createSupabaseAdapter } from "./supabaseAdapter.js";
+
+export { emptyState, mergeState, normalizeState } from "./repository.js";
+
+// How often an open client re-reads the store for other clients' changes.
+export const REFRESH_INTERVAL_MS = 15 * 1000;
+
+// Picks the adapter from Vite env: VITE_STORAGE=supabase plus
+// VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY, otherwise this browser's localStorage.
+export function createRepository(env = import.meta.env) {
+  if (env.VITE_STORAGE === "supabase") {
+    return createSupabaseAdapter({
+      url: env.VITE_SUPABASE_URL,
+      anonKey: env.VITE_SUPABASE_ANON_KEY,
+    });
+  }
+  return createLocalStorageAdapter({
+    allowedDomains: ALLOWED_EMAIL_DOMAINS,
+    sendMail,
+  });
+}
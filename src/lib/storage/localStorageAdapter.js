@@ -0,0 +1,141 @@
+import { createAccounts, splitSecrets } from "../accounts.js";
+import {
+  COLLECTIONS,
+  StorageError,
+  mergeState,
+  normalizeState,
+} from "./repository.js";
+
+const STORAGE_KEY = "queryup_state_v1";
+
+// Keeps the original single-blob layout so existing saves keep working.
+// Credentials sit under their own key, next to the blob rather than in it.
+export function createLocalStorageAdapter({
+  key = STORAGE_KEY,
+  storage = globalThis.localStorage,
+  allowedDomains,
+  sendMail,
+} = {}) {
+  const credentialsKey = `${key}:credentials`;
+  const read = () => {
+    try {
+      const raw = storage.getItem(key);
+      return raw ? normalizeState(JSON.parse(raw)) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const write = (state) => {
+    try {
+      storage.setItem(key, JSON.stringify(state));
+    } catch (err) {
+      throw new StorageError("Could not write to localStorage.", { cause: err });
+    }
+  };
+
+  const readCredentials = () => {
+    try {
+      return JSON.parse(storage.getItem(credentialsKey) || "{}");
+    } catch {
+      return {};
+    }
+  };
+
+  const writeCredentials = (all) => {
+    try {
+      storage.setItem(credentialsKey, JSON.stringify(all));
+    } catch (err) {
+      throw new StorageError("Could not write to localStorage.", { cause: err });
+    }
+  };
+
+  // Saves from before the credentials key kept secrets on the users.
+  const moveSecrets = (state) => {
+    const all = readCredentials();
+    let moved = false;
+    const users = state.users.map((record) => {
+      const { user, credentials } = splitSecrets(record);
+      if (Object.keys(credentials).length === 1) return record;
+      all[record.id] = { ...credentials, ...all[record.id] };
+      moved = true;
+      return user;
+    });
+    if (!moved) return state;
+    writeCredentials(all);
+    const next = { ...state, users };
+    write(next);
+    return next;
+  };
+
+  const assertCollection = (collection) => {
+    if (!COLLECTIONS.includes(collection)) {
+      throw new StorageError(`Unknown collection "${collection}".`);
+    }
+  };
+
+  const adapter = {
+    async load() {
+      const state = read();
+      return state && moveSecrets(state);
+    },
+
+    async list(collection) {
+      assertCollection(collection);
+      return read()?.[collection] || [];
+    },
+
+    async upsert(collection, records) {
+      assertCollection(collection);
+      const state = read() || normalizeState(null);
+      const byId = new Map(state[collection].map((r) => [r.id, r]));
+      records.forEach((r) => byId.set(r.id, r));
+      write({ ...state, [collection]: [...byId.values()] });
+    },
+
+    async remove(collection, ids) {
+      assertCollection(collection);
+      const state = read();
+      if (!state) return;
+      const drop = new Set(ids);
+      write({
+        ...state,
+        [collection]: state[collection].filter((r) => !drop.has(r.id)),
+      });
+    },
+
+    // The whole blob is one key, so writing it in one go is cheapest. Other
+    // tabs share the key, so merge with what they saved first.
+    async sync(prev, next) {
+      const saved = read();
+      const stored = saved ? mergeState(prev, next, saved) : next;
+      write(stored);
+      return stored;
+    },
+  };
+
+  return {
+    ...adapter,
+    accounts: createAccounts({
+      allowedDomains,
+      sendMail,
+      store: {
+        async listUsers() {
+          return read()?.users || [];
+        },
+        async saveUser(user) {
+          await adapter.upsert("users", [user]);
+        },
+        async getCredentials(userId) {
+          return readCredentials()[userId] || null;
+        },
+        async saveCredentials(credentials) {
+          writeCredentials({
+            ...readCredentials(),
+            [credentials.id]: credentials,
+          });
+        },
+      },
+    }),
+  };
+}
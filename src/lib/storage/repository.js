@@ -0,0 +1,187 @@
+/** ---------- Repository (conceptual) ----------
+Every adapter exposes the same async interface over named collections:
+  load()                        → state object, or null when nothing is stored
+  list(collection)              → records[]
+  upsert(collection, records[]) → insert or replace by record.id
+  remove(collection, ids[])
+  sync(prev, next)              → persist what changed between two states and
+                                  resolve to the state now stored
+Records are plain objects with a string `id`.
+Several clients (tabs, or students on the Supabase backend) write the same
+store, so sync() merges against the stored copy instead of overwriting it:
+`prev` is the last copy this client read, `next` its current state, and only
+the fields this client changed since `prev` win over the stored ones (see
+mergeRecords). Lists of records merge by id, other lists as sets.
+----------------------------------------*/
+
+export const COLLECTIONS = [
+  "users",
+  "queries",
+  "sessions",
+  "notifications",
+  "comments",
+  "xpLedger",
+  "reports",
+  "auditLog",
+];
+
+export class StorageError extends Error {
+  constructor(message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "StorageError";
+    this.status = status;
+  }
+}
+
+export function emptyState() {
+  return Object.fromEntries(COLLECTIONS.map((c) => [c, []]));
+}
+
+// Older saves may predate a collection; fill in anything missing.
+export function normalizeState(raw) {
+  const base = emptyState();
+  if (!raw || typeof raw !== "object") return base;
+  for (const c of COLLECTIONS) {
+    if (Array.isArray(raw[c])) base[c] = raw[c];
+  }
+  return base;
+}
+
+// Records are updated immutably, so a changed record is a new object.
+export function diffCollection(prevRecords = [], nextRecords = []) {
+  const prevById = new Map(prevRecords.map((r) => [r.id, r]));
+  const nextIds = new Set(nextRecords.map((r) => r.id));
+  return {
+    upserts: nextRecords.filter((r) => prevById.get(r.id) !== r),
+    deletes: prevRecords.filter((r) => !nextIds.has(r.id)).map((r) => r.id),
+  };
+}
+
+// ----- merging concurrent changes -----
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isRecordList = (value) =>
+  Array.isArray(value) &&
+  value.every((r) => isPlainObject(r) && typeof r.id === "string");
+
+// Deep equality that ignores key order (jsonb reorders keys) and treats
+// undefined like a missing key (JSON drops them).
+export function sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((v, i) => sameValue(v, b[i]));
+  }
+  const keys = Object.keys(a).filter((k) => a[k] !== undefined);
+  const otherKeys = Object.keys(b).filter((k) => b[k] !== undefined);
+  return (
+    keys.length === otherKeys.length && keys.every((k) => sameValue(a[k], b[k]))
+  );
+}
+
+// Plain lists (tags, joiner ids…): keep what the other side has, plus what
+// this side added, minus what this side removed.
+function mergeSet(base, local, remote) {
+  const has = (list, v) => list.some((x) => sameValue(x, v));
+  const added = local.filter((v) => !has(base, v) && !has(remote, v));
+  return [...remote.filter((v) => has(local, v) || !has(base, v)), ...added];
+}
+
+function mergeFields(base, local, remote) {
+  const out = {};
+  const keys = new Set([
+    ...Object.keys(base),
+    ...Object.keys(local),
+    ...Object.keys(remote),
+  ]);
+  for (const key of keys) {
+    const value = mergeValue(base[key], local[key], remote[key]);
+    if (value !== undefined) out[key] = value;
+  }
+  return sameValue(out, remote) ? remote : out;
+}
+
+// Three-way merge of one value: whichever side changed it since `base` wins;
+// when both did, containers merge and otherwise this client's value wins.
+function mergeValue(base, local, remote) {
+  if (sameValue(local, base)) return remote;
+  if (sameValue(remote, base) || sameValue(local, remote)) return local;
+  if (isRecordList(local) && isRecordList(remote)) {
+    return mergeRecords(isRecordList(base) ? base : [], local, remote);
+  }
+  if (Array.isArray(local) && Array.isArray(remote)) {
+    return mergeSet(Array.isArray(base) ? base : [], local, remote);
+  }
+  if (isPlainObject(local) && isPlainObject(remote)) {
+    return mergeFields(isPlainObject(base) ? base : {}, local, remote);
+  }
+  return local;
+}
+
+// Merges two edited copies of a record list by id. Records unchanged here
+// come back as the stored objects, so diffCollection(remote, result) finds
+// exactly what still has to be written.
+export function mergeRecords(base = [], local = [], remote = []) {
+  if (local === base) return remote;
+  const baseById = new Map(base.map((r) => [r.id, r]));
+  const remoteById = new Map(remote.map((r) => [r.id, r]));
+  const localIds = new Set(local.map((r) => r.id));
+  const out = [];
+  for (const record of local) {
+    const original = baseById.get(record.id);
+    const stored = remoteById.get(record.id);
+    if (stored) {
+      // Same id created on both sides: ids derived from one fact (ledger
+      // awards, scheduler notices), so the first write stands.
+      out.push(original ? mergeValue(original, record, stored) : stored);
+    } else if (!original || !sameValue(record, original)) {
+      out.push(record); // created here, or edited here after a delete there
+    }
+  }
+  for (const record of remote) {
+    if (localIds.has(record.id)) continue;
+    const original = baseById.get(record.id);
+    if (!original || !sameValue(record, original)) out.push(record);
+  }
+  return out;
+}
+
+export function mergeState(base, local, remote) {
+  const merged = Object.fromEntries(
+    COLLECTIONS.map((c) => [
+      c,
+      mergeRecords(base?.[c] || [], local[c], remote[c] || []),
+    ])
+  );
+  return COLLECTIONS.every((c) => merged[c] === remote[c]) ? remote : merged;
+}
+
+// Builds load() and sync() for adapters that only implement list/upsert/remove.
+export function withCollectionSync(adapter) {
+  return {
+    async load() {
+      const lists = await Promise.all(COLLECTIONS.map((c) => adapter.list(c)));
+      if (lists.every((l) => l.length === 0)) return null;
+      return Object.fromEntries(COLLECTIONS.map((c, i) => [c, lists[i]]));
+    },
+    async sync(prev, next) {
+      const stored = { ...next };
+      for (const c of COLLECTIONS) {
+        const changes = diffCollection(prev?.[c], next[c]);
+        if (!changes.upserts.length && !changes.deletes.length) continue;
+        // Re-read the table so writes from other clients since `prev` survive.
+        const remote = await adapter.list(c);
+        const merged = mergeRecords(prev?.[c], next[c], remote);
+        const { upserts, deletes } = diffCollection(remote, merged);
+        if (upserts.length) await adapter.upsert(c, upserts);
+        if (deletes.length) await adapter.remove(c, deletes);
+        stored[c] = merged;
+      }
+      return stored;
+    },
+    ...adapter,
+  };
+}
@@ -0,0 +1,132 @@
+import { ACCOUNT_ACTIONS } from "../accounts.js";
+import {
+  COLLECTIONS,
+  StorageError,
+  withCollectionSync,
+} from "./repository.js";
+
+/*
+ * Talks to Supabase (or any PostgREST server) over its REST API.
+ * Each collection is a table of (id text primary key, data jsonb,
+ * updated_at timestamptz); see supabase/schema.sql. Account actions go to
+ * the "accounts" Edge Function, which alone can read credentials.
+ */
+export function createSupabaseAdapter({
+  url,
+  anonKey,
+  fetch: fetchImpl = globalThis.fetch.bind(globalThis),
+}) {
+  if (!url || !anonKey) {
+    throw new StorageError(
+      "VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY must be set to use Supabase storage."
+    );
+  }
+  const root = url.replace(/\/+$/, "");
+  const base = `${root}/rest/v1`;
+  const headers = {
+    apikey: anonKey,
+    Authorization: `Bearer ${anonKey}`,
+    "Content-Type": "application/json",
+  };
+
+  const request = async (path, init = {}) => {
+    let res;
+    try {
+      res = await fetchImpl(`${base}/${path}`, {
+        ...init,
+        headers: { ...headers, ...init.headers },
+      });
+    } catch (err) {
+      throw new StorageError(`Could not reach ${base}.`, { cause: err });
+    }
+    if (!res.ok) {
+      const detail = await res.text().catch(() => "");
+      throw new StorageError(
+        `${init.method || "GET"} ${path} failed with ${res.status}${
+          detail ? `: ${detail}` : ""
+        }`,
+        { status: res.status }
+      );
+    }
+    // Prefer: return=minimal answers with an empty body
+    const text = await res.text();
+    return text ? JSON.parse(text) : null;
+  };
+
+  const assertCollection = (collection) => {
+    if (!COLLECTIONS.includes(collection)) {
+      throw new StorageError(`Unknown collection "${collection}".`);
+    }
+  };
+
+  // PostgREST "in" filter; ids are quoted so commas or dots can't break the list.
+  const idFilter = (ids) =>
+    `id=in.(${ids
+      .map((i) => `"${String(i).replace(/"/g, '\\"')}"`)
+      .map(encodeURIComponent)
+      .join(",")})`;
+
+  // { action, ...params } in, the service's { user } / { error } out.
+  const callAccounts = async (action, params) => {
+    const endpoint = `${root}/functions/v1/accounts`;
+    let res;
+    try {
+      res = await fetchImpl(endpoint, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ action, ...params }),
+      });
+    } catch (err) {
+      throw new StorageError(`Could not reach ${endpoint}.`, { cause: err });
+    }
+    const body = await res.json().catch(() => null);
+    if (!res.ok || !body) {
+      throw new StorageError(
+        `${action} failed with ${res.status}${
+          body?.message ? `: ${body.message}` : ""
+        }`,
+        { status: res.status }
+      );
+    }
+    return body;
+  };
+
+  const accounts = Object.fromEntries(
+    ACCOUNT_ACTIONS.map((action) => [
+      action,
+      (params) => callAccounts(action, params),
+    ])
+  );
+  // Mail goes out from the function, never to this browser's console.
+  accounts.remote = true;
+
+  return withCollectionSync({
+    async list(collection) {
+      assertCollection(collection);
+      const rows = await request(`${collection}?select=id,data&order=id`);
+      return rows.map((row) => ({ ...row.data, id: row.id }));
+    },
+
+    async upsert(collection, records) {
+      assertCollection(collection);
+      const now = new Date().toISOString();
+      await request(`${collection}?on_conflict=id`, {
+        method: "POST",
+        headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+        body: JSON.stringify(
+          records.map((r) => ({ id: r.id, data: r, updated_at: now }))
+        ),
+      });
+    },
+
+    async remove(collection, ids) {
+      assertCollection(collection);
+      await request(`${collection}?${idFilter(ids)}`, {
+        method: "DELETE",
+        headers: { Prefer: "return=minimal" },
+      });
+    },
+
+    accounts,
+  });
+}
@@ -0,0 +1,283 @@
+import { attendees } from "./groups.js";
+import { mentorRatingsOf } from "./reputation.js";
+import { SESSION_STATUS } from "./scheduling.js";
+
+/** ---------- XP (conceptual) ----------
+XpAward (state.xpLedger) {
+  id, key, userId, event, points, sourceId, queryId, note,
+  occurredAt, rulesVersion, createdAt
+}
+`key` identifies the underlying fact (e.g. "sessionCompleted:<sessionId>")
+so the same fact is never awarded twice. occurredAt is when the fact
+happened (the session's date), createdAt when the award was granted. User.xp is the sum of the user's
+awards, floored at 0. Awards are derived from sessions, ratings and
+accepted answers; changing the rules means adding a ruleset and letting an
+admin recompute the ledger.
+----------------------------------------*/
+
+export const XP_EVENTS = {
+  SESSION_COMPLETED: "sessionCompleted",
+  GROUP_SESSION: "groupSession",
+  RATING_RECEIVED: "ratingReceived",
+  ANSWER_ACCEPTED: "answerAccepted",
+  FAST_RESPONSE: "fastResponse",
+  STREAK: "streak",
+  NO_SHOW: "noShow",
+};
+
+export const XP_EVENT_LABELS = {
+  sessionCompleted: "Session completed",
+  groupSession: "Group session",
+  ratingReceived: "Rating received",
+  answerAccepted: "Answer accepted",
+  fastResponse: "Fast response",
+  streak: "Weekly streak",
+  noShow: "No-show penalty",
+};
+
+// Rules missing from a ruleset award nothing. `levels` lists the minimum
+// XP for level 1, 2, 3…
+export const XP_RULESETS = {
+  1: {
+    version: 1,
+    levels: [0, 100, 300, 700, 1500],
+    ratingReceived: { perStar: 10 },
+  },
+  2: {
+    version: 2,
+    levels: [0, 100, 300, 700, 1500],
+    sessionCompleted: { points: 20 },
+    ratingReceived: { perStar: 10 },
+    answerAccepted: { points: 15 },
+    fastResponse: { points: 10, withinHours: 2 },
+    streak: { points: 5, minWeeks: 2 },
+    noShow: { points: -25 },
+  },
+  // Group sessions: a bonus per extra mentee who attended, and one rating
+  // award per mentee who rated the mentor.
+  3: {
+    version: 3,
+    levels: [0, 100, 300, 700, 1500],
+    sessionCompleted: { points: 20 },
+    groupSession: { perExtraMentee: 10 },
+    ratingReceived: { perStar: 10 },
+    answerAccepted: { points: 15 },
+    fastResponse: { points: 10, withinHours: 2 },
+    streak: { points: 5, minWeeks: 2 },
+    noShow: { points: -25 },
+  },
+};
+
+export const XP_RULES = XP_RULESETS[3];
+
+export function computeLevel(xp, rules = XP_RULES) {
+  let level = 1;
+  rules.levels.forEach((min, i) => {
+    if (xp >= min) level = i + 1;
+  });
+  return level;
+}
+
+const signed = (points) => `${points > 0 ? "+" : ""}${points}`;
+
+// One rule as the admin dashboard shows it, e.g. "+10 per extra mentee".
+export function formatXpRule(rule) {
+  if (rule.perStar) return `${signed(rule.perStar)} per ★`;
+  if (rule.perExtraMentee) {
+    return `${signed(rule.perExtraMentee)} per extra mentee`;
+  }
+  let text = signed(rule.points);
+  if (rule.withinHours) text += ` within ${rule.withinHours}h`;
+  if (rule.minWeeks) text += ` per week from ${rule.minWeeks} weeks in a row`;
+  return text;
+}
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+// 1970-01-01 was a Thursday; shift so weeks start on Monday.
+const WEEK_OFFSET_MS = 3 * 24 * 60 * 60 * 1000;
+const weekIndex = (time) =>
+  Math.floor((new Date(time).getTime() + WEEK_OFFSET_MS) / WEEK_MS);
+const weekStart = (week) => week * WEEK_MS - WEEK_OFFSET_MS;
+
+// Every award the current state earns under `rules`, without ids or dates.
+export function deriveAwards(state, rules = XP_RULES) {
+  const awards = [];
+  const titleOf = (queryId) =>
+    state.queries.find((q) => q.id === queryId)?.title || "a query";
+  const push = (event, userId, sourceId, points, note, context) => {
+    if (!userId || !points) return;
+    awards.push({
+      key: `${event}:${sourceId}`,
+      event,
+      userId,
+      sourceId,
+      queryId: context.queryId || null,
+      points,
+      note,
+      occurredAt: context.at,
+    });
+  };
+
+  const completedByMentor = new Map();
+  for (const s of state.sessions) {
+    const title = titleOf(s.queryId);
+    const context = {
+      queryId: s.queryId,
+      at: s.dateTime ? new Date(s.dateTime).getTime() : null,
+    };
+    if (s.status === SESSION_STATUS.COMPLETED) {
+      push(
+        XP_EVENTS.SESSION_COMPLETED,
+        s.mentorId,
+        s.id,
+        rules.sessionCompleted?.points,
+        `Mentored "${title}"`,
+        context
+      );
+      const extraMentees = attendees(s).length - 1;
+      if (extraMentees > 0) {
+        push(
+          XP_EVENTS.GROUP_SESSION,
+          s.mentorId,
+          s.id,
+          rules.groupSession &&
+            extraMentees * rules.groupSession.perExtraMentee,
+          `Group of ${extraMentees + 1} for "${title}"`,
+          context
+        );
+      }
+      for (const { userId, rating } of mentorRatingsOf(s)) {
+        push(
+          XP_EVENTS.RATING_RECEIVED,
+          s.mentorId,
+          // The asker's rating keeps the one-to-one key.
+          userId === s.menteeId ? s.id : `${s.id}:${userId}`,
+          rules.ratingReceived && rating * rules.ratingReceived.perStar,
+          `★ ${rating} for "${title}"`,
+          context
+        );
+      }
+      const query = state.queries.find((q) => q.id === s.queryId);
+      const firstOffer = s.proposals?.[0];
+      if (rules.fastResponse && query && firstOffer) {
+        const waited = firstOffer.createdAt - query.createdAt;
+        if (waited >= 0 && waited <= rules.fastResponse.withinHours * 3600000) {
+          push(
+            XP_EVENTS.FAST_RESPONSE,
+            s.mentorId,
+            s.id,
+            rules.fastResponse.points,
+            `Offered help on "${title}" within ${rules.fastResponse.withinHours}h`,
+            context
+          );
+        }
+      }
+      if (s.dateTime) {
+        const weeks = completedByMentor.get(s.mentorId) || new Set();
+        weeks.add(weekIndex(s.dateTime));
+        completedByMentor.set(s.mentorId, weeks);
+      }
+    }
+    if (s.status === SESSION_STATUS.NO_SHOW && s.noShowUserId) {
+      push(
+        XP_EVENTS.NO_SHOW,
+        s.noShowUserId,
+        s.id,
+        rules.noShow?.points,
+        `Missed the session for "${title}"`,
+        context
+      );
+    }
+  }
+
+  // One bonus for every week that continues a run of at least `minWeeks`
+  // consecutive weeks with a completed session.
+  if (rules.streak) {
+    for (const [mentorId, weekSet] of completedByMentor) {
+      const weeks = [...weekSet].sort((a, b) => a - b);
+      let run = 0;
+      weeks.forEach((week, i) => {
+        run = i > 0 && weeks[i - 1] === week - 1 ? run + 1 : 1;
+        if (run >= rules.streak.minWeeks) {
+          push(
+            XP_EVENTS.STREAK,
+            mentorId,
+            `${mentorId}:${week}`,
+            rules.streak.points,
+            `${run} weeks in a row`,
+            { at: weekStart(week) }
+          );
+        }
+      });
+    }
+  }
+
+  for (const q of state.queries) {
+    if (!q.acceptedAnswerId) continue;
+    const answer = state.comments.find((c) => c.id === q.acceptedAnswerId);
+    if (!answer || answer.deleted || answer.authorId === q.askerId) continue;
+    push(
+      XP_EVENTS.ANSWER_ACCEPTED,
+      answer.authorId,
+      answer.id,
+      rules.answerAccepted?.points,
+      `Answer accepted on "${q.title}"`,
+      { queryId: q.id, at: answer.createdAt }
+    );
+  }
+
+  return awards;
+}
+
+// The id comes from the fact, so clients awarding it at the same time
+// write one record.
+const toRecord = (award, rules, now) => ({
+  id: `${rules.version}:${award.key}`,
+  ...award,
+  rulesVersion: rules.version,
+  createdAt: now,
+});
+
+// Recomputes xp/level from the ledger, keeping untouched users as-is.
+function applyTotals(users, ledger, rules) {
+  const totals = new Map();
+  for (const a of ledger) {
+    totals.set(a.userId, (totals.get(a.userId) || 0) + a.points);
+  }
+  return users.map((u) => {
+    const xp = Math.max(0, totals.get(u.id) || 0);
+    const level = computeLevel(xp, rules);
+    return u.xp === xp && u.level === level ? u : { ...u, xp, level };
+  });
+}
+
+// Appends awards for facts not yet in the ledger. Existing awards keep the
+// points they were given, even if the rules have changed since.
+export function syncXpLedger(state, now, rules = XP_RULES) {
+  const known = new Set(state.xpLedger.map((a) => a.key));
+  const fresh = deriveAwards(state, rules).filter((a) => !known.has(a.key));
+  if (fresh.length === 0) return state;
+  const xpLedger = [
+    ...state.xpLedger,
+    ...fresh.map((a) => toRecord(a, rules, now)),
+  ];
+  return { ...state, xpLedger, users: applyTotals(state.users, xpLedger, rules) };
+}
+
+// Throws the ledger away and re-awards everything under `rules`.
+export function recomputeXp(state, now, rules = XP_RULES) {
+  const xpLedger = deriveAwards(state, rules).map((a) =>
+    toRecord(a, rules, now)
+  );
+  return { ...state, xpLedger, users: applyTotals(state.users, xpLedger, rules) };
+}
+
+export function xpHistory(ledger, userId) {
+  return ledger
+    .filter((a) => a.userId === userId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function isLedgerOutdated(ledger, rules = XP_RULES) {
+  return ledger.some((a) => a.rulesVersion !== rules.version);
+}
@@ -0,0 +1,116 @@
+// Supabase Edge Function behind src/lib/storage/supabaseAdapter.js's
+// account actions. It runs src/lib/accounts.js with the service role key,
+// the only key that can read the credentials table or change protected
+// user fields (see supabase/schema.sql).
+//
+//   supabase secrets set ALLOWED_EMAIL_DOMAINS=pccoepune.org MAIL_ENDPOINT=…
+//   supabase functions deploy accounts --no-verify-jwt
+
+import {
+  ACCOUNT_ACTIONS,
+  createAccounts,
+  parseDomains,
+} from "../../../src/lib/accounts.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL");
+const SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+const MAIL_ENDPOINT = Deno.env.get("MAIL_ENDPOINT") || "";
+
+const allowedDomains = parseDomains(
+  Deno.env.get("ALLOWED_EMAIL_DOMAINS") || "pccoepune.org"
+);
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "apikey, authorization, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+const rest = async (path, init = {}) => {
+  const res = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+    ...init,
+    headers: {
+      apikey: SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${SERVICE_ROLE_KEY}`,
+      "Content-Type": "application/json",
+      ...init.headers,
+    },
+  });
+  if (!res.ok) {
+    throw new Error(`${init.method || "GET"} ${path} failed with ${res.status}`);
+  }
+  const text = await res.text();
+  return text ? JSON.parse(text) : null;
+};
+
+const upsert = (table, record) =>
+  rest(`${table}?on_conflict=id`, {
+    method: "POST",
+    headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+    body: JSON.stringify({
+      id: record.id,
+      data: record,
+      updated_at: new Date().toISOString(),
+    }),
+  });
+
+// Same contract as the app's http mail transport; without an endpoint the
+// message only reaches the function's logs.
+const sendMail = async (message) => {
+  if (!MAIL_ENDPOINT) {
+    const { to, subject, text } = message;
+    console.info(`[mail] To: ${to}\nSubject: ${subject}\n\n${text}`);
+    return;
+  }
+  const res = await fetch(MAIL_ENDPOINT, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(message),
+  });
+  if (!res.ok) throw new Error(`Mail endpoint answered ${res.status}.`);
+};
+
+const accounts = createAccounts({
+  allowedDomains,
+  sendMail,
+  store: {
+    async listUsers() {
+      const rows = await rest("users?select=id,data&order=id");
+      return rows.map((row) => ({ ...row.data, id: row.id }));
+    },
+    saveUser: (user) => upsert("users", user),
+    async getCredentials(userId) {
+      const rows = await rest(
+        `credentials?select=data&id=eq.${encodeURIComponent(userId)}`
+      );
+      return rows[0]?.data || null;
+    },
+    saveCredentials: (credentials) => upsert("credentials", credentials),
+  },
+});
+
+const json = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS, "Content-Type": "application/json" },
+  });
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: CORS });
+  }
+  if (req.method !== "POST") {
+    return json(405, { message: `${req.method} not supported` });
+  }
+
+  const { action, ...params } = await req.json().catch(() => ({}));
+  if (!ACCOUNT_ACTIONS.includes(action)) {
+    return json(400, { message: `Unknown action "${action}"` });
+  }
+  try {
+    return json(200, await accounts[action](params));
+  } catch (err) {
+    console.error(err);
+    return json(500, { message: "Account service failed." });
+  }
+});
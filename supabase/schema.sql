@@ -0,0 +1,147 @@
+-- QueryUP tables for the Supabase storage adapter (src/lib/storage/supabaseAdapter.js).
+-- Every collection is a document table keyed by the app-generated id.
+--
+-- Access: the browser only holds the anon key. Password hashes and pending
+-- verification/reset codes live in "credentials", which has row-level
+-- security and no policies, so only the service role (the "accounts" Edge
+-- Function in supabase/functions/accounts) can read or write it. The
+-- guard_user_write trigger stops anon clients from creating users or
+-- changing email, role, emailVerified or passwordChangedAt. Every other
+-- collection stays readable and writable with the anon key; see "Storage"
+-- in the README for what that still allows.
+
+create table if not exists users (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists queries (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists sessions (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists notifications (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists comments (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+-- Quoted: collection names are used verbatim as table names.
+create table if not exists "xpLedger" (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists reports (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists "auditLog" (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists credentials (
+  id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+-- Row-level security everywhere. The app's own tables grant the anon key
+-- full access; credentials grants nothing, leaving it to the service role.
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'users', 'queries', 'sessions', 'notifications', 'comments',
+    'xpLedger', 'reports', 'auditLog'
+  ] loop
+    execute format('alter table %I enable row level security', t);
+    execute format('drop policy if exists anon_all on %I', t);
+    execute format(
+      'create policy anon_all on %I for all to anon using (true) with check (true)',
+      t
+    );
+  end loop;
+end $$;
+
+alter table credentials enable row level security;
+
+-- Mirrors userWriteError() in src/lib/accounts.js. Only requests made with
+-- the anon (or an authenticated) key are checked; the service role and
+-- migrations run as other roles.
+create or replace function guard_user_write() returns trigger
+language plpgsql as $$
+declare
+  stored jsonb;
+  field text;
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+  if new.data ?| array['password', 'passwordHash', 'emailVerification', 'passwordReset'] then
+    raise exception 'Users can''t carry password or code fields.'
+      using errcode = '42501';
+  end if;
+  if tg_op = 'UPDATE' then
+    stored := old.data;
+    if new.id <> old.id then
+      raise exception 'User ids can''t change.' using errcode = '42501';
+    end if;
+  else
+    -- Upserts fire this for rows that already exist, too.
+    select data into stored from users where id = new.id;
+    if not found then
+      raise exception 'Accounts are created through sign-up.'
+        using errcode = '42501';
+    end if;
+  end if;
+  foreach field in array array['email', 'role', 'emailVerified', 'passwordChangedAt'] loop
+    if coalesce(new.data -> field, 'null') is distinct from coalesce(stored -> field, 'null') then
+      raise exception 'Only the accounts service can change %.', field
+        using errcode = '42501';
+    end if;
+  end loop;
+  return new;
+end $$;
+
+drop trigger if exists guard_user_write on users;
+create trigger guard_user_write
+  before insert or update on users
+  for each row execute function guard_user_write();
+
+-- Databases created before the credentials table kept secrets on the users.
+insert into credentials (id, data)
+select id, jsonb_strip_nulls(jsonb_build_object(
+  'id', id,
+  'password', data -> 'password',
+  'passwordHash', data -> 'passwordHash',
+  'emailVerification', data -> 'emailVerification',
+  'passwordReset', data -> 'passwordReset'
+))
+from users
+where data ?| array['password', 'passwordHash', 'emailVerification', 'passwordReset']
+on conflict (id) do nothing;
+
+update users
+set data = data - array['password', 'passwordHash', 'emailVerification', 'passwordReset']
+where data ?| array['password', 'passwordHash', 'emailVerification', 'passwordReset'];